@@ -4,20 +4,41 @@ class CarEfficiencyPopup {
     constructor() {
         this.defaultSettings = {
             weights: {
-                efficiency: 35,
+                efficiency: 30,
                 safety: 30,
-                valueForMoney: 25,
-                performancePerEfficiency: 10
+                valueForMoney: 20,
+                performancePerEfficiency: 10,
+                practicality: 10
             },
             fuelPrices: {
                 petrol: 110,
                 diesel: 95,
                 cng: 80,
                 electricity: 9
-            }
+            },
+            ownership: {
+                years: 5,
+                annualKm: 12000
+            },
+            financing: {
+                downPaymentPercent: 20,
+                tenureYears: 5,
+                interestRate: 9,
+                processingFeePercent: 0.5
+            },
+            autoReanalyze: false,
+            showDebugInfo: false
         };
 
         this.currentSettings = null;
+
+        // User-defined site extractor rules and the one open in the editor
+        this.extractorRules = [];
+        this.editingRuleIndex = null;
+
+        // Rules whose sites the extension has not been granted access to
+        this.rulesNeedingAccess = [];
+
         this.init();
     }
 
@@ -29,11 +50,16 @@ class CarEfficiencyPopup {
             // Load current settings
             await this.loadSettings();
 
+            // Load site rules
+            await this.loadRules();
+
             // Populate form
             this.populateForm();
+            this.renderRules();
 
             // Setup event listeners
             this.setupEventListeners();
+            this.updateRuleAccessPrompt();
 
             // Check page status and API status
             this.checkPageStatus();
@@ -57,8 +83,16 @@ class CarEfficiencyPopup {
 
             // Merge with defaults
             this.currentSettings = {
-                weights: { ...this.defaultSettings.weights, ...stored.weights },
-                fuelPrices: { ...this.defaultSettings.fuelPrices, ...stored.fuelPrices }
+                weights: CarEfficiencyUtils.mergeWeights(this.defaultSettings.weights, stored.weights),
+                fuelPrices: { ...this.defaultSettings.fuelPrices, ...stored.fuelPrices },
+                ownership: { ...this.defaultSettings.ownership, ...stored.ownership },
+                financing: { ...this.defaultSettings.financing, ...stored.financing },
+                autoReanalyze: stored.autoReanalyze !== undefined
+                    ? stored.autoReanalyze
+                    : this.defaultSettings.autoReanalyze,
+                showDebugInfo: stored.showDebugInfo !== undefined
+                    ? stored.showDebugInfo
+                    : this.defaultSettings.showDebugInfo
             };
 
         } catch (error) {
@@ -76,6 +110,7 @@ class CarEfficiencyPopup {
         document.getElementById('safety-weight').value = this.currentSettings.weights.safety;
         document.getElementById('value-weight').value = this.currentSettings.weights.valueForMoney;
         document.getElementById('perf-weight').value = this.currentSettings.weights.performancePerEfficiency;
+        document.getElementById('practicality-weight').value = this.currentSettings.weights.practicality;
 
         // Populate fuel prices
         document.getElementById('petrol-price').value = this.currentSettings.fuelPrices.petrol;
@@ -83,6 +118,22 @@ class CarEfficiencyPopup {
         document.getElementById('cng-price').value = this.currentSettings.fuelPrices.cng;
         document.getElementById('electricity-price').value = this.currentSettings.fuelPrices.electricity;
 
+        // Populate ownership period
+        document.getElementById('ownership-years').value = this.currentSettings.ownership.years;
+        document.getElementById('annual-km').value = this.currentSettings.ownership.annualKm;
+
+        // Populate loan terms
+        document.getElementById('down-payment').value = this.currentSettings.financing.downPaymentPercent;
+        document.getElementById('loan-tenure').value = this.currentSettings.financing.tenureYears;
+        document.getElementById('interest-rate').value = this.currentSettings.financing.interestRate;
+        document.getElementById('processing-fee').value = this.currentSettings.financing.processingFeePercent;
+
+        // Populate page update behaviour
+        document.getElementById('auto-reanalyze').checked = this.currentSettings.autoReanalyze;
+
+        // Populate debug view
+        document.getElementById('show-debug-info').checked = this.currentSettings.showDebugInfo;
+
         // Update total weight display
         this.updateTotalWeight();
     }
@@ -113,6 +164,281 @@ class CarEfficiencyPopup {
         document.getElementById('analyze-btn').addEventListener('click', () => {
             this.analyzeCurrentPage();
         });
+
+        // Site rule buttons
+        document.getElementById('new-rule-btn').addEventListener('click', () => {
+            this.newRule();
+        });
+
+        document.getElementById('save-rule-btn').addEventListener('click', () => {
+            this.saveRuleFromEditor();
+        });
+
+        document.getElementById('export-rules-btn').addEventListener('click', () => {
+            this.exportRules();
+        });
+
+        const importFile = document.getElementById('import-rules-file');
+        document.getElementById('import-rules-btn').addEventListener('click', () => {
+            importFile.click();
+        });
+
+        importFile.addEventListener('change', () => {
+            if (importFile.files.length > 0) {
+                this.importRules(importFile.files[0]);
+                importFile.value = '';
+            }
+        });
+
+        document.getElementById('grant-access-btn').addEventListener('click', () => {
+            this.grantRuleHostAccess();
+        });
+
+        // Edit/delete buttons are re-rendered with the list
+        document.getElementById('rules-list').addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-index]');
+            if (!button) return;
+
+            const index = parseInt(button.dataset.index, 10);
+            if (button.dataset.action === 'edit') {
+                this.editRule(index);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteRule(index);
+            }
+        });
+    }
+
+    /**
+     * Load site rules from storage
+     */
+    async loadRules() {
+        this.extractorRules = await CarEfficiencyUtils.loadExtractorRules();
+    }
+
+    /**
+     * Render the list of site rules
+     */
+    renderRules() {
+        const list = document.getElementById('rules-list');
+
+        if (this.extractorRules.length === 0) {
+            list.innerHTML = '<div class="rules-empty">No site rules yet.</div>';
+            return;
+        }
+
+        list.innerHTML = this.extractorRules.map((rule, index) => `
+            <div class="rule-item">
+                <span class="rule-name">${CarEfficiencyUtils.escapeHtml(rule.name)}</span>
+                <span class="rule-host">${CarEfficiencyUtils.escapeHtml(rule.hostPattern)}</span>
+                <button data-action="edit" data-index="${index}">Edit</button>
+                <button data-action="delete" data-index="${index}">Delete</button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Open a template rule in the editor
+     */
+    newRule() {
+        const template = {
+            name: 'Dealer site',
+            hostPattern: '*.example-dealer.in',
+            fields: {
+                carName: { selector: 'h1' },
+                price: { selector: '.price', unit: 'lakh' },
+                mileage: { labels: ['Fuel Average', 'Mileage'] },
+                power: { labels: ['Max Power'], unit: 'bhp' }
+            }
+        };
+
+        this.editingRuleIndex = null;
+        document.getElementById('rule-editor').value = JSON.stringify(template, null, 2);
+    }
+
+    /**
+     * Open an existing rule in the editor
+     */
+    editRule(index) {
+        const rule = this.extractorRules[index];
+        if (!rule) return;
+
+        this.editingRuleIndex = index;
+        document.getElementById('rule-editor').value = JSON.stringify(rule, null, 2);
+    }
+
+    /**
+     * Delete a rule
+     */
+    async deleteRule(index) {
+        const rule = this.extractorRules[index];
+        if (!rule || !confirm(`Delete the rule "${rule.name}"?`)) return;
+
+        const rules = this.extractorRules.filter((_, i) => i !== index);
+        if (await this.storeRules(rules)) {
+            if (this.editingRuleIndex === index) {
+                this.editingRuleIndex = null;
+                document.getElementById('rule-editor').value = '';
+            }
+            this.showStatus('Rule deleted', 'success');
+        }
+    }
+
+    /**
+     * Validate and save the rule in the editor
+     */
+    async saveRuleFromEditor() {
+        let rule;
+        try {
+            rule = JSON.parse(document.getElementById('rule-editor').value);
+        } catch (error) {
+            this.showStatus('Rule is not valid JSON', 'error');
+            return;
+        }
+
+        const errors = CarEfficiencyUtils.validateExtractorRule(rule);
+        if (errors.length > 0) {
+            this.showStatus(errors[0], 'error');
+            return;
+        }
+
+        // Ask for access to the site while this click still counts as a user gesture
+        await this.requestRuleHostAccess([rule]);
+
+        const rules = [...this.extractorRules];
+        if (this.editingRuleIndex !== null && rules[this.editingRuleIndex]) {
+            rules[this.editingRuleIndex] = rule;
+        } else {
+            rules.push(rule);
+            this.editingRuleIndex = rules.length - 1;
+        }
+
+        if (await this.storeRules(rules)) {
+            this.showStatus(`Rule "${rule.name}" saved`, 'success');
+        }
+    }
+
+    /**
+     * Import rules from a JSON file (a single rule or a list), replacing
+     * rules with the same name. Reading the file ends the click's user
+     * gesture, so site access is asked for from the Grant access prompt.
+     */
+    async importRules(file) {
+        let imported;
+        try {
+            imported = JSON.parse(await file.text());
+        } catch (error) {
+            this.showStatus('Import file is not valid JSON', 'error');
+            return;
+        }
+
+        const candidates = Array.isArray(imported) ? imported : [imported];
+        const valid = candidates.filter(rule => CarEfficiencyUtils.validateExtractorRule(rule).length === 0);
+        if (valid.length === 0) {
+            this.showStatus('No valid rules found in the file', 'error');
+            return;
+        }
+
+        const importedNames = valid.map(rule => rule.name);
+        const rules = [
+            ...this.extractorRules.filter(rule => !importedNames.includes(rule.name)),
+            ...valid
+        ];
+
+        if (await this.storeRules(rules)) {
+            const skipped = candidates.length - valid.length;
+            const needAccess = valid.filter(rule => this.rulesNeedingAccess.includes(rule)).length;
+            this.showStatus(
+                `Imported ${valid.length} rule(s)${skipped > 0 ? `, skipped ${skipped} invalid` : ''}` +
+                    (needAccess > 0 ? `; grant site access for ${needAccess} to run` : ''),
+                'success'
+            );
+        }
+    }
+
+    /**
+     * Download all rules as a JSON file
+     */
+    exportRules() {
+        if (this.extractorRules.length === 0) {
+            this.showStatus('No site rules to export', 'error');
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(this.extractorRules, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'car-efficiency-site-rules.json';
+        link.click();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Request host access for the rules' sites so their pages can be analyzed.
+     * Declining still saves the rule; it just cannot run until access is granted.
+     */
+    async requestRuleHostAccess(rules) {
+        const origins = rules.map(rule => CarEfficiencyUtils.getRuleMatchPattern(rule.hostPattern));
+
+        try {
+            return await chrome.permissions.request({ origins });
+        } catch (error) {
+            console.error('Error requesting site access:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Show the Grant access prompt while any rule's site is not allowed
+     */
+    async updateRuleAccessPrompt() {
+        const access = await Promise.all(this.extractorRules.map(async (rule) => {
+            try {
+                return await chrome.permissions.contains({
+                    origins: [CarEfficiencyUtils.getRuleMatchPattern(rule.hostPattern)]
+                });
+            } catch (error) {
+                return false;
+            }
+        }));
+        this.rulesNeedingAccess = this.extractorRules.filter((_, index) => !access[index]);
+
+        const count = this.rulesNeedingAccess.length;
+        document.getElementById('rules-access-text').textContent =
+            `${count} rule${count === 1 ? '' : 's'} cannot run until ${count === 1 ? 'its site is' : 'their sites are'} allowed`;
+        document.getElementById('rules-access').style.display = count > 0 ? 'flex' : 'none';
+    }
+
+    /**
+     * Ask for access to the sites of rules that cannot run yet. Runs from the
+     * Grant access click, so the request must come before any other await.
+     */
+    async grantRuleHostAccess() {
+        if (this.rulesNeedingAccess.length === 0) return;
+
+        const granted = await this.requestRuleHostAccess(this.rulesNeedingAccess);
+        await this.updateRuleAccessPrompt();
+
+        if (granted) {
+            this.showStatus('Site access granted', 'success');
+        }
+    }
+
+    /**
+     * Save rules to storage and refresh the list
+     */
+    async storeRules(rules) {
+        if (!await CarEfficiencyUtils.saveExtractorRules(rules)) {
+            this.showStatus('Failed to save site rules', 'error');
+            return false;
+        }
+
+        this.extractorRules = rules;
+        this.renderRules();
+        await this.updateRuleAccessPrompt();
+        return true;
     }
 
     /**
@@ -123,8 +449,9 @@ class CarEfficiencyPopup {
         const safety = parseInt(document.getElementById('safety-weight').value) || 0;
         const value = parseInt(document.getElementById('value-weight').value) || 0;
         const perf = parseInt(document.getElementById('perf-weight').value) || 0;
+        const practicality = parseInt(document.getElementById('practicality-weight').value) || 0;
 
-        const total = efficiency + safety + value + perf;
+        const total = efficiency + safety + value + perf + practicality;
         const totalElement = document.getElementById('total-weight');
 
         totalElement.textContent = `Total: ${total}%`;
@@ -163,8 +490,27 @@ class CarEfficiencyPopup {
                 return;
             }
 
+            // Get and validate the ownership period
+            const ownership = this.getOwnershipFromForm();
+
+            if (!this.validateOwnership(ownership)) {
+                this.showStatus('Ownership must be 1-15 years and 1,000-100,000 km a year', 'error');
+                return;
+            }
+
+            // Get and validate the loan terms
+            const financing = this.getFinancingFromForm();
+
+            if (!CarEfficiencyFinance.validateFinancingTerms(financing)) {
+                this.showStatus('Please enter valid loan terms', 'error');
+                return;
+            }
+
+            const autoReanalyze = document.getElementById('auto-reanalyze').checked;
+            const showDebugInfo = document.getElementById('show-debug-info').checked;
+
             // Save to storage
-            const settings = { weights, fuelPrices };
+            const settings = { weights, fuelPrices, ownership, financing, autoReanalyze, showDebugInfo };
             await chrome.storage.sync.set({ carEfficiencySettings: settings });
 
             this.currentSettings = settings;
@@ -186,7 +532,8 @@ class CarEfficiencyPopup {
             efficiency: parseInt(document.getElementById('efficiency-weight').value) || 0,
             safety: parseInt(document.getElementById('safety-weight').value) || 0,
             valueForMoney: parseInt(document.getElementById('value-weight').value) || 0,
-            performancePerEfficiency: parseInt(document.getElementById('perf-weight').value) || 0
+            performancePerEfficiency: parseInt(document.getElementById('perf-weight').value) || 0,
+            practicality: parseInt(document.getElementById('practicality-weight').value) || 0
         };
     }
 
@@ -212,6 +559,38 @@ class CarEfficiencyPopup {
             prices.electricity > 0;
     }
 
+    /**
+     * Get ownership period from form
+     */
+    getOwnershipFromForm() {
+        return {
+            years: parseInt(document.getElementById('ownership-years').value) || 0,
+            annualKm: parseInt(document.getElementById('annual-km').value) || 0
+        };
+    }
+
+    /**
+     * Validate ownership period
+     */
+    validateOwnership(ownership) {
+        return ownership.years >= 1 && ownership.years <= 15 &&
+            ownership.annualKm >= 1000 && ownership.annualKm <= 100000;
+    }
+
+    /**
+     * Get loan terms from form
+     */
+    getFinancingFromForm() {
+        const read = (id) => parseFloat(document.getElementById(id).value);
+
+        return {
+            downPaymentPercent: read('down-payment'),
+            tenureYears: read('loan-tenure'),
+            interestRate: read('interest-rate'),
+            processingFeePercent: read('processing-fee')
+        };
+    }
+
     /**
      * Reset to default settings
      */
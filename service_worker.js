@@ -1,10 +1,19 @@
 // service_worker.js - Background service worker for Car Efficiency extension
 
+// Shared site rule helpers (storage key, match patterns)
+importScripts('src/utils.js');
+
+// Id of the dynamic content script registered for site rule hosts
+const RULE_CONTENT_SCRIPT_ID = 'user-extractor-rules';
+
 /**
  * Extension lifecycle and background tasks
  */
 class CarEfficiencyServiceWorker {
     constructor() {
+        // Rule content script updates, run one at a time
+        this.ruleRegistration = Promise.resolve();
+
         this.init();
     }
 
@@ -19,6 +28,7 @@ class CarEfficiencyServiceWorker {
         this.setupActivateListener();
         this.setupMessageListener();
         this.setupStorageListener();
+        this.setupPermissionListener();
 
         console.log('Car Efficiency Service Worker: Initialized');
     }
@@ -37,6 +47,8 @@ class CarEfficiencyServiceWorker {
             } else if (details.reason === 'update') {
                 this.handleUpdate(details);
             }
+
+            this.registerRuleContentScripts();
         });
     }
 
@@ -89,9 +101,84 @@ class CarEfficiencyServiceWorker {
                 // Content scripts will automatically detect storage changes
                 // No need to notify them explicitly
             }
+
+            if (namespace === 'local' && changes[CarEfficiencyUtils.EXTRACTOR_RULES_KEY]) {
+                this.registerRuleContentScripts();
+            }
         });
     }
 
+    /**
+     * Re-register rule content scripts when the user grants or revokes host access
+     */
+    setupPermissionListener() {
+        chrome.permissions.onAdded.addListener(() => this.registerRuleContentScripts());
+        chrome.permissions.onRemoved.addListener(() => this.registerRuleContentScripts());
+    }
+
+    /**
+     * Queue an update of the rule content scripts. Saving a rule fires both
+     * a permission and a storage event; updates run one after another so
+     * each reads the latest rules and none races another's registration.
+     */
+    registerRuleContentScripts() {
+        this.ruleRegistration = this.ruleRegistration.then(() => this.updateRuleContentScripts());
+        return this.ruleRegistration;
+    }
+
+    /**
+     * Inject the content scripts on hosts covered by site rules that the
+     * user granted access to. Built-in sites are excluded, as the manifest
+     * already injects there.
+     */
+    async updateRuleContentScripts() {
+        try {
+            const { EXTRACTOR_RULES_KEY, getRuleMatchPattern } = CarEfficiencyUtils;
+            const result = await chrome.storage.local.get([EXTRACTOR_RULES_KEY]);
+            const rules = result[EXTRACTOR_RULES_KEY] || [];
+            const origins = [...new Set(
+                rules.map(rule => getRuleMatchPattern(rule.hostPattern)).filter(Boolean)
+            )];
+
+            const granted = [];
+            for (const origin of origins) {
+                if (await chrome.permissions.contains({ origins: [origin] })) {
+                    granted.push(origin);
+                }
+            }
+
+            const existing = await chrome.scripting.getRegisteredContentScripts({ ids: [RULE_CONTENT_SCRIPT_ID] });
+
+            if (granted.length === 0) {
+                if (existing.length > 0) {
+                    await chrome.scripting.unregisterContentScripts({ ids: [RULE_CONTENT_SCRIPT_ID] });
+                }
+                return;
+            }
+
+            const [contentScript] = chrome.runtime.getManifest().content_scripts;
+            const script = {
+                id: RULE_CONTENT_SCRIPT_ID,
+                matches: granted,
+                excludeMatches: contentScript.matches,
+                js: contentScript.js,
+                css: contentScript.css,
+                runAt: 'document_idle'
+            };
+
+            if (existing.length > 0) {
+                await chrome.scripting.updateContentScripts([script]);
+            } else {
+                await chrome.scripting.registerContentScripts([script]);
+            }
+
+            console.log('Registered content scripts for site rules:', granted);
+
+        } catch (error) {
+            console.error('Error registering site rule content scripts:', error);
+        }
+    }
+
     /**
      * Initialize default settings
      */
@@ -99,17 +186,19 @@ class CarEfficiencyServiceWorker {
         try {
             const defaultSettings = {
                 weights: {
-                    efficiency: 35,
+                    efficiency: 30,
                     safety: 30,
-                    valueForMoney: 25,
-                    performancePerEfficiency: 10
+                    valueForMoney: 20,
+                    performancePerEfficiency: 10,
+                    practicality: 10
                 },
                 fuelPrices: {
                     petrol: 110,
                     diesel: 95,
                     cng: 80,
                     electricity: 9
-                }
+                },
+                autoReanalyze: false
             };
 
             await chrome.storage.sync.set({
@@ -172,11 +261,11 @@ class CarEfficiencyServiceWorker {
             const result = await chrome.storage.sync.get(['carEfficiencySettings']);
             let settings = result.carEfficiencySettings || {};
 
-            // Example migration logic (uncomment if needed):
-            // if (fromVersion < '1.1.0') {
-            //   // Add new settings or restructure existing ones
-            //   settings.newFeature = defaultValue;
-            // }
+            // Weights saved before the practicality weight existed total 100
+            // without it; keep the user's balance and start practicality at 0
+            if (settings.weights && settings.weights.practicality === undefined) {
+                settings.weights = { ...settings.weights, practicality: 0 };
+            }
 
             await chrome.storage.sync.set({ carEfficiencySettings: settings });
             console.log('Migration completed successfully');
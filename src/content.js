@@ -11,6 +11,40 @@ class CarEfficiencyExtension {
         this.currentScore = null;
         this.settings = null;
 
+        // Ownership cost of the scored car (CarEfficiencyTCO.calculateOwnershipCost)
+        this.ownershipCost = null;
+
+        // Financing of the scored car, and loan terms tried in the overlay's
+        // what-if panel (null = the terms from settings)
+        this.financing = null;
+        this.financingTerms = null;
+
+        // User-defined site extractor rules, consulted before the generic extractor
+        this.extractorRules = [];
+
+        // Variant chosen in the overlay (index into currentSpec.variants, null = page summary)
+        this.selectedVariantIndex = null;
+        this.variantScores = [];
+        this.currentInsights = null;
+
+        // Car chosen on a compare page (index into currentSpec.comparison,
+        // null = top-ranked car)
+        this.selectedComparisonIndex = null;
+        this.comparisonScores = [];
+
+        // Page-change watching (client-side navigation and content swaps)
+        this.isActive = false;
+        this.pageObserver = null;
+        this.lastUrl = window.location.href;
+        this.pageSignature = null;
+
+        // URL whose degraded layout was already reported to the service worker
+        this.layoutReportedUrl = null;
+
+        // How the last analysis went, for the debug view: timings (ms) per
+        // step and what the page snapshot held
+        this.analysisStats = null;
+
         // Debounced analyze function to prevent multiple rapid calls
         this.debouncedAnalyze = CarEfficiencyUtils.debounce(() => {
             this.analyzeCurrentPage();
@@ -24,20 +58,21 @@ class CarEfficiencyExtension {
         try {
             console.log('Car Efficiency Extension: Initializing...');
 
-            // Load settings
+            // Load settings and user-defined site rules
             this.settings = await CarEfficiencyUtils.loadSettings();
+            this.extractorRules = await CarEfficiencyUtils.loadExtractorRules();
+
+            // Watch for client-side navigation even when this is not a spec
+            // page yet (e.g. a listing that routes to a model page)
+            this.setupPageChangeWatcher();
 
             // Check if this is a car specification page
-            if (!CarEfficiencyUtils.isCarSpecPage()) {
-                console.log('Car Efficiency Extension: Not a car spec page, skipping');
+            if (!this.isSupportedPage()) {
+                console.log('Car Efficiency Extension: Not a car spec page, waiting for navigation');
                 return;
             }
 
-            // Listen for messages from popup/background script
-            this.setupMessageListener();
-
-            // Listen for settings changes
-            this.setupSettingsListener();
+            this.activate();
 
             console.log('Car Efficiency Extension: Initialized successfully - waiting for user interaction');
 
@@ -46,6 +81,206 @@ class CarEfficiencyExtension {
         }
     }
 
+    /**
+     * A page is supported if it looks like a car spec page or one of the
+     * user's site rules covers its host
+     */
+    isSupportedPage() {
+        return CarEfficiencyUtils.isCarSpecPage() || this.getMatchingRules().length > 0;
+    }
+
+    /**
+     * Get the user-defined site rules whose host pattern matches this page
+     */
+    getMatchingRules() {
+        return this.extractorRules.filter(rule =>
+            CarEfficiencyUtils.matchesHostPattern(window.location.hostname, rule.hostPattern)
+        );
+    }
+
+    /**
+     * Start listening for popup messages and settings changes (once)
+     */
+    activate() {
+        if (this.isActive) return;
+        this.isActive = true;
+
+        // Listen for messages from popup/background script
+        this.setupMessageListener();
+
+        // Listen for settings changes
+        this.setupSettingsListener();
+    }
+
+    /**
+     * Watch for client-side navigation and content swaps (variant, city or
+     * tab changes) that make the current analysis stale. Set up only once.
+     */
+    setupPageChangeWatcher() {
+        if (this.pageObserver) return;
+
+        // Content swaps settle for a second before the page is re-read; pages
+        // that never stop mutating (carousels, tickers, ad rotators) are still
+        // re-read every few seconds
+        this.handlePageChange = CarEfficiencyUtils.debounce(() => {
+            this.checkForPageChange();
+        }, 1000, 5000);
+
+        // URL changes are cheap to spot, so they are acted on quickly and
+        // never wait behind a stream of DOM mutations
+        this.handleUrlChange = CarEfficiencyUtils.debounce(() => {
+            this.checkForPageChange();
+        }, 100);
+
+        // Content scripts cannot see the page's own history.pushState calls,
+        // so URL changes are picked up on popstate/hashchange and on the DOM
+        // mutations that accompany every client-side route change
+        window.addEventListener('popstate', () => this.queueUrlCheck());
+        window.addEventListener('hashchange', () => this.queueUrlCheck());
+
+        // Only added and removed nodes count: text ticking inside an element
+        // (timers, counters) does not swap a car's specs. Until a spec page is
+        // found, content changes are ignored; only a new route can make one.
+        this.pageObserver = new MutationObserver((mutations) => {
+            if (window.location.href !== this.lastUrl) {
+                this.queueUrlCheck();
+            } else if (this.isActive && mutations.some(mutation => !this.isOverlayMutation(mutation))) {
+                this.handlePageChange();
+            }
+        });
+        this.pageObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    /**
+     * Queue a check after the URL changed. While not on a spec page the check
+     * waits for the new route's content to settle, as that content decides
+     * whether the page is supported.
+     */
+    queueUrlCheck() {
+        if (this.isActive) {
+            this.handleUrlChange();
+        } else {
+            this.handlePageChange();
+        }
+    }
+
+    /**
+     * Check whether a mutation only touches our own overlay
+     */
+    isOverlayMutation(mutation) {
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE
+            ? mutation.target
+            : mutation.target.parentElement;
+        const overlay = document.getElementById(this.overlayId);
+        if (overlay && target && overlay.contains(target)) return true;
+
+        // The overlay itself being added or removed
+        const nodes = [...mutation.addedNodes, ...mutation.removedNodes];
+        return nodes.length > 0 && nodes.every(node => node.id === this.overlayId);
+    }
+
+    /**
+     * React to a URL change or a significant content change
+     */
+    checkForPageChange() {
+        // Our own extraction is running; a later mutation will re-check
+        if (this.isProcessing) return;
+
+        const urlChanged = window.location.href !== this.lastUrl;
+        this.lastUrl = window.location.href;
+
+        // Navigated onto a spec page: start listening now
+        if (!this.isActive) {
+            if (urlChanged && this.isSupportedPage()) this.activate();
+            return;
+        }
+
+        // Nothing analyzed yet, or already invalidated
+        if (!this.currentSpec) return;
+
+        if (urlChanged || this.getPageSignature() !== this.pageSignature) {
+            this.invalidateAnalysis(urlChanged ? 'navigated' : 'updated');
+        }
+    }
+
+    /**
+     * Summarize the parts of the page an analysis depends on: title, main
+     * heading, spec tables/lists and price or spec blocks (outside the overlay).
+     * Blocks nested inside another matched block are already part of its
+     * text, so each stretch of the page is read once.
+     */
+    getPageSignature() {
+        const overlay = document.getElementById(this.overlayId);
+        const parts = [document.title];
+
+        const selector = 'h1, table, dl, [class*="price"], [class*="spec"]';
+        for (const element of document.querySelectorAll(selector)) {
+            if (overlay && overlay.contains(element)) continue;
+            if (element.parentElement && element.parentElement.closest(selector)) continue;
+            parts.push(element.textContent.replace(/\s+/g, ' ').trim());
+        }
+
+        return parts.join('|');
+    }
+
+    /**
+     * Drop the current analysis after the page changed under it, then
+     * re-analyze (if the user opted in) or offer to
+     */
+    invalidateAnalysis(reason) {
+        console.log(`Car Efficiency Extension: Page ${reason}, analysis is stale`);
+
+        this.currentSpec = null;
+        this.currentScore = null;
+        this.ownershipCost = null;
+        this.financing = null;
+        this.currentInsights = null;
+        this.selectedVariantIndex = null;
+        this.variantScores = [];
+        this.selectedComparisonIndex = null;
+        this.comparisonScores = [];
+        this.pageSignature = null;
+
+        // Only an open overlay needs refreshing
+        if (!document.getElementById(this.overlayId)) return;
+
+        if (this.settings && this.settings.autoReanalyze) {
+            this.debouncedAnalyze();
+        } else {
+            this.showStaleBanner(reason);
+        }
+    }
+
+    /**
+     * Show a banner in the overlay offering a fresh analysis
+     */
+    showStaleBanner(reason) {
+        const overlay = document.getElementById(this.overlayId);
+        if (!overlay || overlay.querySelector('.stale-banner')) return;
+
+        const message = reason === 'navigated'
+            ? 'You moved to another page.'
+            : 'The page content changed.';
+
+        const banner = document.createElement('div');
+        banner.className = 'stale-banner';
+        banner.innerHTML = `
+      <span>${message} These results may be out of date.</span>
+      <button class="reanalyze-btn">Re-analyze</button>
+    `;
+
+        banner.querySelector('.reanalyze-btn').addEventListener('click', () => {
+            this.debouncedAnalyze();
+        });
+
+        const header = overlay.querySelector('.overlay-header');
+        if (header) {
+            header.after(banner);
+        } else {
+            overlay.prepend(banner);
+        }
+    }
+
     /**
  * Setup message listener for communication with popup
  */
@@ -62,7 +297,7 @@ class CarEfficiencyExtension {
                 case 'checkApiStatus':
                     sendResponse({
                         apiAvailable: true, // Will be determined by actual API call
-                        pageSupported: CarEfficiencyUtils.isCarSpecPage()
+                        pageSupported: this.isSupportedPage()
                     });
                     break;
 
@@ -80,7 +315,7 @@ class CarEfficiencyExtension {
     }
 
     /**
-     * Setup listener for settings changes
+     * Setup listener for settings and site rule changes
      */
     setupSettingsListener() {
         chrome.storage.onChanged.addListener((changes, namespace) => {
@@ -91,11 +326,20 @@ class CarEfficiencyExtension {
                     ...changes.carEfficiencySettings.newValue
                 };
 
+                // New default loan terms replace any tried in the overlay
+                this.financingTerms = null;
+
                 // Re-analyze if we have current spec
                 if (this.currentSpec) {
                     this.calculateAndDisplayScore();
                 }
             }
+
+            if (namespace === 'local' && changes[CarEfficiencyUtils.EXTRACTOR_RULES_KEY]) {
+                console.log('Site rules changed, they apply from the next analysis');
+                const rules = changes[CarEfficiencyUtils.EXTRACTOR_RULES_KEY].newValue || [];
+                this.extractorRules = rules.filter(rule => CarEfficiencyUtils.validateExtractorRule(rule).length === 0);
+            }
         });
     }
 
@@ -115,16 +359,22 @@ class CarEfficiencyExtension {
             // Remove existing overlay
             this.removeOverlay();
 
-            // Choose appropriate extractor
-            const extractor = this.getExtractor();
+            // Choose appropriate extractor and extract specifications
+            const { extractor, spec } = this.extractSpec();
             if (!extractor) {
                 console.log('No suitable extractor found');
                 return;
             }
 
-            // Extract specifications
-            console.log(`Using ${extractor.name} extractor`);
-            this.currentSpec = extractor.extract();
+            console.log(`Used ${extractor.name} extractor`);
+            this.currentSpec = spec;
+            this.selectedVariantIndex = null;
+            this.selectedComparisonIndex = null;
+            this.currentInsights = null;
+
+            // Remember what was analyzed so later changes can be detected
+            this.lastUrl = window.location.href;
+            this.pageSignature = this.getPageSignature();
 
             if (!this.currentSpec) {
                 console.log('No specifications extracted');
@@ -133,6 +383,9 @@ class CarEfficiencyExtension {
 
             console.log('Extracted specifications:', this.currentSpec);
 
+            // Flag a site extractor whose selectors stopped matching
+            this.reportLayoutHealth(this.currentSpec);
+
             // Calculate score
             this.calculateAndDisplayScore();
 
@@ -147,13 +400,72 @@ class CarEfficiencyExtension {
         }
     }
 
+    /**
+     * Pick an extractor and extract the page's spec from a single page
+     * snapshot. Returns { extractor, spec } (null extractor when none fits)
+     * and records the step timings in analysisStats.
+     */
+    extractSpec() {
+        const snapshot = CarEfficiencySnapshot.beginAnalysis();
+
+        try {
+            const extractor = snapshot.time('pickExtractor', () => this.getExtractor());
+            const spec = extractor ? snapshot.time('extract', () => extractor.extract()) : null;
+
+            return { extractor, spec };
+        } finally {
+            CarEfficiencySnapshot.endAnalysis();
+            this.analysisStats = { url: snapshot.url, ...snapshot.describe() };
+        }
+    }
+
+    /**
+     * Check whether too few of the site extractor's layout selectors matched
+     */
+    isLayoutDegraded(spec) {
+        const health = spec && spec._layoutHealth;
+        return Boolean(health) && health.coverage < CarEfficiencyUtils.LAYOUT_HEALTH_THRESHOLD;
+    }
+
+    /**
+     * Log a degraded layout through the service worker, once per page
+     */
+    reportLayoutHealth(spec) {
+        if (!this.isLayoutDegraded(spec)) return;
+
+        const health = spec._layoutHealth;
+        const total = health.matched.length + health.missing.length;
+        const message = `Site layout changed: ${health.extractor} matched ${health.matched.length}/${total} ` +
+            `layout selectors (missing ${health.missing.join(', ')})`;
+        console.warn(`Car Efficiency Extension: ${message}`);
+
+        if (this.layoutReportedUrl === window.location.href) return;
+        this.layoutReportedUrl = window.location.href;
+
+        chrome.runtime.sendMessage({
+            action: 'logError',
+            error: message,
+            context: `layout-health ${window.location.hostname}`
+        }).catch(error => {
+            console.error('Failed to report layout health:', error);
+        });
+    }
+
     /**
      * Get appropriate extractor for current page
      */
     getExtractor() {
         const extractors = [
+            // Compare pages sit on CarDekho/CarWale hosts but lay out several cars
+            new CarEfficiencyExtractors.CompareExtractor(),
             new CarEfficiencyExtractors.CarDekhoExtractor(),
             new CarEfficiencyExtractors.CarWaleExtractor(),
+            new CarEfficiencyExtractors.ZigWheelsExtractor(),
+            new CarEfficiencyExtractors.TeamBHPExtractor(),
+            new CarEfficiencyExtractors.AutocarIndiaExtractor(),
+            new CarEfficiencyExtractors.OverdriveExtractor(),
+            new CarEfficiencyExtractors.AutoportalExtractor(),
+            ...this.getMatchingRules().map(rule => new CarEfficiencyExtractors.RuleBasedExtractor(rule)),
             new CarEfficiencyExtractors.GenericExtractor()
         ];
 
@@ -166,6 +478,32 @@ class CarEfficiencyExtension {
         return null;
     }
 
+    /**
+     * Whether the page lays out several cars side by side
+     */
+    isComparisonPage() {
+        return Boolean(this.currentSpec && this.currentSpec.comparison && this.currentSpec.comparison.length >= 2);
+    }
+
+    /**
+     * Get the spec being scored: the selected compared car, the selected
+     * variant, or the page summary
+     */
+    getActiveSpec() {
+        if (this.isComparisonPage()) {
+            const top = this.comparisonScores.find(item => item.rank === 1);
+            const index = this.selectedComparisonIndex !== null ? this.selectedComparisonIndex : (top ? top.index : 0);
+            return this.currentSpec.comparison[index] || this.currentSpec.comparison[0];
+        }
+
+        const variants = this.currentSpec && this.currentSpec.variants;
+        if (this.selectedVariantIndex === null || !variants || !variants[this.selectedVariantIndex]) {
+            return this.currentSpec;
+        }
+
+        return CarEfficiencyScoring.applyVariant(this.currentSpec, variants[this.selectedVariantIndex]);
+    }
+
     /**
      * Calculate score and display overlay
      */
@@ -175,15 +513,46 @@ class CarEfficiencyExtension {
         }
 
         try {
+            const startedAt = performance.now();
+
+            // Rank the cars of a compare page first; the top one is scored by default
+            this.comparisonScores = this.isComparisonPage()
+                ? CarEfficiencyScoring.scoreComparison(
+                    this.currentSpec.comparison,
+                    this.settings.weights,
+                    this.settings.fuelPrices
+                )
+                : [];
+
             // Calculate composite score
             this.currentScore = CarEfficiencyScoring.calculateCompositeScore(
+                this.getActiveSpec(),
+                this.settings.weights,
+                this.settings.fuelPrices
+            );
+
+            // Score every variant so the best one can be highlighted; a
+            // compare page's variants belong to several cars, so skip them
+            this.variantScores = this.isComparisonPage() ? [] : CarEfficiencyScoring.scoreVariants(
                 this.currentSpec,
                 this.settings.weights,
                 this.settings.fuelPrices
             );
 
+            // Cost of owning the scored car over the user's ownership period
+            this.ownershipCost = CarEfficiencyTCO.calculateOwnershipCost(
+                this.getActiveSpec(),
+                this.settings.fuelPrices,
+                this.settings.ownership
+            );
+            this.calculateFinancing();
+
             console.log('Calculated score:', this.currentScore);
 
+            if (this.analysisStats) {
+                this.analysisStats.timings.score = Math.round((performance.now() - startedAt) * 10) / 10;
+            }
+
             // Display overlay with score
             this.displayOverlay();
 
@@ -200,13 +569,20 @@ class CarEfficiencyExtension {
         try {
             console.log('Fetching Gemini insights...');
 
+            const requestedSpec = this.currentSpec;
             const geminiData = await CarEfficiencyGemini.fetchGeminiInsights(
-                this.currentSpec,
-                this.currentSpec._rawText || document.body.textContent
+                requestedSpec,
+                requestedSpec._rawText || document.body.textContent
             );
 
             console.log('Gemini insights received:', geminiData);
 
+            // The page changed (or was re-analyzed) while waiting
+            if (this.currentSpec !== requestedSpec) {
+                console.log('Discarding Gemini insights for a stale analysis');
+                return;
+            }
+
             // Enhance spec with Gemini data
             if (geminiData.normalized) {
                 const enhancedSpec = CarEfficiencyGemini.enhanceSpecWithGemini(
@@ -269,6 +645,35 @@ class CarEfficiencyExtension {
                 this.debouncedAnalyze();
             });
         }
+
+        // Rescore for the chosen variant
+        const variantSelect = overlay.querySelector('.variant-select');
+        if (variantSelect) {
+            variantSelect.addEventListener('change', () => {
+                this.selectedVariantIndex = variantSelect.value === '' ? null : parseInt(variantSelect.value, 10);
+                this.calculateAndDisplayScore();
+            });
+        }
+
+        // Rescore for the chosen car of a compare page
+        overlay.querySelectorAll('.comparison-row').forEach(row => {
+            row.addEventListener('click', () => {
+                this.selectedComparisonIndex = parseInt(row.dataset.index, 10);
+                this.calculateAndDisplayScore();
+            });
+        });
+
+        // Recalculate the financing panel for the loan terms tried
+        overlay.querySelectorAll('.finance-input').forEach(input => {
+            input.addEventListener('change', () => {
+                this.updateFinancingTerms(overlay);
+            });
+        });
+
+        // Re-rendering must not lose insights that already arrived
+        if (this.currentInsights) {
+            this.addInsightsToOverlay(this.currentInsights);
+        }
     }
 
     /**
@@ -276,7 +681,7 @@ class CarEfficiencyExtension {
      */
     buildOverlayHTML() {
         const score = this.currentScore;
-        const spec = this.currentSpec;
+        const spec = this.getActiveSpec();
 
         const scoreColor = this.getScoreColor(score.composite);
 
@@ -292,14 +697,22 @@ class CarEfficiencyExtension {
         </div>
       </div>
       
+      ${this.isLayoutDegraded(this.currentSpec) ? `
+        <div class="layout-warning">⚠️ Site layout changed — results may be unreliable</div>
+      ` : ''}
+      
       <div class="overlay-content">
         <div class="main-score" style="color: ${scoreColor}">
-          <div class="score-value">${score.composite}</div>
-          <div class="score-label">Overall Score</div>
+          <div class="score-value">${score.composite}<span class="score-band" title="Likely range given the inputs' confidence">±${score.confidence.band}</span></div>
+          <div class="score-label">${score.usedCar ? 'Used-Car Score' : 'Overall Score'}</div>
+          <div class="score-confidence${score.confidence.low ? ' low' : ''}">${score.confidence.low ? 'Low confidence' : 'Confidence'} · ${score.confidence.overall}%</div>
         </div>
         
+        ${this.comparisonScores.length > 0 ? this.buildComparisonTableHTML() : ''}
+        ${this.variantScores.length > 0 ? this.buildVariantSelectorHTML() : ''}
+        
         <div class="score-breakdown">
-          <div class="score-item">
+          <div class="score-item${this.isLowConfidence('efficiency') ? ' low-confidence' : ''}" title="${this.describeConfidence('efficiency')}">
             <span class="score-name">Efficiency</span>
             <div class="score-bar">
               <div class="score-fill" style="width: ${score.breakdown.efficiency}%"></div>
@@ -307,7 +720,7 @@ class CarEfficiencyExtension {
             <span class="score-percent">${score.breakdown.efficiency}%</span>
           </div>
           
-          <div class="score-item">
+          <div class="score-item${this.isLowConfidence('safety') ? ' low-confidence' : ''}" title="${this.describeConfidence('safety')}">
             <span class="score-name">Safety</span>
             <div class="score-bar">
               <div class="score-fill" style="width: ${score.breakdown.safety}%"></div>
@@ -315,7 +728,7 @@ class CarEfficiencyExtension {
             <span class="score-percent">${score.breakdown.safety}%</span>
           </div>
           
-          <div class="score-item">
+          <div class="score-item${this.isLowConfidence('valueForMoney') ? ' low-confidence' : ''}" title="${this.describeConfidence('valueForMoney')}">
             <span class="score-name">Value</span>
             <div class="score-bar">
               <div class="score-fill" style="width: ${score.breakdown.valueForMoney}%"></div>
@@ -323,59 +736,157 @@ class CarEfficiencyExtension {
             <span class="score-percent">${score.breakdown.valueForMoney}%</span>
           </div>
           
-          <div class="score-item">
+          <div class="score-item${this.isLowConfidence('performancePerEfficiency') ? ' low-confidence' : ''}" title="${this.describeConfidence('performancePerEfficiency')}">
             <span class="score-name">Perf/Eff</span>
             <div class="score-bar">
               <div class="score-fill" style="width: ${score.breakdown.performancePerEfficiency}%"></div>
             </div>
             <span class="score-percent">${score.breakdown.performancePerEfficiency}%</span>
           </div>
+          
+          <div class="score-item${this.isLowConfidence('practicality') ? ' low-confidence' : ''}" title="${this.describeConfidence('practicality')}">
+            <span class="score-name">Practicality</span>
+            <div class="score-bar">
+              <div class="score-fill" style="width: ${score.breakdown.practicality || 0}%"></div>
+            </div>
+            <span class="score-percent">${score.breakdown.practicality === null ? 'N/A' : `${score.breakdown.practicality}%`}</span>
+          </div>
         </div>
         
         <div class="metrics">
+          ${spec.usedListing ? `
+            <div class="metric">
+              <span class="metric-label">Used car:</span>
+              <span class="metric-value">${this.getUsedListingSummary(spec)}${this.buildSourceIndicator(spec, ['usedListing'])}</span>
+            </div>
+          ` : ''}
+          
+          ${score.usedCar && score.usedCar.expectedPrice ? `
+            <div class="metric">
+              <span class="metric-label">Asking vs expected:</span>
+              <span class="metric-value">${this.getUsedPriceSummary(spec, score.usedCar)}${this.buildSourceIndicator(spec, ['price', 'usedListing'])}</span>
+            </div>
+          ` : ''}
+          
           ${score.metrics.costPerKm ? `
             <div class="metric">
               <span class="metric-label">Cost/km:</span>
-              <span class="metric-value">${CarEfficiencyUtils.formatCurrency(score.metrics.costPerKm)}</span>
+              <span class="metric-value">${CarEfficiencyUtils.formatCurrency(score.metrics.costPerKm)}${this.buildSourceIndicator(spec, [this.getEfficiencySourceField(spec), 'fuelType'])}</span>
+            </div>
+          ` : ''}
+          
+          ${spec.ownerReportedMileage ? `
+            <div class="metric">
+              <span class="metric-label">Owner-reported:</span>
+              <span class="metric-value">${spec.ownerReportedMileage.median} km/l (${spec.ownerReportedMileage.count} ${spec.ownerReportedMileage.count === 1 ? 'report' : 'reports'}, ±${Math.round(spec.ownerReportedMileage.spread / 2 * 10) / 10})${this.buildSourceIndicator(spec, ['ownerReportedMileage'])}</span>
+            </div>
+          ` : ''}
+          
+          ${spec.testedCityMileage || spec.testedHighwayMileage ? `
+            <div class="metric">
+              <span class="metric-label">Tested economy:</span>
+              <span class="metric-value">${[
+                spec.testedCityMileage ? `${spec.testedCityMileage} city` : null,
+                spec.testedHighwayMileage ? `${spec.testedHighwayMileage} hwy` : null
+            ].filter(Boolean).join(' / ')} km/l${this.buildSourceIndicator(spec, ['testedCityMileage', 'testedHighwayMileage'])}</span>
+            </div>
+          ` : ''}
+          
+          ${spec.acceleration0to100 ? `
+            <div class="metric">
+              <span class="metric-label">0-100 km/h:</span>
+              <span class="metric-value">${spec.acceleration0to100}s${this.buildSourceIndicator(spec, ['acceleration0to100'])}</span>
             </div>
           ` : ''}
           
           ${score.metrics.powerToWeight ? `
             <div class="metric">
               <span class="metric-label">Power/Weight:</span>
-              <span class="metric-value">${score.metrics.powerToWeight} kW/t</span>
+              <span class="metric-value">${score.metrics.powerToWeight} kW/t${this.buildSourceIndicator(spec, ['power', 'kerbWeight'])}</span>
+            </div>
+          ` : ''}
+          
+          ${CarEfficiencyScoring.isTwoWheeler(spec) ? `
+            <div class="metric">
+              <span class="metric-label">Vehicle:</span>
+              <span class="metric-value">${spec.vehicleClass === 'scooter' ? 'Scooter' : 'Motorcycle'}${this.buildSourceIndicator(spec, ['vehicleClass'])}</span>
+            </div>
+            
+            <div class="metric">
+              <span class="metric-label">Braking:</span>
+              <span class="metric-value">${this.getAbsLabel(spec)}${this.buildSourceIndicator(spec, ['absType'])}</span>
+            </div>
+          ` : ''}
+          
+          ${spec.fuelType ? `
+            <div class="metric">
+              <span class="metric-label">Powertrain:</span>
+              <span class="metric-value">${this.getPowertrainLabel(spec)}${this.buildSourceIndicator(spec, ['fuelType'])}</span>
             </div>
           ` : ''}
           
           ${spec.displacement ? `
             <div class="metric">
               <span class="metric-label">Engine:</span>
-              <span class="metric-value">${spec.displacement}cc${spec.cylinders ? ` ${spec.cylinders}cyl` : ''}</span>
+              <span class="metric-value">${spec.displacement}cc${spec.cylinders ? ` ${spec.cylinders}cyl` : ''}${this.buildSourceIndicator(spec, ['displacement'])}</span>
             </div>
           ` : ''}
           
           ${spec.transmissionType ? `
             <div class="metric">
               <span class="metric-label">Transmission:</span>
-              <span class="metric-value">${spec.transmissionType.toUpperCase()}${spec.gears ? ` ${spec.gears}sp` : ''}</span>
+              <span class="metric-value">${spec.transmissionType.toUpperCase()}${spec.gears ? ` ${spec.gears}sp` : ''}${this.buildSourceIndicator(spec, ['transmissionType'])}</span>
+            </div>
+          ` : ''}
+          
+          ${this.getCrashTestSummary(spec) ? `
+            <div class="metric">
+              <span class="metric-label">Crash test:</span>
+              <span class="metric-value">${this.getCrashTestSummary(spec)}${this.buildSourceIndicator(spec, ['crashTest'])}</span>
+            </div>
+          ` : ''}
+          
+          ${this.getSafetyFeatureSummary(spec) ? `
+            <div class="metric">
+              <span class="metric-label">Safety kit:</span>
+              <span class="metric-value">${this.getSafetyFeatureSummary(spec)}${this.buildSourceIndicator(spec, ['safetyFeatures'])}</span>
+            </div>
+          ` : ''}
+          
+          ${this.getPracticalitySummary(spec) ? `
+            <div class="metric">
+              <span class="metric-label">Practicality:</span>
+              <span class="metric-value">${this.getPracticalitySummary(spec)}${this.buildSourceIndicator(spec, this.getPracticalityFields(spec))}</span>
             </div>
           ` : ''}
           
           ${spec.bodyType ? `
             <div class="metric">
               <span class="metric-label">Body:</span>
-              <span class="metric-value">${spec.bodyType.charAt(0).toUpperCase() + spec.bodyType.slice(1)}</span>
+              <span class="metric-value">${spec.bodyType.charAt(0).toUpperCase() + spec.bodyType.slice(1)}${this.buildSourceIndicator(spec, ['bodyType'])}</span>
+            </div>
+          ` : ''}
+          
+          ${spec.priceMin && spec.priceMax && spec.priceMax > spec.priceMin ? `
+            <div class="metric">
+              <span class="metric-label">Variant prices:</span>
+              <span class="metric-value">₹${spec.priceMin}–${spec.priceMax} lakh${this.buildSourceIndicator(spec, ['price'])}</span>
             </div>
           ` : ''}
           
           ${spec.carName ? `
             <div class="metric">
               <span class="metric-label">Model:</span>
-              <span class="metric-value">${spec.carName}</span>
+              <span class="metric-value">${CarEfficiencyUtils.escapeHtml(spec.carName)}</span>
             </div>
           ` : ''}
         </div>
         
+        ${this.ownershipCost ? this.buildOwnershipCostHTML() : ''}
+        ${this.financing ? this.buildFinancingHTML() : ''}
+        ${this.buildSourcesHTML(spec)}
+        ${this.settings.showDebugInfo ? this.buildDebugHTML() : ''}
+        
         <div class="insights-container" id="insights-container">
           <div class="insights-loading">Loading AI insights...</div>
         </div>
@@ -383,10 +894,533 @@ class CarEfficiencyExtension {
     `;
     }
 
+    /**
+     * Key inputs listed in the data sources panel
+     */
+    getSourceFields() {
+        return [
+            { field: 'mileage', label: 'Mileage' },
+            { field: 'fuelType', label: 'Fuel type' },
+            { field: 'price', label: 'Price' },
+            { field: 'usedListing', label: 'Used listing' },
+            { field: 'power', label: 'Power' },
+            { field: 'kerbWeight', label: 'Kerb weight' },
+            { field: 'displacement', label: 'Engine' },
+            { field: 'transmissionType', label: 'Transmission' },
+            { field: 'vehicleClass', label: 'Vehicle class' },
+            { field: 'bodyType', label: 'Body type' },
+            { field: 'absType', label: 'ABS' },
+            { field: 'ncapStars', label: 'NCAP rating' },
+            { field: 'crashTest', label: 'Crash test' },
+            { field: 'airbags', label: 'Airbags' },
+            { field: 'safetyFeatures', label: 'Safety features' },
+            { field: 'seatingCapacity', label: 'Seating' },
+            { field: 'bootSpace', label: 'Boot space' },
+            { field: 'fuelTankCapacity', label: 'Fuel tank' },
+            { field: 'wheelbase', label: 'Wheelbase' },
+            { field: 'turningRadius', label: 'Turning radius' }
+        ];
+    }
+
+    /**
+     * Get the practicality fields the page provided
+     */
+    getPracticalityFields(spec) {
+        return ['seatingCapacity', 'bootSpace', 'fuelTankCapacity', 'turningRadius'].filter(field => spec[field]);
+    }
+
+    /**
+     * Summarize seats, boot, tank and turning radius ("7 seats · 382 L boot")
+     */
+    getPracticalitySummary(spec) {
+        return [
+            spec.seatingCapacity ? `${spec.seatingCapacity} seats` : null,
+            spec.bootSpace
+                ? `${Math.round(spec.bootSpace)} L ${CarEfficiencyScoring.isTwoWheeler(spec) ? 'underseat' : 'boot'}`
+                : null,
+            spec.fuelTankCapacity ? `${Math.round(spec.fuelTankCapacity)} L tank` : null,
+            spec.turningRadius ? `${spec.turningRadius} m turning` : null
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Describe a two-wheeler's brakes ("Dual-channel ABS", "CBS")
+     */
+    getAbsLabel(spec) {
+        switch (spec.absType) {
+            case 'dual-channel':
+                return 'Dual-channel ABS';
+            case 'single-channel':
+                return 'Single-channel ABS';
+            case 'cbs':
+                return 'CBS (no ABS)';
+            case 'none':
+                return 'No ABS';
+            default:
+                return 'Not listed';
+        }
+    }
+
+    /**
+     * Summarize a used listing ("2019 · 45,000 km · 2nd owner")
+     */
+    getUsedListingSummary(spec) {
+        const { registrationYear, kmsDriven, owners } = spec.usedListing;
+        const ordinal = (count) => `${count}${['th', 'st', 'nd', 'rd'][count] || 'th'}`;
+
+        return [
+            registrationYear ? String(registrationYear) : null,
+            kmsDriven !== null ? `${Math.round(kmsDriven).toLocaleString('en-IN')} km` : null,
+            owners ? `${ordinal(owners)} owner` : null
+        ].filter(Boolean).join(' · ');
+    }
+
+    /**
+     * Compare the asking price with the expected used price ("₹5.25 vs ₹5.8 lakh, 9% under")
+     */
+    getUsedPriceSummary(spec, usedCar) {
+        const difference = Math.round((usedCar.priceRatio - 1) * 100);
+        const verdict = difference === 0
+            ? 'as expected'
+            : `${Math.abs(difference)}% ${difference < 0 ? 'under' : 'over'}`;
+
+        return `₹${spec.price} vs ₹${usedCar.expectedPrice} lakh, ${verdict}`;
+    }
+
+    /**
+     * Summarize a crash test ("Bharat NCAP 2024: 5★ adult (31.66/32), 4★ child (45/49)")
+     */
+    getCrashTestSummary(spec) {
+        const crashTest = spec.crashTest;
+        if (!crashTest) return '';
+
+        const protocol = CarEfficiencyScoring.CRASH_TEST_PROTOCOLS[crashTest.body];
+        const heading = [protocol ? protocol.label : 'NCAP', crashTest.year].filter(Boolean).join(' ');
+
+        const describe = (occupant) => {
+            const stars = crashTest[`${occupant}Stars`];
+            const points = crashTest[`${occupant}Points`];
+            const maxPoints = crashTest[`${occupant}MaxPoints`];
+            if (stars === null && points === null) return null;
+
+            const starText = stars !== null ? `${stars}★ ` : '';
+            const pointText = points !== null ? ` (${points}${maxPoints ? `/${maxPoints}` : ' pts'})` : '';
+            return `${starText}${occupant}${pointText}`;
+        };
+
+        const results = [describe('adult'), describe('child')].filter(Boolean);
+        return results.length > 0 ? `${heading}: ${results.join(', ')}` : '';
+    }
+
+    /**
+     * List the fitted safety features from the spec rows ("ABS · EBD · ESC · AEB")
+     */
+    getSafetyFeatureSummary(spec) {
+        const names = {
+            abs: 'ABS',
+            ebd: 'EBD',
+            esc: 'ESC',
+            isofix: 'ISOFIX',
+            hillHold: 'Hill hold',
+            tpms: 'TPMS',
+            camera360: '360° camera',
+            aeb: 'AEB',
+            laneKeep: 'Lane keep',
+            blindSpot: 'Blind-spot monitor',
+            rearDiscBrakes: 'Rear discs',
+            seatbeltReminders: 'All-row belt reminders'
+        };
+        const features = spec.safetyFeatures || {};
+
+        return Object.keys(names)
+            .filter(feature => features[feature] === true)
+            .map(feature => names[feature])
+            .join(' · ');
+    }
+
+    /**
+     * Describe the powertrain ("Strong hybrid (petrol)", "Petrol + CNG")
+     */
+    getPowertrainLabel(spec) {
+        const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+        const primaryFuel = spec.powertrain && spec.powertrain.primaryFuel
+            ? spec.powertrain.primaryFuel
+            : 'petrol';
+
+        switch (CarEfficiencyScoring.getPowertrainType(spec)) {
+            case 'mild-hybrid':
+                return `Mild hybrid (${primaryFuel})`;
+            case 'strong-hybrid':
+                return `Strong hybrid (${primaryFuel})`;
+            case 'plug-in':
+                return `Plug-in hybrid (${primaryFuel})`;
+            case 'cng':
+                return 'Petrol + CNG';
+            default:
+                return capitalize(spec.fuelType);
+        }
+    }
+
+    /**
+     * Get the field the efficiency figure was derived from
+     */
+    getEfficiencySourceField(spec) {
+        if (spec.ownerReportedMileage) return 'ownerReportedMileage';
+        if (spec.testedCityMileage) return 'testedCityMileage';
+        if (spec.testedHighwayMileage) return 'testedHighwayMileage';
+        return 'mileage';
+    }
+
+    /**
+     * Classify a field's source for display: high, medium, low, default or missing
+     */
+    getSourceLevel(source) {
+        if (!source) return 'missing';
+        if (source.origin === 'default') return 'default';
+        if (source.confidence >= 0.8) return 'high';
+        if (source.confidence >= 0.45) return 'medium';
+        return 'low';
+    }
+
+    /**
+     * Describe a field's source for tooltips
+     */
+    describeSource(source) {
+        if (!source) return 'Not found on page (estimated)';
+
+        const detail = source.detail ? `: ${source.detail}` : '';
+        return `${source.origin}${detail} (${Math.round(source.confidence * 100)}% confidence)`;
+    }
+
+    /**
+     * Build a per-metric source indicator. Metrics built from several fields
+     * show the weakest one.
+     */
+    buildSourceIndicator(spec, fields) {
+        const sources = fields.map(field => CarEfficiencyUtils.getSource(spec, field));
+        const weakest = sources.reduce((lowest, source) => {
+            if (!source || !lowest) return null;
+            return source.confidence < lowest.confidence ? source : lowest;
+        }, sources[0]);
+
+        const level = this.getSourceLevel(weakest);
+        const title = CarEfficiencyUtils.escapeHtml(this.describeSource(weakest));
+
+        return `<span class="source-indicator source-${level}" title="${title}"></span>`;
+    }
+
+    /**
+     * Build the collapsible data sources panel
+     */
+    buildSourcesHTML(spec) {
+        const rows = this.getSourceFields().map(({ field, label }) => {
+            const source = CarEfficiencyUtils.getSource(spec, field);
+            const level = this.getSourceLevel(source);
+
+            return `
+            <li class="source-row">
+              <span class="source-indicator source-${level}"></span>
+              <span class="source-field">${label}</span>
+              <span class="source-detail">${CarEfficiencyUtils.escapeHtml(this.describeSource(source))}</span>
+            </li>
+          `;
+        }).join('');
+
+        return `
+        <details class="sources-container">
+          <summary class="sources-title">Data sources</summary>
+          <ul class="sources-list">${rows}</ul>
+        </details>
+      `;
+    }
+
+    /**
+     * Whether a sub-score of the current score rests mostly on estimated or
+     * default inputs
+     */
+    isLowConfidence(key) {
+        const confidence = this.currentScore.confidence.breakdown[key];
+        return confidence !== null && confidence < CarEfficiencyScoring.SCORE_CONFIDENCE.low;
+    }
+
+    /**
+     * Describe a sub-score's confidence for its tooltip
+     */
+    describeConfidence(key) {
+        const confidence = this.currentScore.confidence.breakdown[key];
+        if (confidence === null) return 'No data on the page; left out of the overall score';
+
+        return this.isLowConfidence(key)
+            ? `Low confidence (${confidence}%): mostly estimated or default inputs`
+            : `Confidence ${confidence}%`;
+    }
+
+    /**
+     * Build the ownership cost section: what owning the car costs over the
+     * ownership period, item by item, less its resale value
+     */
+    buildOwnershipCostHTML() {
+        const cost = this.ownershipCost;
+        const format = CarEfficiencyUtils.formatRupees;
+
+        const items = [
+            ['Purchase price', cost.purchase],
+            [this.getActiveSpec().usedListing ? 'Transfer' : 'Road tax & registration', cost.onRoad],
+            ['Fuel/energy', cost.fuel],
+            ['Insurance', cost.insurance],
+            ['Servicing', cost.maintenance],
+            ['Tyres', cost.tyres]
+        ];
+
+        const rows = items.map(([label, amount]) => `
+            <li class="tco-row">
+              <span class="tco-label">${label}</span>
+              <span class="tco-value">${amount === null ? 'N/A' : format(amount)}</span>
+            </li>
+          `).join('');
+
+        return `
+        <div class="tco-container">
+          <div class="tco-title">Ownership cost (${cost.years} ${cost.years === 1 ? 'yr' : 'yrs'}, ${cost.annualKm.toLocaleString('en-IN')} km/yr)</div>
+          <ul class="tco-list">
+            ${rows}
+            <li class="tco-row">
+              <span class="tco-label">Resale value</span>
+              <span class="tco-value">−${format(cost.resale)}</span>
+            </li>
+            <li class="tco-row tco-total">
+              <span class="tco-label">Total</span>
+              <span class="tco-value">${cost.incomplete ? 'N/A' : format(cost.total)}</span>
+            </li>
+          </ul>
+          <div class="tco-summary">${cost.incomplete
+              ? 'No total without a fuel-efficiency figure'
+              : `${CarEfficiencyUtils.formatCurrency(cost.perKm)}/km · ${format(cost.perYear)}/year`}</div>
+        </div>
+      `;
+    }
+
+    /**
+     * Finance the scored car on the loan terms tried in the overlay, else
+     * those from settings
+     */
+    calculateFinancing() {
+        this.financing = CarEfficiencyFinance.calculateFinancing(
+            this.getActiveSpec(),
+            this.settings.fuelPrices,
+            this.financingTerms || this.settings.financing,
+            this.settings.ownership.annualKm
+        );
+    }
+
+    /**
+     * Apply the loan terms entered in the what-if panel and refresh its
+     * figures in place, so the panel stays open. Invalid terms are ignored.
+     */
+    updateFinancingTerms(overlay) {
+        const terms = {};
+        overlay.querySelectorAll('.finance-input').forEach(input => {
+            terms[input.dataset.term] = parseFloat(input.value);
+        });
+
+        const valid = CarEfficiencyFinance.validateFinancingTerms(terms);
+        overlay.querySelector('.finance-container').classList.toggle('finance-invalid', !valid);
+        if (!valid) return;
+
+        this.financingTerms = terms;
+        this.calculateFinancing();
+
+        overlay.querySelector('.finance-title').textContent = this.getFinancingTitle();
+        overlay.querySelector('.finance-results').innerHTML = this.buildFinancingResultsHTML();
+    }
+
+    /**
+     * Summary line of the financing panel
+     */
+    getFinancingTitle() {
+        return `Financing: ${CarEfficiencyUtils.formatRupees(this.financing.monthlyCost)}/month`;
+    }
+
+    /**
+     * Build the financing what-if panel: the loan terms as inputs, and the
+     * EMI, interest and monthly cost (EMI plus fuel) they give
+     */
+    buildFinancingHTML() {
+        const terms = this.financingTerms || this.settings.financing;
+        const limits = CarEfficiencyFinance.FINANCING_LIMITS;
+
+        const fields = [
+            ['downPaymentPercent', 'Down payment', '%', 1],
+            ['tenureYears', 'Tenure', 'yrs', 1],
+            ['interestRate', 'Interest', '%/yr', 0.05],
+            ['processingFeePercent', 'Processing fee', '%', 0.05]
+        ];
+
+        const inputs = fields.map(([term, label, unit, step]) => `
+            <label class="finance-field">
+              <span class="finance-label">${label}</span>
+              <input type="number" class="finance-input" data-term="${term}" value="${terms[term]}"
+                min="${limits[term][0]}" max="${limits[term][1]}" step="${step}">
+              <span class="finance-unit">${unit}</span>
+            </label>
+          `).join('');
+
+        return `
+        <details class="finance-container">
+          <summary class="finance-title">${this.getFinancingTitle()}</summary>
+          <div class="finance-inputs">${inputs}</div>
+          <ul class="finance-results">${this.buildFinancingResultsHTML()}</ul>
+        </details>
+      `;
+    }
+
+    /**
+     * Build the rows of the financing panel for the current loan terms
+     */
+    buildFinancingResultsHTML() {
+        const finance = this.financing;
+        const format = CarEfficiencyUtils.formatRupees;
+
+        const rows = [
+            ['On-road price', format(finance.onRoadPrice)],
+            ['Down payment', format(finance.downPayment)],
+            ['Loan', format(finance.loanAmount)],
+            [`EMI (${finance.tenureMonths} months)`, format(finance.emi)],
+            ['Total interest', format(finance.totalInterest)],
+            ['Processing fee', format(finance.processingFee)],
+            ['Fuel/energy a month', finance.runningCost === null ? 'N/A' : format(finance.runningCost)]
+        ];
+
+        return `
+            ${rows.map(([label, value]) => `
+              <li class="finance-row">
+                <span class="finance-label">${label}</span>
+                <span class="finance-value">${value}</span>
+              </li>
+            `).join('')}
+            <li class="finance-row finance-total">
+              <span class="finance-label">Monthly cost</span>
+              <span class="finance-value">${format(finance.monthlyCost)}</span>
+            </li>
+          `;
+    }
+
+    /**
+     * Build the debug panel: how long each step of the last analysis took
+     * and what the page snapshot held
+     */
+    buildDebugHTML() {
+        const stats = this.analysisStats;
+        if (!stats) return '';
+
+        const labels = {
+            snapshot: 'Page snapshot',
+            pickExtractor: 'Pick extractor',
+            extract: 'Extraction',
+            score: 'Scoring'
+        };
+        const total = Object.values(stats.timings).reduce((sum, duration) => sum + duration, 0);
+
+        const rows = Object.entries(stats.timings).map(([step, duration]) => `
+            <li class="debug-row">
+              <span class="debug-label">${labels[step] || CarEfficiencyUtils.escapeHtml(step)}</span>
+              <span class="debug-value">${duration} ms</span>
+            </li>
+          `).join('');
+
+        return `
+        <details class="debug-container">
+          <summary class="debug-title">Debug: analysis took ${Math.round(total)} ms</summary>
+          <ul class="debug-list">
+            ${rows}
+            <li class="debug-row">
+              <span class="debug-label">Page text</span>
+              <span class="debug-value">${stats.textLength.toLocaleString('en-IN')} chars, ${stats.headings} ${stats.headings === 1 ? 'heading' : 'headings'}</span>
+            </li>
+            <li class="debug-row">
+              <span class="debug-label">Shared lookups</span>
+              <span class="debug-value">${stats.derived}</span>
+            </li>
+          </ul>
+        </details>
+      `;
+    }
+
+    /**
+     * Build the variant selector with the best-scoring variant highlighted
+     */
+    buildVariantSelectorHTML() {
+        const best = this.variantScores.find(item => item.isBest);
+
+        const options = this.variantScores.map(item => `
+            <option value="${item.index}" ${item.index === this.selectedVariantIndex ? 'selected' : ''}>
+              ${item.isBest ? '★ ' : ''}${CarEfficiencyUtils.escapeHtml(item.variant.name)} · ₹${item.variant.price} lakh · ${item.score.composite}
+            </option>
+          `).join('');
+
+        return `
+        <div class="variant-selector">
+          <label class="variant-label" for="car-efficiency-variant">Variant</label>
+          <select class="variant-select" id="car-efficiency-variant">
+            <option value="" ${this.selectedVariantIndex === null ? 'selected' : ''}>Page summary</option>
+            ${options}
+          </select>
+          ${best ? `
+            <div class="best-variant${best.index === this.selectedVariantIndex ? ' selected' : ''}">
+              ★ Best-scoring: ${CarEfficiencyUtils.escapeHtml(best.variant.name)} (${best.score.composite})
+            </div>
+          ` : ''}
+        </div>
+      `;
+    }
+
+    /**
+     * Build the ranked table of a compare page's cars; clicking a row shows
+     * that car's full breakdown below
+     */
+    buildComparisonTableHTML() {
+        const activeSpec = this.getActiveSpec();
+        const ranked = [...this.comparisonScores].sort((a, b) => a.rank - b.rank);
+
+        const rows = ranked.map(item => {
+            const { composite, breakdown } = item.score;
+            return `
+            <tr class="comparison-row${item.spec === activeSpec ? ' selected' : ''}" data-index="${item.index}">
+              <td>${item.rank}</td>
+              <td class="comparison-name">${CarEfficiencyUtils.escapeHtml(item.spec.carName || `Car ${item.index + 1}`)}</td>
+              <td class="comparison-composite">${composite}</td>
+              <td>${breakdown.efficiency}</td>
+              <td>${breakdown.safety}</td>
+              <td>${breakdown.valueForMoney}</td>
+              <td>${breakdown.performancePerEfficiency}</td>
+              <td>${breakdown.practicality === null ? '–' : breakdown.practicality}</td>
+            </tr>
+          `;
+        }).join('');
+
+        return `
+        <div class="comparison-container">
+          <div class="comparison-title">Compared cars</div>
+          <table class="comparison-table">
+            <thead>
+              <tr>
+                <th>#</th><th>Car</th><th>Score</th>
+                <th title="Efficiency">Eff</th><th title="Safety">Safe</th><th title="Value">Val</th>
+                <th title="Performance per efficiency">Perf</th><th title="Practicality">Prac</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      `;
+    }
+
     /**
      * Add Gemini insights to overlay
      */
     addInsightsToOverlay(insights) {
+        this.currentInsights = insights;
+
         const container = document.getElementById('insights-container');
         if (!container) return;
 
@@ -0,0 +1,30 @@
+// extractors/autocarindia.js - Autocar India road-test extractor
+
+/**
+ * Autocar India extractor for road tests with tested economy and acceleration
+ */
+class AutocarIndiaExtractor extends CarEfficiencyExtractors.RoadTestExtractor {
+    constructor() {
+        super();
+        this.name = 'autocarindia';
+
+        this.articleSelectors = ['.article-content', '.road-test-content', 'article', '.story-content'];
+        this.dataRowSelectors = [
+            '.tech-specs tr',
+            '.road-test-data tr',
+            '.spec-table tr',
+            '.article-content table tr'
+        ];
+    }
+
+    /**
+     * Check if this extractor can handle the current page
+     */
+    canExtract() {
+        return window.location.hostname.includes('autocarindia.com');
+    }
+}
+
+// Export the Autocar India extractor
+window.CarEfficiencyExtractors = window.CarEfficiencyExtractors || {};
+window.CarEfficiencyExtractors.AutocarIndiaExtractor = AutocarIndiaExtractor;
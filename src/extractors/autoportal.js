@@ -0,0 +1,149 @@
+// extractors/autoportal.js - Autoportal specific extractor
+
+/**
+ * Autoportal specific extractor that extends the generic extractor
+ */
+class AutoportalExtractor extends CarEfficiencyExtractors.GenericExtractor {
+    constructor() {
+        super();
+        this.name = 'autoportal';
+
+        // Autoportal lists variants as table rows or cards
+        this.variantItemSelectors = [
+            '.variants-list tr', '.variant-table tr', '.price-list tr', '.variants-list li', '.variant-item'
+        ];
+
+        this.layoutSelectors = {
+            name: '.model-title, .car-title',
+            specTable: '.specifications tr, .specs-table tr, #specifications tr, .spec-table tr',
+            variants: this.variantItemSelectors.join(', ')
+        };
+    }
+
+    /**
+     * Check if this extractor can handle the current page
+     */
+    canExtract() {
+        return window.location.hostname.includes('autoportal.com');
+    }
+
+    /**
+     * Extract car specifications with Autoportal-specific selectors
+     */
+    extract() {
+        // Start with generic extraction
+        const spec = super.extract();
+
+        // Enhance with Autoportal-specific extraction
+        this.enhanceWithAutoportalData(spec);
+
+        return spec;
+    }
+
+    /**
+     * Enhance specification data with Autoportal spec tables and variant prices
+     */
+    enhanceWithAutoportalData(spec) {
+        // Try to get car name from Autoportal specific elements
+        const carNameElement = document.querySelector('.model-title, .car-title, h1');
+        if (carNameElement && !spec.carName) {
+            spec.carName = carNameElement.textContent.trim();
+        }
+
+        const rows = this.collectSpecRows();
+
+        // Each field's labels and the quantity kind its value is parsed as
+        // (null for plain counts)
+        const fieldLabels = {
+            mileage: { kind: 'efficiency', labels: ['Mileage (ARAI)', 'ARAI Mileage', 'Mileage', 'Fuel Economy'] },
+            displacement: { kind: 'displacement', labels: ['Engine Displacement', 'Displacement', 'Engine Capacity'] },
+            power: { kind: 'power', labels: ['Max Power', 'Maximum Power', 'Power'] },
+            torque: { kind: 'torque', labels: ['Max Torque', 'Maximum Torque', 'Torque'] },
+            kerbWeight: { kind: 'weight', labels: ['Kerb Weight', 'Curb Weight'] },
+            airbags: { kind: null, labels: ['Number of Airbags', 'No. of Airbags', 'Airbags'] },
+            gears: { kind: null, labels: ['Number of Gears', 'No. of Gears', 'Gears'] },
+            groundClearance: { kind: 'length', labels: ['Ground Clearance'] },
+            seatingCapacity: { kind: null, labels: ['Seating Capacity'] },
+            bootSpace: { kind: 'volume', labels: ['Boot Space', 'Luggage Capacity'] },
+            fuelTankCapacity: { kind: 'volume', labels: ['Fuel Tank Capacity', 'Fuel Tank'] },
+            wheelbase: { kind: 'length', labels: ['Wheelbase', 'Wheel Base'] },
+            turningRadius: { kind: 'radius', labels: ['Minimum Turning Radius', 'Turning Radius'] }
+        };
+
+        for (const [field, { kind, labels }] of Object.entries(fieldLabels)) {
+            const parse = kind
+                ? value => CarEfficiencyUtils.parseQuantityValue(value, kind)
+                : value => CarEfficiencyUtils.parseNumber(value);
+            const row = this.findRow(rows, labels, parse);
+            if (row && !spec[field]) {
+                this.setSpecField(spec, field, row.parsed, `spec table "${row.label}"`);
+            }
+        }
+
+        // Variant price list gives the real base price and the top-end price;
+        // the base price replaces whatever price the page headlined
+        if (spec.variants && spec.variants.length > 0) {
+            const prices = spec.variants.map(variant => variant.price);
+            spec.priceMin = Math.min(...prices);
+            spec.priceMax = Math.max(...prices);
+            this.setSpecField(spec, 'price', spec.priceMin, 'variant price list (lowest)');
+        }
+    }
+
+    /**
+     * Set a spec field from Autoportal data and record its source
+     */
+    setSpecField(spec, field, value, detail) {
+        spec[field] = value;
+        CarEfficiencyUtils.recordSource(spec, field, this.name, detail,
+            CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable);
+    }
+
+    /**
+     * Collect label/value pairs from Autoportal specification tables
+     */
+    collectSpecRows() {
+        const rows = [];
+        const tableRows = CarEfficiencySnapshot.getSnapshot().getRows(
+            '.specifications tr, .specs-table tr, #specifications tr, .spec-table tr'
+        );
+
+        for (const { cells } of tableRows) {
+            if (cells.length >= 2) {
+                rows.push({
+                    label: cells[0].toLowerCase(),
+                    value: cells[1]
+                });
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Find the first row whose label matches one of the labels and whose
+     * value parses, returned with the parsed value. Labels that only start
+     * with one of the labels ("Power Steering" for "Power") are skipped
+     * when their value does not parse.
+     */
+    findRow(rows, labels, parse) {
+        for (const label of labels) {
+            const lowerLabel = label.toLowerCase();
+            const candidates = [
+                ...rows.filter(item => item.label === lowerLabel),
+                ...rows.filter(item => item.label !== lowerLabel && item.label.startsWith(lowerLabel))
+            ];
+
+            for (const row of candidates) {
+                const parsed = row.value ? parse(row.value) : null;
+                if (parsed) return { ...row, parsed };
+            }
+        }
+
+        return null;
+    }
+}
+
+// Export the Autoportal extractor
+window.CarEfficiencyExtractors = window.CarEfficiencyExtractors || {};
+window.CarEfficiencyExtractors.AutoportalExtractor = AutoportalExtractor;
@@ -7,6 +7,15 @@ class CarDekhoExtractor extends CarEfficiencyExtractors.GenericExtractor {
     constructor() {
         super();
         this.name = 'cardekho';
+
+        // Selector (or structured-data path) the last extracted price came from
+        this.lastPriceSource = null;
+
+        this.layoutSelectors = {
+            name: '.car-name, .model-name, .car-title, h1.heading',
+            specTable: '.spec-table, .specifications-table, .car-specs-table, .feature-table',
+            price: '.price-value, .car-price, .price-range, .starting-price, .ex-showroom-price, [data-price]'
+        };
     }
 
     /**
@@ -40,68 +49,127 @@ class CarDekhoExtractor extends CarEfficiencyExtractors.GenericExtractor {
         }
 
         // Extract mileage from CarDekho specification tables
-        const mileage = this.extractFromSpecTable(['Mileage', 'ARAI Mileage', 'City Mileage', 'Highway Mileage']);
+        const mileage = this.findInSpecTable(['Mileage', 'ARAI Mileage', 'City Mileage', 'Highway Mileage']);
         if (mileage && !spec.mileage) {
-            spec.mileage = mileage;
+            spec.mileage = mileage.value;
+            this.recordTableSource(spec, 'mileage', mileage);
         }
 
         // Extract range for electric vehicles
-        const range = this.extractFromSpecTable(['Range', 'Driving Range', 'ARAI Range', 'Electric Range']);
+        const range = this.findInSpecTable(['Range', 'Driving Range', 'ARAI Range', 'Electric Range']);
         if (range && !spec.range) {
-            spec.range = range;
+            spec.range = range.value;
+            this.recordTableSource(spec, 'range', range);
         }
 
         // Extract battery capacity
-        const battery = this.extractFromSpecTable(['Battery Capacity', 'Battery', 'Battery Pack', 'kWh']);
+        const battery = this.findInSpecTable(['Battery Capacity', 'Battery', 'Battery Pack', 'kWh']);
         if (battery && !spec.batteryCapacity) {
-            spec.batteryCapacity = battery;
+            spec.batteryCapacity = battery.value;
+            this.recordTableSource(spec, 'batteryCapacity', battery);
         }
 
         // Extract power
-        const power = this.extractFromSpecTable(['Max Power', 'Power', 'Peak Power', 'Maximum Power']);
+        const power = this.findInSpecTable(['Max Power', 'Power', 'Peak Power', 'Maximum Power']);
         if (power && !spec.power) {
-            spec.power = this.convertPowerToKW(power);
+            spec.power = CarEfficiencyUtils.parseQuantityValue(power.text, 'power');
+            this.recordTableSource(spec, 'power', power);
         }
 
         // Extract kerb weight
-        const weight = this.extractFromSpecTable(['Kerb Weight', 'Curb Weight', 'Weight', 'Unladen Weight']);
+        const weight = this.findInSpecTable(['Kerb Weight', 'Curb Weight', 'Weight', 'Unladen Weight']);
         if (weight && !spec.kerbWeight) {
-            spec.kerbWeight = weight;
+            spec.kerbWeight = CarEfficiencyUtils.parseQuantityValue(weight.text, 'weight');
+            this.recordTableSource(spec, 'kerbWeight', weight);
+        }
+
+        // Extract practicality figures from the dimensions & capacity table
+        const practicalityLabels = {
+            seatingCapacity: ['Seating Capacity'],
+            bootSpace: ['Boot Space', 'Luggage Capacity'],
+            fuelTankCapacity: ['Fuel Tank Capacity', 'Fuel Tank'],
+            wheelbase: ['Wheel Base', 'Wheelbase'],
+            turningRadius: ['Turning Radius', 'Minimum Turning Radius']
+        };
+        for (const [field, labels] of Object.entries(practicalityLabels)) {
+            const match = this.findInSpecTable(labels);
+            const value = match ? this.parseFieldValue(field, match.text) : null;
+            if (value && !spec[field]) {
+                spec[field] = value;
+                this.recordTableSource(spec, field, match);
+            }
         }
 
         // Extract safety features
-        const airbags = this.extractFromSpecTable(['Airbags', 'No. of Airbags', 'Total Airbags', 'Air Bags']);
+        const airbags = this.findInSpecTable(['Airbags', 'No. of Airbags', 'Total Airbags', 'Air Bags']);
         if (airbags && !spec.airbags) {
-            spec.airbags = airbags;
+            spec.airbags = airbags.value;
+            this.recordTableSource(spec, 'airbags', airbags);
         }
 
         // Extract price from CarDekho price elements
         const price = this.extractCarDekhoPrice();
         if (price && !spec.price) {
             spec.price = price;
+            CarEfficiencyUtils.recordSource(spec, 'price', this.name, this.lastPriceSource,
+                CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable);
         }
 
         // Extract NCAP rating
-        const ncap = this.extractFromSpecTable(['NCAP Rating', 'Safety Rating', 'Star Rating', 'Global NCAP']);
-        if (ncap && !spec.ncapStars) {
-            spec.ncapStars = ncap;
+        const ncap = this.findInSpecTable(['NCAP Rating', 'Safety Rating', 'Global NCAP', 'Bharat NCAP']);
+        if (ncap && !spec.ncapStars && ncap.value >= 0 && ncap.value <= 5) {
+            spec.ncapStars = ncap.value;
+            this.recordTableSource(spec, 'ncapStars', ncap);
         }
 
+        // Features the spec rows already list (fitted or not) are settled
+        const listedFeatures = spec.safetyFeatures || {};
+
         // Check for ESC/ESP in safety features
-        if (!spec.esc) {
+        if (!spec.esc && listedFeatures.esc === undefined) {
             spec.esc = this.checkSafetyFeature(['ESC', 'ESP', 'Electronic Stability Control', 'Electronic Stability Program']);
+            if (spec.esc) {
+                CarEfficiencyUtils.recordSource(spec, 'esc', this.name, 'safety feature list',
+                    CarEfficiencyUtils.SOURCE_CONFIDENCE.keyword);
+            }
         }
 
         // Check for ISOFIX
-        if (!spec.isofix) {
+        if (!spec.isofix && listedFeatures.isofix === undefined) {
             spec.isofix = this.checkSafetyFeature(['ISOFIX', 'ISO FIX', 'Child Seat Anchor', 'ISOFIX Anchor Points']);
+            if (spec.isofix) {
+                CarEfficiencyUtils.recordSource(spec, 'isofix', this.name, 'safety feature list',
+                    CarEfficiencyUtils.SOURCE_CONFIDENCE.keyword);
+            }
         }
     }
 
+    /**
+     * Record a spec-table match as the source of a field
+     */
+    recordTableSource(spec, field, match) {
+        CarEfficiencyUtils.recordSource(
+            spec,
+            field,
+            this.name,
+            `${match.selector} "${match.label}"`,
+            CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable
+        );
+    }
+
     /**
      * Extract value from CarDekho specification tables
      */
     extractFromSpecTable(labels) {
+        const match = this.findInSpecTable(labels);
+        return match ? match.value : null;
+    }
+
+    /**
+     * Find a value in CarDekho specification tables along with its raw cell
+     * text and the selector and row label it came from: { value, text, selector, label }
+     */
+    findInSpecTable(labels) {
         // Try different table structures used by CarDekho
         const tableSelectors = [
             '.spec-table tr',
@@ -111,24 +179,27 @@ class CarDekhoExtractor extends CarEfficiencyExtractors.GenericExtractor {
             'table tr'
         ];
 
+        // Rows come from the analysis's page snapshot, so each selector is
+        // queried once however many fields are looked up
+        const snapshot = CarEfficiencySnapshot.getSnapshot();
+
         for (const selector of tableSelectors) {
-            const rows = document.querySelectorAll(selector);
-
-            for (const row of rows) {
-                const cells = row.querySelectorAll('td, th');
-                if (cells.length >= 2) {
-                    const labelCell = cells[0];
-                    const valueCell = cells[1];
-
-                    const labelText = labelCell.textContent.trim().toLowerCase();
-                    const valueText = valueCell.textContent.trim();
-
-                    for (const label of labels) {
-                        if (labelText.includes(label.toLowerCase())) {
-                            const numValue = CarEfficiencyUtils.parseNumber(valueText);
-                            if (numValue !== null) {
-                                return numValue;
-                            }
+            for (const { cells } of snapshot.getRows(selector)) {
+                if (cells.length < 2) continue;
+
+                const [labelText, valueText] = cells;
+                const lowerLabel = labelText.toLowerCase();
+
+                for (const label of labels) {
+                    if (lowerLabel.includes(label.toLowerCase())) {
+                        const numValue = CarEfficiencyUtils.parseNumber(valueText);
+                        if (numValue !== null) {
+                            return {
+                                value: numValue,
+                                text: valueText,
+                                selector,
+                                label: labelText
+                            };
                         }
                     }
                 }
@@ -157,7 +228,10 @@ class CarDekhoExtractor extends CarEfficiencyExtractors.GenericExtractor {
                 const priceText = priceElement.textContent || priceElement.getAttribute('data-price');
                 if (priceText) {
                     const price = this.parseCarDekhoPrice(priceText);
-                    if (price) return price;
+                    if (price) {
+                        this.lastPriceSource = selector;
+                        return price;
+                    }
                 }
             }
         }
@@ -168,9 +242,10 @@ class CarDekhoExtractor extends CarEfficiencyExtractors.GenericExtractor {
             try {
                 const data = JSON.parse(script.textContent);
                 if (data.offers && data.offers.price) {
-                    const price = CarEfficiencyUtils.parseNumber(data.offers.price);
-                    if (price && price > 100000) { // Convert to lakhs
-                        return price / 100000;
+                    const price = CarEfficiencyUtils.parseQuantityValue(data.offers.price, 'price');
+                    if (price && price >= 1) {
+                        this.lastPriceSource = 'JSON-LD offers.price';
+                        return price;
                     }
                 }
             } catch (e) {
@@ -187,55 +262,27 @@ class CarDekhoExtractor extends CarEfficiencyExtractors.GenericExtractor {
     parseCarDekhoPrice(priceText) {
         if (!priceText) return null;
 
-        // Remove currency symbols and clean text
-        let cleaned = priceText.replace(/[₹$,]/g, '').trim();
-
-        // Handle "X.XX Lakh" or "X.XX Crore" format
-        const lakhMatch = cleaned.match(/(\d+(?:\.\d+)?)\s*lakh/i);
-        if (lakhMatch) {
-            return CarEfficiencyUtils.parseNumber(lakhMatch[1]);
-        }
-
-        const croreMatch = cleaned.match(/(\d+(?:\.\d+)?)\s*crore/i);
-        if (croreMatch) {
-            return CarEfficiencyUtils.parseNumber(croreMatch[1]) * 100;
-        }
+        // Handles "X.XX Lakh", "X.XX Crore", ranges and full rupee amounts
+        const price = CarEfficiencyUtils.parseQuantityValue(priceText, 'price');
 
-        // Handle plain numbers (assume lakhs if reasonable range)
-        const plainNumber = CarEfficiencyUtils.parseNumber(cleaned);
-        if (plainNumber && plainNumber >= 3 && plainNumber <= 100) {
-            return plainNumber;
+        // Anything outside this range is not a car price in lakh
+        if (price && price >= 1 && price <= 500) {
+            return price;
         }
 
         return null;
     }
 
-    /**
-     * Convert power to kW if needed
-     */
-    convertPowerToKW(power) {
-        if (!power) return null;
-
-        // If the page text around power mentions HP/BHP, convert to kW
-        const powerElements = document.querySelectorAll('*');
-        for (const element of powerElements) {
-            const text = element.textContent;
-            if (text.includes(power.toString()) && (text.includes('hp') || text.includes('bhp'))) {
-                return power * 0.746; // Convert HP to kW
-            }
-        }
-
-        return power; // Assume already in kW
-    }
-
     /**
      * Check if a safety feature is present
      */
     checkSafetyFeature(featureNames) {
-        const safetyElements = document.querySelectorAll('.safety-features, .features-list, .spec-table, .car-features');
+        // Each feature checks the same sections, so their text is read once
+        const sectionTexts = CarEfficiencySnapshot.getSnapshot().remember('cardekho safety sections', () =>
+            Array.from(document.querySelectorAll('.safety-features, .features-list, .spec-table, .car-features'),
+                element => CarEfficiencyUtils.localizeText(element.textContent).toLowerCase()));
 
-        for (const element of safetyElements) {
-            const text = element.textContent.toLowerCase();
+        for (const text of sectionTexts) {
             for (const featureName of featureNames) {
                 if (text.includes(featureName.toLowerCase())) {
                     return true;
@@ -247,24 +294,16 @@ class CarDekhoExtractor extends CarEfficiencyExtractors.GenericExtractor {
     }
 
     /**
-     * Extract fuel type with CarDekho-specific logic
+     * Count CarDekho's fuel-type badges as spec-table powertrain evidence
      */
-    extractFuelType(text) {
-        // Try to get fuel type from CarDekho specific elements
-        const fuelElements = document.querySelectorAll('.fuel-type, .engine-type, [data-fuel-type]');
-
-        for (const element of fuelElements) {
-            const fuelText = element.textContent || element.getAttribute('data-fuel-type');
-            if (fuelText) {
-                const fuelType = CarEfficiencyUtils.guessFuelType(fuelText);
-                if (fuelType !== 'petrol') { // Only use if we found something specific
-                    return fuelType;
-                }
-            }
-        }
-
-        // Fall back to generic extraction
-        return super.extractFuelType(text);
+    collectPowertrainEvidence(pageText) {
+        const evidence = super.collectPowertrainEvidence(pageText);
+        const badges = CarEfficiencySnapshot.getSnapshot().remember('cardekho fuel badges', () =>
+            Array.from(document.querySelectorAll('.fuel-type, .engine-type, [data-fuel-type]'),
+                element => CarEfficiencyUtils.localizeText(element.textContent || element.getAttribute('data-fuel-type'))));
+
+        evidence.specTable = [evidence.specTable, ...badges].join(' . ');
+        return evidence;
     }
 }
 
@@ -7,6 +7,13 @@ class CarWaleExtractor extends CarEfficiencyExtractors.GenericExtractor {
     constructor() {
         super();
         this.name = 'carwale';
+
+        this.layoutSelectors = {
+            name: '.car-name, .model-name, .car-header h1, .vehicle-name',
+            keySpecs: '.key-specs, .quick-specs, .overview-specs',
+            specifications: '.specifications dl, .specifications table, .specs-table, .spec-list',
+            price: '.price-value, .car-price, .price-section .price, .starting-price, .price-range .from, [data-price]'
+        };
     }
 
     /**
@@ -46,54 +53,34 @@ class CarWaleExtractor extends CarEfficiencyExtractors.GenericExtractor {
         const price = this.extractCarWalePrice();
         if (price && !spec.price) {
             spec.price = price;
+            CarEfficiencyUtils.recordSource(spec, 'price', this.name, 'price section',
+                CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable);
         }
 
         // Extract mileage from CarWale specific sections
         const mileage = this.extractCarWaleMileage();
         if (mileage && !spec.mileage) {
             spec.mileage = mileage;
+            CarEfficiencyUtils.recordSource(spec, 'mileage', this.name, 'key specs mileage',
+                CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable);
         }
 
-        // Extract safety rating from CarWale reviews
+        // Extract the crash-test rating (never the user review rating)
         const rating = this.extractCarWaleRating();
-        if (rating && !spec.ncapStars) {
+        if (rating !== null && !spec.ncapStars) {
             spec.ncapStars = rating;
+            CarEfficiencyUtils.recordSource(spec, 'ncapStars', this.name, 'crash-test rating block',
+                CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable);
         }
     }
 
     /**
      * Extract specifications from CarWale's specification sections
+     * (definition lists, spec tables and key/value cards)
      */
     extractFromCarWaleSpecs(spec) {
-        // CarWale often uses definition lists for specifications
-        const dlElements = document.querySelectorAll('dl, .spec-list, .specifications');
-
-        for (const dl of dlElements) {
-            const terms = dl.querySelectorAll('dt, .spec-term, .label');
-            const definitions = dl.querySelectorAll('dd, .spec-value, .value');
-
-            for (let i = 0; i < Math.min(terms.length, definitions.length); i++) {
-                const term = terms[i].textContent.trim().toLowerCase();
-                const value = definitions[i].textContent.trim();
-
-                this.mapCarWaleSpec(spec, term, value);
-            }
-        }
-
-        // Also try table format
-        const tables = document.querySelectorAll('.specs-table, .specification-table, table');
-        for (const table of tables) {
-            const rows = table.querySelectorAll('tr');
-
-            for (const row of rows) {
-                const cells = row.querySelectorAll('td, th');
-                if (cells.length >= 2) {
-                    const term = cells[0].textContent.trim().toLowerCase();
-                    const value = cells[1].textContent.trim();
-
-                    this.mapCarWaleSpec(spec, term, value);
-                }
-            }
+        for (const { label, value } of this.collectLabelValuePairs()) {
+            this.mapCarWaleSpec(spec, label, value);
         }
     }
 
@@ -103,46 +90,69 @@ class CarWaleExtractor extends CarEfficiencyExtractors.GenericExtractor {
     mapCarWaleSpec(spec, term, value) {
         const numValue = CarEfficiencyUtils.parseNumber(value);
 
+        const setField = (field, fieldValue, confidence = CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable) => {
+            spec[field] = fieldValue;
+            CarEfficiencyUtils.recordSource(spec, field, this.name, `spec list "${term}"`, confidence);
+        };
+
         // Mileage/Efficiency
         if (term.includes('mileage') || term.includes('fuel efficiency') || term.includes('arai')) {
-            if (!spec.mileage && numValue) spec.mileage = numValue;
+            const mileage = CarEfficiencyUtils.parseQuantityValue(value, 'efficiency');
+            if (!spec.mileage && mileage) setField('mileage', mileage);
         }
 
         // Range (for EVs)
         else if (term.includes('range') || term.includes('driving range')) {
-            if (!spec.range && numValue) spec.range = numValue;
+            if (!spec.range && numValue) setField('range', numValue);
         }
 
         // Battery capacity
         else if (term.includes('battery') && (term.includes('capacity') || term.includes('kwh'))) {
-            if (!spec.batteryCapacity && numValue) spec.batteryCapacity = numValue;
+            if (!spec.batteryCapacity && numValue) setField('batteryCapacity', numValue);
         }
 
         // Power
         else if (term.includes('power') && (term.includes('max') || term.includes('peak'))) {
-            if (!spec.power && numValue) {
-                // Convert HP to kW if needed
-                spec.power = value.toLowerCase().includes('hp') ? numValue * 0.746 : numValue;
-            }
+            const power = CarEfficiencyUtils.parseQuantityValue(value, 'power');
+            if (!spec.power && power) setField('power', power);
         }
 
         // Weight
         else if (term.includes('weight') && (term.includes('kerb') || term.includes('curb'))) {
-            if (!spec.kerbWeight && numValue) spec.kerbWeight = numValue;
+            const weight = CarEfficiencyUtils.parseQuantityValue(value, 'weight');
+            if (!spec.kerbWeight && weight) setField('kerbWeight', weight);
         }
 
-        // Airbags
-        else if (term.includes('airbag')) {
-            if (!spec.airbags && numValue) spec.airbags = numValue;
+        // Practicality
+        else if (term.includes('seating capacity')) {
+            const seats = this.parseFieldValue('seatingCapacity', value);
+            if (!spec.seatingCapacity && seats) setField('seatingCapacity', seats);
+        }
+
+        else if (term.includes('boot space') || term.includes('bootspace') || term.includes('luggage')) {
+            const boot = this.parseFieldValue('bootSpace', value);
+            if (!spec.bootSpace && boot) setField('bootSpace', boot);
+        }
+
+        else if (term.includes('fuel tank')) {
+            const tank = this.parseFieldValue('fuelTankCapacity', value);
+            if (!spec.fuelTankCapacity && tank) setField('fuelTankCapacity', tank);
         }
 
-        // Safety features
-        else if (term.includes('esc') || term.includes('esp') || term.includes('stability')) {
-            if (!spec.esc) spec.esc = true;
+        else if (term.includes('wheelbase') || term.includes('wheel base')) {
+            const wheelbase = this.parseFieldValue('wheelbase', value);
+            if (!spec.wheelbase && wheelbase) setField('wheelbase', wheelbase);
         }
 
-        else if (term.includes('isofix')) {
-            if (!spec.isofix) spec.isofix = true;
+        else if (term.includes('turning radius')) {
+            const radius = this.parseFieldValue('turningRadius', value);
+            if (!spec.turningRadius && radius) setField('turningRadius', radius);
+        }
+
+        // Airbags (ESC, ISOFIX and the other safety features come from the
+        // generic feature rows, which also read "No" values)
+        else if (term.includes('airbag')) {
+            if (!spec.airbags && numValue) setField('airbags', numValue);
         }
     }
 
@@ -191,31 +201,12 @@ class CarWaleExtractor extends CarEfficiencyExtractors.GenericExtractor {
     parseCarWalePrice(priceText) {
         if (!priceText) return null;
 
-        // Clean the price text
-        let cleaned = priceText.replace(/[₹$,]/g, '').trim();
-
-        // Handle "Rs X.XX Lakh" format
-        const rsLakhMatch = cleaned.match(/rs\.?\s*(\d+(?:\.\d+)?)\s*lakh/i);
-        if (rsLakhMatch) {
-            return CarEfficiencyUtils.parseNumber(rsLakhMatch[1]);
-        }
-
-        // Handle "X.XX Lakh" format
-        const lakhMatch = cleaned.match(/(\d+(?:\.\d+)?)\s*lakh/i);
-        if (lakhMatch) {
-            return CarEfficiencyUtils.parseNumber(lakhMatch[1]);
-        }
-
-        // Handle "X.XX Crore" format
-        const croreMatch = cleaned.match(/(\d+(?:\.\d+)?)\s*crore/i);
-        if (croreMatch) {
-            return CarEfficiencyUtils.parseNumber(croreMatch[1]) * 100;
-        }
+        // Handles "Rs X.XX Lakh", "X.XX Crore", ranges and full rupee amounts
+        const price = CarEfficiencyUtils.parseQuantityValue(priceText, 'price');
 
-        // Handle plain numbers in reasonable range
-        const plainNumber = CarEfficiencyUtils.parseNumber(cleaned);
-        if (plainNumber && plainNumber >= 3 && plainNumber <= 100) {
-            return plainNumber;
+        // Anything outside this range is not a car price in lakh
+        if (price && price >= 1 && price <= 500) {
+            return price;
         }
 
         return null;
@@ -251,26 +242,22 @@ class CarWaleExtractor extends CarEfficiencyExtractors.GenericExtractor {
     }
 
     /**
-     * Extract safety rating from CarWale
+     * Extract the NCAP star rating from CarWale's crash-test block. Review
+     * widgets show user ratings on the same 1-5 scale, so a generic star
+     * rating only counts when it names a crash test.
      */
     extractCarWaleRating() {
-        // Look for NCAP ratings in CarWale reviews/safety sections
-        const safetySection = document.querySelector('.safety-rating, .ncap-rating, .star-rating');
+        const safetySection = document.querySelector('.ncap-rating, .safety-rating, .crash-test-rating');
         if (safetySection) {
-            const ratingText = safetySection.textContent;
-            const starMatch = ratingText.match(/(\d)\s*star/i);
-            if (starMatch) {
-                return CarEfficiencyUtils.parseNumber(starMatch[1]);
-            }
+            const stars = this.parseCrashStars(CarEfficiencyUtils.localizeText(safetySection.textContent));
+            if (stars !== null) return stars;
         }
 
-        // Look for ratings in structured data
-        const ratingElements = document.querySelectorAll('[data-rating], .rating-value');
-        for (const element of ratingElements) {
-            const rating = element.textContent || element.getAttribute('data-rating');
-            const numRating = CarEfficiencyUtils.parseNumber(rating);
-            if (numRating && numRating >= 1 && numRating <= 5) {
-                return numRating;
+        for (const element of document.querySelectorAll('.star-rating')) {
+            const ratingText = CarEfficiencyUtils.localizeText(element.textContent);
+            if (/ncap|crash[\s-]test/i.test(ratingText) && !/user|review/i.test(ratingText)) {
+                const stars = this.parseCrashStars(ratingText);
+                if (stars !== null) return stars;
             }
         }
 
@@ -278,36 +265,23 @@ class CarWaleExtractor extends CarEfficiencyExtractors.GenericExtractor {
     }
 
     /**
-     * Extract fuel type with CarWale-specific logic
+     * Count CarWale's fuel labels as spec-table powertrain evidence. Variant
+     * options may name other fuels the model comes in, so they only count as
+     * body text.
      */
-    extractFuelType(text) {
-        // Look for fuel type in CarWale's variant selector or specs
-        const fuelElements = document.querySelectorAll('.fuel-type, .variant-fuel, .engine-fuel');
-
-        for (const element of fuelElements) {
-            const fuelText = element.textContent;
-            if (fuelText) {
-                const fuelType = CarEfficiencyUtils.guessFuelType(fuelText);
-                if (fuelType !== 'petrol') { // Only use if we found something specific
-                    return fuelType;
-                }
-            }
-        }
-
-        // Check variant dropdown options
-        const variantOptions = document.querySelectorAll('.variant-option, option[value*="fuel"]');
-        for (const option of variantOptions) {
-            const optionText = option.textContent || option.value;
-            if (optionText) {
-                const fuelType = CarEfficiencyUtils.guessFuelType(optionText);
-                if (fuelType !== 'petrol') {
-                    return fuelType;
-                }
-            }
-        }
-
-        // Fall back to generic extraction
-        return super.extractFuelType(text);
+    collectPowertrainEvidence(pageText) {
+        const evidence = super.collectPowertrainEvidence(pageText);
+        const snapshot = CarEfficiencySnapshot.getSnapshot();
+        const fuelLabels = snapshot.remember('carwale fuel labels', () =>
+            Array.from(document.querySelectorAll('.fuel-type, .variant-fuel, .engine-fuel'),
+                element => CarEfficiencyUtils.localizeText(element.textContent)));
+        const variantOptions = snapshot.remember('carwale variant options', () =>
+            Array.from(document.querySelectorAll('.variant-option, option[value*="fuel"]'),
+                option => CarEfficiencyUtils.localizeText(option.textContent || option.value)));
+
+        evidence.specTable = [evidence.specTable, ...fuelLabels].join(' . ');
+        evidence.body = [evidence.body, ...variantOptions].join(' . ');
+        return evidence;
     }
 }
 
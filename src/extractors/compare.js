@@ -0,0 +1,283 @@
+// extractors/compare.js - Side-by-side compare page extractor
+
+/**
+ * Compare page extractor (CarDekho, CarWale and similar "A vs B" pages).
+ * Reads a column layout of 2-4 cars into one spec per column, attached to
+ * the page spec as `comparison`.
+ */
+class CompareExtractor extends CarEfficiencyExtractors.GenericExtractor {
+    constructor() {
+        super();
+        this.name = 'compare';
+
+        // Compare pages live under /compare/ or are named "swift-vs-baleno"
+        this.comparePathPattern = /\/compare|-vs-/i;
+
+        // Compare pages show at most this many cars side by side
+        this.maxColumns = 4;
+
+        // Rows of div-based comparison grids; table rows are always checked
+        this.gridRowSelectors = ['.compare-row', '.comparison-row', '.cmp-row', '[data-compare-row]'];
+
+        // Header cell elements holding the car name (the cell also shows price and links)
+        this.columnNameSelectors = ['.car-name', '.model-name', '.name', 'h2', 'h3', 'h4', 'a', 'strong'];
+
+        // Header cell elements holding the car's price
+        this.columnPriceSelectors = ['.price', '.car-price', '[class*="price"]'];
+
+        this.layoutSelectors = {
+            comparisonRows: ['table tr', ...this.gridRowSelectors].join(', ')
+        };
+    }
+
+    /**
+     * Handle compare URLs that lay out at least two cars in columns
+     */
+    canExtract() {
+        return this.comparePathPattern.test(window.location.pathname) && this.findComparisonGrid() !== null;
+    }
+
+    /**
+     * Extract the page spec plus one spec per compared car
+     */
+    extract() {
+        const spec = super.extract();
+
+        const grid = this.findComparisonGrid();
+        spec.comparison = grid
+            ? grid.columns.map((column, index) => this.buildColumnSpec(column, index))
+            : [];
+
+        return spec;
+    }
+
+    /**
+     * Find the side-by-side layout: rows holding a label cell followed by one
+     * value cell per car, under a header row naming the cars. Returns
+     * { columns: [{ name, priceText, pairs }] } or null. The page is scanned
+     * once per analysis; canExtract and extract share the result.
+     */
+    findComparisonGrid() {
+        return CarEfficiencySnapshot.getSnapshot().remember('comparison grid', () => this.scanComparisonGrid());
+    }
+
+    /**
+     * Scan table rows, then div-based grid rows, for a comparison grid.
+     * Rows come from the snapshot, which the variant tables share.
+     */
+    scanComparisonGrid() {
+        const snapshot = CarEfficiencySnapshot.getSnapshot();
+        const layouts = [
+            snapshot.getRows('tr').map(({ element }) =>
+                Array.from(element.children).filter(cell => /^(?:TD|TH)$/.test(cell.tagName))),
+            snapshot.getRows(this.gridRowSelectors.join(', ')).map(({ element }) =>
+                Array.from(element.children))
+        ];
+
+        for (const rows of layouts) {
+            const grid = this.readGrid(rows);
+            if (grid) return grid;
+        }
+
+        return null;
+    }
+
+    /**
+     * Read rows of cells as a comparison grid, or null if they are not one
+     */
+    readGrid(rows) {
+        const columnCount = this.findColumnCount(rows);
+        if (!columnCount) return null;
+
+        // The header names every car; it may leave out the label cell
+        const headerIndex = rows.findIndex(cells =>
+            (cells.length === columnCount + 1 || cells.length === columnCount) &&
+            this.isHeaderRow(cells.slice(cells.length - columnCount))
+        );
+        if (headerIndex === -1) return null;
+
+        const headerCells = rows[headerIndex].slice(rows[headerIndex].length - columnCount);
+        const columns = headerCells.map(cell => {
+            const name = this.readColumnName(cell);
+            return { name, priceText: this.readColumnPrice(cell, name), pairs: [] };
+        });
+
+        rows.forEach((cells, rowIndex) => {
+            if (rowIndex === headerIndex || cells.length !== columnCount + 1) return;
+
+            const label = CarEfficiencyUtils.localizeText(cells[0].textContent)
+                .replace(/\s+/g, ' ').trim().replace(/\s*:$/, '').toLowerCase();
+            if (!label || label.length > 60) return;
+
+            cells.slice(1).forEach((cell, columnIndex) => {
+                const value = CarEfficiencyUtils.localizeText(cell.textContent).replace(/\s+/g, ' ').trim();
+                if (value && value.length <= 120) {
+                    columns[columnIndex].pairs.push({ label, value, layout: `compare column ${columnIndex + 1}` });
+                }
+            });
+        });
+
+        return columns.every(column => column.name && column.pairs.length > 0) ? { columns } : null;
+    }
+
+    /**
+     * The most common number of value cells per row, if it is 2-4 and at
+     * least three rows share it
+     */
+    findColumnCount(rows) {
+        const counts = {};
+        for (const cells of rows) {
+            const valueCells = cells.length - 1;
+            if (valueCells >= 2 && valueCells <= this.maxColumns) {
+                counts[valueCells] = (counts[valueCells] || 0) + 1;
+            }
+        }
+
+        const [best] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+        return best && best[1] >= 3 ? Number(best[0]) : null;
+    }
+
+    /**
+     * A header row names cars: every cell has text and none is a bare number
+     */
+    isHeaderRow(cells) {
+        return cells.every(cell => {
+            const text = cell.textContent.replace(/\s+/g, ' ').trim();
+            return text.length > 0 && /[a-z]{2,}/i.test(text) && !/^[\d.,\s]+$/.test(text);
+        });
+    }
+
+    /**
+     * Read a car name from its header cell
+     */
+    readColumnName(cell) {
+        const nameElement = cell.querySelector(this.columnNameSelectors.join(', '));
+        const name = (nameElement || cell).textContent.replace(/\s+/g, ' ').trim();
+
+        return name.length > 0 && name.length < 100 ? name : null;
+    }
+
+    /**
+     * Read a car's price text from its header cell. Without a price element,
+     * the name is cut out first so model numbers ("i20") are not read as prices.
+     */
+    readColumnPrice(cell, name) {
+        const priceElement = cell.querySelector(this.columnPriceSelectors.join(', '));
+        if (priceElement) return priceElement.textContent.replace(/\s+/g, ' ').trim();
+
+        const text = cell.textContent.replace(/\s+/g, ' ').trim();
+        return name ? text.replace(name, ' ').trim() : text;
+    }
+
+    /**
+     * Build one car's spec from its column. Fields the column does not list
+     * stay empty rather than falling back to the page text, which mixes all
+     * the cars.
+     */
+    buildColumnSpec(column, index) {
+        const { name, priceText, pairs } = column;
+        const paired = this.extractFromPairs(pairs);
+        const columnText = pairs.map(pair => `${pair.label}: ${pair.value}`).join(' . ');
+        const classified = CarEfficiencyUtils.classifyPowertrain({ specTable: columnText, heading: name });
+
+        const findValue = (pattern) => {
+            const pair = pairs.find(item => pattern.test(item.label));
+            return pair ? pair.value : null;
+        };
+        const transmissionText = findValue(/transmission|gearbox/);
+        const bodyText = findValue(/body type|body style/);
+
+        const spec = {
+            carName: name,
+            vehicleClass: this.vehicleClass,
+            fuelType: classified.fuelType,
+            powertrain: classified.powertrain,
+            mileage: paired.mileage || null,
+            range: paired.range || null,
+            batteryCapacity: paired.batteryCapacity || null,
+            displacement: paired.displacement || null,
+            cylinders: paired.cylinders || null,
+            power: paired.power || null,
+            torque: paired.torque || null,
+            transmissionType: (transmissionText && this.detectTransmissionType(transmissionText)) ||
+                this.detectTransmissionType(name),
+            gears: paired.gears || null,
+            kerbWeight: paired.kerbWeight || null,
+            length: paired.length || null,
+            width: paired.width || null,
+            height: paired.height || null,
+            groundClearance: paired.groundClearance || null,
+            bodyType: bodyText && !this.isTwoWheeler() ? this.detectBodyType(bodyText) : null,
+            seatingCapacity: paired.seatingCapacity || null,
+            bootSpace: paired.bootSpace || null,
+            fuelTankCapacity: paired.fuelTankCapacity || null,
+            wheelbase: paired.wheelbase || null,
+            turningRadius: paired.turningRadius || null,
+            crashTest: paired.crashTest || null,
+            airbags: paired.airbags || null,
+            esc: paired.esc || false,
+            isofix: paired.isofix || false,
+            safetyFeatures: paired.safetyFeatures || null,
+            absType: paired.absType || null,
+            price: paired.price || this.parsePriceToLakh(priceText),
+            variants: [],
+            _rawText: CarEfficiencyUtils.truncateText(`${name} . ${columnText}`, 15000),
+            _url: window.location.href,
+            _timestamp: Date.now()
+        };
+
+        spec.ncapStars = spec.crashTest && spec.crashTest.adultStars !== null
+            ? spec.crashTest.adultStars
+            : paired.ncapStars || null;
+
+        this.recordColumnSources(spec, paired, classified, index);
+
+        return CarEfficiencyScoring.validateSpec(spec);
+    }
+
+    /**
+     * Record provenance for a column spec, defaulting the transmission like
+     * the generic pass does
+     */
+    recordColumnSources(spec, paired, classified, index) {
+        const pairedSources = paired._sources || {};
+        const detail = (text) => `column ${index + 1} ${text}`;
+
+        for (const [field, value] of Object.entries(spec)) {
+            if (field.startsWith('_') || field === 'variants') continue;
+            if (value === null || value === undefined || value === false) continue;
+
+            // Pair sources already name the column ("compare column 2 "max power"")
+            if (pairedSources[field]) {
+                CarEfficiencyUtils.recordSource(spec, field, this.name, pairedSources[field],
+                    CarEfficiencyUtils.SOURCE_CONFIDENCE.labelPair);
+            } else if (field === 'carName' || field === 'price') {
+                CarEfficiencyUtils.recordSource(spec, field, this.name, detail('header'),
+                    CarEfficiencyUtils.SOURCE_CONFIDENCE.labelPair);
+            } else if (field === 'ncapStars') {
+                CarEfficiencyUtils.recordSource(spec, field, this.name, detail('adult occupant crash-test rating'),
+                    CarEfficiencyUtils.SOURCE_CONFIDENCE.labelPair);
+            } else {
+                CarEfficiencyUtils.recordSource(spec, field, this.name, detail('rows'),
+                    CarEfficiencyUtils.SOURCE_CONFIDENCE.labelPair);
+            }
+        }
+
+        if (classified.score === 0) {
+            for (const field of ['fuelType', 'powertrain']) {
+                CarEfficiencyUtils.recordSource(spec, field, 'default',
+                    'no fuel type found, assumed petrol', CarEfficiencyUtils.SOURCE_CONFIDENCE.default);
+            }
+        }
+
+        if (!spec.transmissionType) {
+            spec.transmissionType = 'manual';
+            CarEfficiencyUtils.recordSource(spec, 'transmissionType', 'default',
+                'no transmission found, assumed manual', CarEfficiencyUtils.SOURCE_CONFIDENCE.default);
+        }
+    }
+}
+
+// Export the compare page extractor
+window.CarEfficiencyExtractors = window.CarEfficiencyExtractors || {};
+window.CarEfficiencyExtractors.CompareExtractor = CompareExtractor;
@@ -6,74 +6,1326 @@
 class GenericExtractor {
     constructor() {
         this.name = 'generic';
+
+        // Vehicle class of the page being extracted ('car', 'motorcycle' or
+        // 'scooter'), set at the start of every extraction
+        this.vehicleClass = 'car';
+
+        // Variant lists rendered as cards/list items rather than tables
+        this.variantItemSelectors = ['.variant-item', '.variants-list li', '.variant-list li'];
+
+        // Label elements of key/value card layouts; the value is the sibling
+        // `.value`/`.spec-value` element or the next element
+        this.pairLabelSelectors = ['.spec-term', '.spec-label', '.spec-name', '.label', '.key'];
+
+        // Fields read by the label/value pair pass. Labels are listed most
+        // specific first; `kind` is the quantity kind the value is parsed as
+        // (null for plain numbers), `exclude` lists labels that contain a
+        // field label but mean something else, and `bounds` rejects values
+        // that cannot belong to the field.
+        this.pairFields = {
+            mileage: {
+                kind: 'efficiency',
+                labels: ['arai mileage', 'mileage (arai)', 'claimed mileage', 'fuel efficiency', 'fuel economy', 'mileage'],
+                exclude: ['real world', 'owner'],
+                bounds: [3, 60]
+            },
+            range: {
+                kind: null,
+                labels: ['arai range', 'claimed range', 'driving range', 'electric range', 'range'],
+                exclude: ['price range', 'variant range', 'range of'],
+                bounds: [50, 1200]
+            },
+            batteryCapacity: {
+                kind: null,
+                labels: ['battery capacity', 'battery pack', 'battery size', 'battery'],
+                exclude: ['warranty', 'battery type', 'charging'],
+                bounds: [1, 200]
+            },
+            displacement: {
+                kind: 'displacement',
+                labels: ['engine displacement', 'displacement', 'engine capacity', 'cubic capacity', 'engine size'],
+                bounds: [600, 7000]
+            },
+            cylinders: {
+                kind: null,
+                labels: ['no. of cylinders', 'number of cylinders', 'cylinders'],
+                exclude: ['valves per cylinder'],
+                bounds: [2, 12]
+            },
+            power: {
+                kind: 'power',
+                labels: ['max power', 'maximum power', 'peak power', 'power'],
+                exclude: ['power steering', 'power window', 'power outlet', 'power mirror', 'power to weight', 'power-to-weight'],
+                bounds: [10, 1000]
+            },
+            torque: {
+                kind: 'torque',
+                labels: ['max torque', 'maximum torque', 'peak torque', 'torque'],
+                bounds: [30, 1500]
+            },
+            gears: {
+                kind: null,
+                labels: ['no. of gears', 'number of gears', 'gears', 'gearbox', 'speed'],
+                exclude: ['top speed', 'max speed', 'maximum speed'],
+                bounds: [3, 10]
+            },
+            kerbWeight: {
+                kind: 'weight',
+                labels: ['kerb weight', 'curb weight', 'unladen weight', 'weight'],
+                exclude: ['gross vehicle weight', 'gross weight', 'towing capacity', 'payload'],
+                bounds: [400, 4000]
+            },
+            length: { kind: 'length', labels: ['overall length', 'length'], exclude: ['boot', 'cabin'], bounds: [2500, 6500] },
+            width: { kind: 'length', labels: ['overall width', 'width'], exclude: ['tyre', 'tire'], bounds: [1300, 2300] },
+            height: { kind: 'length', labels: ['overall height', 'height'], exclude: ['seat height'], bounds: [1200, 2200] },
+            groundClearance: {
+                kind: 'length',
+                labels: ['ground clearance (unladen)', 'minimum ground clearance', 'ground clearance'],
+                bounds: [100, 350]
+            },
+            airbags: {
+                kind: null,
+                labels: ['no. of airbags', 'number of airbags', 'airbags', 'air bags'],
+                bounds: [1, 12]
+            },
+            ncapStars: {
+                kind: null,
+                labels: ['global ncap rating', 'bharat ncap rating', 'ncap rating', 'crash test rating', 'safety rating'],
+                exclude: ['user', 'review', 'child'],
+                bounds: [1, 5]
+            },
+            seatingCapacity: { kind: null, labels: ['seating capacity', 'seats'], bounds: [1, 15] },
+            bootSpace: {
+                kind: 'volume',
+                labels: ['boot space', 'bootspace', 'boot capacity', 'luggage capacity', 'cargo volume', 'trunk capacity',
+                    'underseat storage', 'under seat storage', 'boot'],
+                exclude: ['folded', 'folding', 'boot lid', 'boot lamp', 'boot release'],
+                bounds: [50, 2500]
+            },
+            fuelTankCapacity: {
+                kind: 'volume',
+                labels: ['fuel tank capacity', 'fuel tank', 'tank capacity'],
+                exclude: ['cng'],
+                bounds: [20, 150]
+            },
+            wheelbase: { kind: 'length', labels: ['wheelbase', 'wheel base'], bounds: [1800, 3800] },
+            turningRadius: {
+                kind: 'radius',
+                labels: ['minimum turning radius', 'turning radius'],
+                bounds: [3.5, 7.5]
+            },
+            price: {
+                kind: 'price',
+                labels: ['ex-showroom price', 'starting price', 'asking price', 'price'],
+                exclude: ['emi', 'insurance', 'on-road price', 'new car price', 'new price'],
+                bounds: [1, 500]
+            }
+        };
+
+        // Two-wheeler figures fall outside the car bounds above (a 110 cc
+        // scooter weighing 106 kg for ₹75,000), so these replace them on
+        // motorcycle and scooter pages
+        this.twoWheelerBounds = {
+            mileage: [10, 120],
+            range: [30, 400],
+            batteryCapacity: [1, 20],
+            displacement: [50, 2000],
+            power: [1, 150],
+            kerbWeight: [60, 450],
+            length: [1500, 2700],
+            width: [600, 1100],
+            height: [900, 1600],
+            bootSpace: [5, 60],
+            fuelTankCapacity: [2, 30],
+            price: [0.3, 100]
+        };
+
+        // ABS rows on two-wheeler pages; the value names the type ("Dual Channel")
+        this.absTypeLabels = ['abs type', 'anti-lock braking system', 'braking system', 'abs'];
+
+        // Used-car listing pages (CarDekho /used-car-details/, CarWale /used/)
+        this.usedListingPathPattern = /\/used[-/]/i;
+
+        // Used-car listing fields, read from the listing's overview rows.
+        // `newPrice` is the ex-showroom price of the same car bought new,
+        // which some listings show for reference; the asking price is `price`.
+        this.usedListingFields = {
+            registrationYear: {
+                labels: ['registration year', 'year of registration', 'reg. year', 'reg year', 'registered in',
+                    'model year', 'make year', 'manufacturing year']
+            },
+            kmsDriven: {
+                labels: ['kms driven', 'km driven', 'kilometres driven', 'kilometers driven', 'odometer reading', 'odometer'],
+                bounds: [0, 1000000]
+            },
+            owners: {
+                labels: ['no. of owners', 'number of owners', 'ownership', 'owners', 'owner'],
+                exclude: ['review', 'manual']
+            },
+            newPrice: {
+                labels: ['new car price', 'ex-showroom price (new)', 'new price', 'price when new'],
+                bounds: [1, 500]
+            }
+        };
+
+        // Crash-test programmes, as named in labels and page text
+        this.crashTestBodies = [
+            { body: 'bharat-ncap', pattern: /\b(?:bharat\s*-?\s*ncap|bncap)\b/i },
+            { body: 'global-ncap', pattern: /\b(?:global\s*-?\s*ncap|gncap)\b/i },
+            { body: 'euro-ncap', pattern: /\beuro\s*-?\s*ncap\b/i }
+        ];
+
+        // Safety features read from spec rows, never from free text. A row
+        // counts when its value says the feature is fitted; `present` and
+        // `absent` override that for rows whose value names a type ("Disc"),
+        // and `requires` must match the label or value for the row to count
+        // at all (seatbelt reminders only score when they cover every row).
+        this.safetyFeatureDefinitions = {
+            abs: { labels: ['anti-lock braking system', 'anti lock braking system', 'anti-lock brakes', 'abs'] },
+            ebd: { labels: ['electronic brake-force distribution', 'electronic brakeforce distribution', 'ebd'] },
+            esc: {
+                labels: ['electronic stability program', 'electronic stability control', 'vehicle stability management',
+                    'vehicle stability control', 'stability control', 'esc', 'esp', 'vsm']
+            },
+            isofix: { labels: ['isofix child seat mounts', 'child seat anchor points', 'child seat mount', 'isofix'] },
+            hillHold: {
+                labels: ['hill hold control', 'hill hold assist', 'hill start assist', 'hill assist', 'hill hold'],
+                exclude: ['descent']
+            },
+            tpms: {
+                labels: ['tyre pressure monitoring system', 'tire pressure monitoring system',
+                    'tyre pressure monitor', 'tire pressure monitor', 'tpms']
+            },
+            camera360: {
+                labels: ['360 degree camera', '360-degree camera', '360° camera', '360 view camera',
+                    'surround view camera', '360 camera']
+            },
+            aeb: {
+                labels: ['autonomous emergency braking', 'automatic emergency braking',
+                    'forward collision avoidance', 'aeb']
+            },
+            laneKeep: {
+                labels: ['lane keep assist', 'lane keeping assist', 'lane departure prevention', 'lane keep'],
+                exclude: ['warning']
+            },
+            blindSpot: {
+                labels: ['blind spot monitoring', 'blind spot monitor', 'blind spot detection',
+                    'blind spot collision warning', 'blind spot']
+            },
+            rearDiscBrakes: {
+                labels: ['rear disc brakes', 'rear brake type', 'rear brakes'],
+                present: /\bdisc\b/i,
+                absent: /\bdrum\b/i
+            },
+            seatbeltReminders: {
+                labels: ['seat belt reminder', 'seatbelt reminder', 'seat belt warning', 'seatbelt warning'],
+                requires: /\ball\b|\brear\b|\bevery\b|\brows?\b/i
+            }
+        };
+
+        // Page parts a site extractor relies on, as { part: selector }. They
+        // are checked after every extraction so a site redesign shows up as
+        // missing parts instead of silently worse results. The generic
+        // extractor relies on none.
+        this.layoutSelectors = {};
     }
 
     /**
      * Check if this extractor can handle the current page
      */
     canExtract() {
-        return CarEfficiencyUtils.isCarSpecPage();
+        return CarEfficiencyUtils.isCarSpecPage(CarEfficiencySnapshot.getSnapshot());
     }
 
     /**
      * Extract car specifications from the page
      */
     extract() {
-        const pageText = document.body.textContent;
-        const pageHTML = document.body.innerHTML;
+        // The analysis reads the page once; Hindi and other localized pages
+        // are read as their English equivalent
+        const snapshot = CarEfficiencySnapshot.getSnapshot();
+        const pageText = snapshot.text;
+
+        // Structured data (JSON-LD / microdata) is trusted over label/value
+        // pairs found in the DOM, which are trusted over text scraping
+        const structured = this.extractStructuredData();
+
+        // The vehicle class decides which bounds the pairs are read with
+        const pairs = this.collectLabelValuePairs();
+        const vehicle = this.detectVehicleClass(pairs);
+        this.vehicleClass = vehicle.vehicleClass;
+
+        const paired = this.extractLabelledPairs(pairs);
+        const classified = this.extractPowertrain(pageText);
+        const usedListing = this.completeUsedListing(paired.usedListing || null, pageText);
 
         const spec = {
             // Basic info
-            carName: this.extractCarName(),
-            fuelType: this.extractFuelType(pageText),
+            carName: structured.carName || this.extractCarName(),
+            vehicleClass: vehicle.vehicleClass,
+            fuelType: structured.fuelType || classified.fuelType,
+            powertrain: structured.powertrain || classified.powertrain,
 
             // Efficiency metrics
-            mileage: this.extractMileage(pageText),
-            range: this.extractRange(pageText),
-            batteryCapacity: this.extractBatteryCapacity(pageText),
+            mileage: structured.mileage || paired.mileage || this.extractMileage(pageText),
+            range: paired.range || this.extractRange(pageText),
+            batteryCapacity: paired.batteryCapacity || this.extractBatteryCapacity(pageText),
 
             // Engine specifications
-            displacement: this.extractDisplacement(pageText),
-            cylinders: this.extractCylinders(pageText),
-            power: this.extractPower(pageText),
-            torque: this.extractTorque(pageText),
+            displacement: structured.displacement || paired.displacement || this.extractDisplacement(pageText),
+            cylinders: paired.cylinders || this.extractCylinders(pageText),
+            power: structured.power || paired.power || this.extractPower(pageText),
+            torque: structured.torque || paired.torque || this.extractTorque(pageText),
 
             // Transmission specifications
-            transmissionType: this.extractTransmissionType(pageText),
-            gears: this.extractGears(pageText),
+            transmissionType: structured.transmissionType || this.detectTransmissionType(pageText),
+            gears: structured.gears || paired.gears || this.extractGears(pageText),
 
             // Physical specifications
-            kerbWeight: this.extractKerbWeight(pageText),
-            length: this.extractLength(pageText),
-            width: this.extractWidth(pageText),
-            height: this.extractHeight(pageText),
-            groundClearance: this.extractGroundClearance(pageText),
-            bodyType: this.extractBodyType(pageText),
+            kerbWeight: structured.kerbWeight || paired.kerbWeight || this.extractKerbWeight(pageText),
+            length: structured.length || paired.length || this.extractLength(pageText),
+            width: structured.width || paired.width || this.extractWidth(pageText),
+            // "Seat height" rows make the text fallback unreliable on two-wheeler pages
+            height: structured.height || paired.height || (this.isTwoWheeler() ? null : this.extractHeight(pageText)),
+            groundClearance: paired.groundClearance || this.extractGroundClearance(pageText),
+            bodyType: this.isTwoWheeler() ? null : (structured.bodyType || this.detectBodyType(pageText)),
+
+            // Practicality
+            seatingCapacity: structured.seatingCapacity || paired.seatingCapacity || this.extractSeatingCapacity(pageText),
+            bootSpace: structured.bootSpace || paired.bootSpace || this.extractFieldFromText(pageText, 'bootSpace'),
+            fuelTankCapacity: structured.fuelTankCapacity || paired.fuelTankCapacity ||
+                this.extractFieldFromText(pageText, 'fuelTankCapacity'),
+            wheelbase: structured.wheelbase || paired.wheelbase || this.extractFieldFromText(pageText, 'wheelbase'),
+            turningRadius: paired.turningRadius || this.extractFieldFromText(pageText, 'turningRadius'),
 
             // Safety metrics
-            ncapStars: this.extractNCAPStars(pageText),
-            airbags: this.extractAirbags(pageText),
-            esc: this.extractESC(pageText),
-            isofix: this.extractISOFIX(pageText),
-
-            // Pricing
-            price: this.extractPrice(pageText),
+            crashTest: paired.crashTest
+                ? this.completeCrashTest(paired.crashTest, pageText)
+                : this.extractCrashTestFromText(pageText),
+            airbags: paired.airbags || this.extractAirbags(pageText),
+            esc: paired.esc !== undefined ? paired.esc : this.extractESC(pageText),
+            isofix: paired.isofix !== undefined ? paired.isofix : this.extractISOFIX(pageText),
+            safetyFeatures: paired.safetyFeatures || null,
+            absType: this.isTwoWheeler() ? (paired.absType || this.extractAbsType(pageText)) : null,
+
+            // Pricing (the asking price on used-car listings)
+            price: structured.price || paired.price || this.extractPrice(pageText),
+            usedListing,
+
+            // Per-variant fuel, transmission, price and mileage
+            variants: this.extractVariants(),
 
             // Additional metadata
             _rawText: CarEfficiencyUtils.truncateText(pageText, 15000),
             _url: window.location.href,
-            _timestamp: Date.now()
+            _timestamp: Date.now(),
+            _layoutHealth: this.checkLayoutHealth()
         };
 
+        // The headline NCAP figure is the adult occupant rating
+        spec.ncapStars = spec.crashTest && spec.crashTest.adultStars !== null
+            ? spec.crashTest.adultStars
+            : paired.ncapStars || this.extractNCAPStars(pageText);
+
+        this.recordGenericSources(spec, structured, paired, classified);
+
+        if (vehicle.score === 0) {
+            CarEfficiencyUtils.recordSource(spec, 'vehicleClass', 'default',
+                'no vehicle type found, assumed car', CarEfficiencyUtils.SOURCE_CONFIDENCE.default);
+        }
+
         return CarEfficiencyScoring.validateSpec(spec);
     }
 
+    /**
+     * Classify the page as a car, motorcycle or scooter from its URL, title
+     * and spec rows
+     */
+    detectVehicleClass(pairs) {
+        const snapshot = CarEfficiencySnapshot.getSnapshot();
+
+        return CarEfficiencyUtils.detectVehicleClass({
+            url: snapshot.url,
+            specTable: pairs.map(pair => `${pair.label}: ${pair.value}`).join(' . '),
+            heading: CarEfficiencyUtils.localizeText([snapshot.title, snapshot.heading].join(' . '))
+        });
+    }
+
+    /**
+     * Whether the page describes a motorcycle or scooter
+     */
+    isTwoWheeler() {
+        return this.vehicleClass === 'motorcycle' || this.vehicleClass === 'scooter';
+    }
+
+    /**
+     * The pair fields with two-wheeler bounds on two-wheeler pages
+     */
+    getPairFields() {
+        if (!this.isTwoWheeler()) return this.pairFields;
+
+        const fields = {};
+        for (const [field, definition] of Object.entries(this.pairFields)) {
+            fields[field] = this.twoWheelerBounds[field]
+                ? { ...definition, bounds: this.twoWheelerBounds[field] }
+                : definition;
+        }
+
+        return fields;
+    }
+
+    /**
+     * Report which layout selectors matched the page:
+     * { extractor, matched, missing, coverage }, or null if there are none
+     */
+    checkLayoutHealth() {
+        const parts = Object.entries(this.layoutSelectors);
+        if (parts.length === 0) return null;
+
+        const matched = [];
+        const missing = [];
+        for (const [part, selector] of parts) {
+            let found = false;
+            try {
+                found = document.querySelector(selector) !== null;
+            } catch (error) {
+                // An invalid selector never matches
+            }
+            (found ? matched : missing).push(part);
+        }
+
+        return {
+            extractor: this.name,
+            matched,
+            missing,
+            coverage: Math.round(matched.length / parts.length * 100) / 100
+        };
+    }
+
+    /**
+     * Record provenance for every field filled by the generic pass and apply
+     * the hard defaults (transmission, body type) where nothing was found
+     */
+    recordGenericSources(spec, structured, paired, classified) {
+        const structuredSources = structured._sources || {};
+        const pairedSources = paired._sources || {};
+        const keywordFields = ['esc', 'isofix'];
+        const skipFields = ['variants'];
+        const powertrainSources = {
+            specTable: { detail: 'fuel keywords in spec rows', confidence: CarEfficiencyUtils.SOURCE_CONFIDENCE.labelPair },
+            heading: { detail: 'fuel keywords in title or headings', confidence: CarEfficiencyUtils.SOURCE_CONFIDENCE.pageText },
+            body: { detail: 'fuel keywords in page text', confidence: CarEfficiencyUtils.SOURCE_CONFIDENCE.keyword }
+        };
+        const textDetails = {
+            carName: 'page title or heading',
+            transmissionType: 'transmission keyword in page text',
+            bodyType: 'body type keyword in page text, URL or title',
+            crashTest: 'crash-test result in page text',
+            vehicleClass: 'vehicle keywords in URL, title or spec rows',
+            absType: 'ABS type in page text',
+            usedListing: 'used-listing details in page text'
+        };
+
+        for (const [field, value] of Object.entries(spec)) {
+            if (field.startsWith('_') || skipFields.includes(field)) continue;
+            if (value === null || value === undefined || value === false) continue;
+
+            if (structured[field] !== undefined && structured[field] === value) {
+                CarEfficiencyUtils.recordSource(spec, field, 'structured-data',
+                    structuredSources[field], CarEfficiencyUtils.SOURCE_CONFIDENCE.structuredData);
+            } else if (paired[field] !== undefined && paired[field] === value) {
+                CarEfficiencyUtils.recordSource(spec, field, 'generic',
+                    pairedSources[field], CarEfficiencyUtils.SOURCE_CONFIDENCE.labelPair);
+            } else if (field === 'ncapStars' && spec.crashTest && spec.crashTest.adultStars === value) {
+                CarEfficiencyUtils.recordSource(spec, field, 'generic', 'adult occupant crash-test rating',
+                    (spec.crashTest === paired.crashTest)
+                        ? CarEfficiencyUtils.SOURCE_CONFIDENCE.labelPair
+                        : CarEfficiencyUtils.SOURCE_CONFIDENCE.pageText);
+            } else if ((field === 'fuelType' || field === 'powertrain') && powertrainSources[classified.strongestSource]) {
+                const { detail, confidence } = powertrainSources[classified.strongestSource];
+                CarEfficiencyUtils.recordSource(spec, field, 'generic', detail, confidence);
+            } else if (keywordFields.includes(field)) {
+                CarEfficiencyUtils.recordSource(spec, field, 'generic',
+                    'keyword anywhere in page text', CarEfficiencyUtils.SOURCE_CONFIDENCE.keyword);
+            } else {
+                CarEfficiencyUtils.recordSource(spec, field, 'generic',
+                    textDetails[field] || 'label regex over page text', CarEfficiencyUtils.SOURCE_CONFIDENCE.pageText);
+            }
+        }
+
+        // The classifier falls back to petrol when the page names no fuel at all
+        if (!structured.fuelType && classified.score === 0) {
+            for (const field of ['fuelType', 'powertrain']) {
+                CarEfficiencyUtils.recordSource(spec, field, 'default',
+                    'no fuel type found, assumed petrol', CarEfficiencyUtils.SOURCE_CONFIDENCE.default);
+            }
+        }
+
+        // Scooters are twist-and-go
+        if (!spec.transmissionType && spec.vehicleClass === 'scooter') {
+            spec.transmissionType = 'cvt';
+            CarEfficiencyUtils.recordSource(spec, 'transmissionType', 'default',
+                'no transmission found, assumed CVT for a scooter', CarEfficiencyUtils.SOURCE_CONFIDENCE.default);
+        }
+
+        if (!spec.transmissionType) {
+            spec.transmissionType = 'manual';
+            CarEfficiencyUtils.recordSource(spec, 'transmissionType', 'default',
+                'no transmission found, assumed manual', CarEfficiencyUtils.SOURCE_CONFIDENCE.default);
+        }
+
+        // Two-wheelers have no body type
+        if (!spec.bodyType && !this.isTwoWheeler()) {
+            spec.bodyType = 'sedan';
+            CarEfficiencyUtils.recordSource(spec, 'bodyType', 'default',
+                'no body type found, assumed sedan', CarEfficiencyUtils.SOURCE_CONFIDENCE.default);
+        }
+    }
+
+    /**
+     * Extract specifications from schema.org Car/Vehicle/Product structured data
+     * (JSON-LD and microdata). Returns only the fields that were found, plus
+     * `_sources` naming the format and type each field was read from.
+     */
+    extractStructuredData() {
+        const result = { _sources: {} };
+        const items = CarEfficiencySnapshot.getSnapshot()
+            .remember('structured data items', () => this.collectStructuredItems());
+
+        for (const item of items) {
+            const mapped = this.mapStructuredItem(item);
+            const itemLabel = `${item._format || 'structured data'} ${[].concat(item['@type'] || []).join('/')}`;
+
+            // Earlier items win; later items only fill gaps
+            for (const [field, value] of Object.entries(mapped)) {
+                if (value !== null && value !== undefined && result[field] === undefined) {
+                    result[field] = value;
+                    result._sources[field] = itemLabel.trim();
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Collect schema.org vehicle-like objects from JSON-LD scripts and microdata
+     */
+    collectStructuredItems() {
+        const vehicleTypes = ['car', 'vehicle', 'motorizedbicycle', 'product'];
+        const items = [];
+
+        const visit = (node) => {
+            if (!node || typeof node !== 'object') return;
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+
+            const types = [].concat(node['@type'] || []).map(type => String(type).toLowerCase());
+            if (types.some(type => vehicleTypes.includes(type))) {
+                node._format = 'JSON-LD';
+                items.push(node);
+            }
+
+            if (node['@graph']) visit(node['@graph']);
+            if (node.itemListElement) visit(node.itemListElement);
+            if (node.item) visit(node.item);
+        };
+
+        // JSON-LD
+        const scripts = document.querySelectorAll('script[type="application/ld+json"]');
+        for (const script of scripts) {
+            try {
+                visit(JSON.parse(script.textContent));
+            } catch (e) {
+                // Ignore JSON parsing errors
+            }
+        }
+
+        // Microdata
+        const scopes = document.querySelectorAll(
+            '[itemscope][itemtype*="schema.org/Car"], [itemscope][itemtype*="schema.org/Vehicle"], [itemscope][itemtype*="schema.org/Product"]'
+        );
+        for (const scope of scopes) {
+            // Nested scopes are read as properties of their parent
+            if (scope.hasAttribute('itemprop')) continue;
+            const object = this.microdataToObject(scope);
+            object._format = 'microdata';
+            items.push(object);
+        }
+
+        // Car/Vehicle objects are more specific than generic Products
+        return items.sort((a, b) => this.isProductOnly(a) - this.isProductOnly(b));
+    }
+
+    /**
+     * Check whether a structured item is a plain Product rather than a Car/Vehicle
+     */
+    isProductOnly(item) {
+        const types = [].concat(item['@type'] || []).map(type => String(type).toLowerCase());
+        return types.includes('product') && !types.some(type => type !== 'product');
+    }
+
+    /**
+     * Convert a microdata itemscope element into a JSON-LD-like object
+     */
+    microdataToObject(scope) {
+        const itemType = scope.getAttribute('itemtype') || '';
+        const object = { '@type': itemType.split('/').pop() };
+
+        const props = scope.querySelectorAll('[itemprop]');
+        for (const prop of props) {
+            // Only direct properties of this scope; nested scopes handle their own
+            const owner = prop.parentElement && prop.parentElement.closest('[itemscope]');
+            if (owner !== scope) continue;
+
+            const name = prop.getAttribute('itemprop');
+            let value;
+            if (prop.hasAttribute('itemscope')) {
+                value = this.microdataToObject(prop);
+            } else {
+                value = prop.getAttribute('content') ||
+                    prop.getAttribute('value') ||
+                    prop.getAttribute('href') ||
+                    prop.textContent.trim();
+            }
+
+            if (object[name] === undefined) {
+                object[name] = value;
+            }
+        }
+
+        return object;
+    }
+
+    /**
+     * Map a schema.org object onto spec fields
+     */
+    mapStructuredItem(item) {
+        const first = (value) => Array.isArray(value) ? value[0] : value;
+        const mapped = {};
+
+        if (typeof item.name === 'string' && item.name.trim().length > 0 && item.name.length < 100) {
+            mapped.carName = item.name.trim();
+        }
+
+        const engine = first(item.vehicleEngine) || {};
+
+        const fuelText = first(item.fuelType) || first(engine.fuelType);
+        if (typeof fuelText === 'string' && fuelText.trim()) {
+            // Unrecognised fuel text classifies as the petrol default; leave
+            // it to the other sources rather than record it as structured
+            const classified = CarEfficiencyUtils.classifyPowertrain(fuelText);
+            if (classified.score > 0) {
+                mapped.fuelType = classified.fuelType;
+                mapped.powertrain = classified.powertrain;
+            }
+        }
+
+        const efficiency = this.parseQuantitativeValue(first(item.fuelEfficiency) || first(item.fuelConsumption));
+        if (efficiency) {
+            mapped.mileage = this.convertStructuredQuantity(efficiency, 'efficiency');
+        }
+
+        const displacement = this.parseQuantitativeValue(first(engine.engineDisplacement));
+        if (displacement) {
+            mapped.displacement = this.convertStructuredQuantity(displacement, 'displacement');
+        }
+
+        const power = this.parseQuantitativeValue(first(engine.enginePower));
+        if (power) {
+            mapped.power = this.convertStructuredQuantity(power, 'power');
+        }
+
+        const torque = this.parseQuantitativeValue(first(engine.torque));
+        if (torque) {
+            mapped.torque = this.convertStructuredQuantity(torque, 'torque');
+        }
+
+        const weight = this.parseQuantitativeValue(first(item.weight) || first(item.weightTotal));
+        if (weight) {
+            mapped.kerbWeight = this.convertStructuredQuantity(weight, 'weight');
+        }
+
+        const length = this.parseQuantitativeValue(first(item.depth) || first(item.length));
+        if (length) mapped.length = this.convertStructuredQuantity(length, 'length');
+
+        const width = this.parseQuantitativeValue(first(item.width));
+        if (width) mapped.width = this.convertStructuredQuantity(width, 'length');
+
+        const height = this.parseQuantitativeValue(first(item.height));
+        if (height) mapped.height = this.convertStructuredQuantity(height, 'length');
+
+        const wheelbase = this.parseQuantitativeValue(first(item.wheelbase));
+        if (wheelbase) mapped.wheelbase = this.convertStructuredQuantity(wheelbase, 'length');
+
+        const cargoVolume = this.parseQuantitativeValue(first(item.cargoVolume));
+        if (cargoVolume) mapped.bootSpace = this.convertStructuredQuantity(cargoVolume, 'volume');
+
+        const fuelCapacity = this.parseQuantitativeValue(first(item.fuelCapacity));
+        if (fuelCapacity) mapped.fuelTankCapacity = this.convertStructuredQuantity(fuelCapacity, 'volume');
+
+        const bodyType = first(item.bodyType);
+        if (typeof bodyType === 'string') {
+            const lowerBody = bodyType.toLowerCase();
+            const knownBody = ['hatchback', 'sedan', 'suv', 'mpv', 'crossover', 'coupe', 'convertible']
+                .find(type => lowerBody.includes(type));
+            if (knownBody) {
+                mapped.bodyType = knownBody;
+            } else if (lowerBody.includes('sport utility')) {
+                mapped.bodyType = 'suv';
+            } else if (lowerBody.includes('muv') || lowerBody.includes('minivan')) {
+                mapped.bodyType = 'mpv';
+            }
+        }
+
+        const transmission = first(item.vehicleTransmission);
+        if (typeof transmission === 'string' &&
+            /cvt|amt|dct|dual clutch|automatic|manual/i.test(transmission)) {
+            mapped.transmissionType = this.extractTransmissionType(transmission);
+        }
+
+        const gears = this.parseQuantitativeValue(first(item.numberOfForwardGears));
+        if (gears && gears.value >= 3 && gears.value <= 10) {
+            mapped.gears = gears.value;
+        }
+
+        const seating = this.parseQuantitativeValue(first(item.seatingCapacity));
+        if (seating && seating.value >= 1 && seating.value <= 15) {
+            mapped.seatingCapacity = seating.value;
+        }
+
+        const price = this.parseOfferPrice(item.offers);
+        if (price) {
+            mapped.price = price;
+        }
+
+        return mapped;
+    }
+
+    /**
+     * Parse a schema.org QuantitativeValue (or bare number/string) into
+     * { value, unit } with a lower-cased unit code or unit text
+     */
+    parseQuantitativeValue(quantity) {
+        if (quantity === null || quantity === undefined || quantity === '') return null;
+
+        if (typeof quantity === 'number') {
+            return { value: quantity, unit: '' };
+        }
+
+        if (typeof quantity === 'string') {
+            const match = quantity.match(/([\d.,]+)\s*([^\d\s].*)?$/);
+            if (!match) return null;
+            const value = CarEfficiencyUtils.parseNumber(match[1]);
+            return value === null ? null : { value, unit: (match[2] || '').trim().toLowerCase() };
+        }
+
+        if (typeof quantity === 'object') {
+            const rawValue = quantity.value !== undefined ? quantity.value : quantity.minValue;
+            const value = typeof rawValue === 'number' ? rawValue : CarEfficiencyUtils.parseNumber(rawValue);
+            if (value === null || value === undefined) return null;
+
+            const unit = String(quantity.unitCode || quantity.unitText || '').trim().toLowerCase();
+            return { value, unit };
+        }
+
+        return null;
+    }
+
+    /**
+     * Convert a parsed quantity to the canonical unit of its kind
+     */
+    convertStructuredQuantity(quantity, kind) {
+        const converted = CarEfficiencyUtils.convertQuantity(quantity.value, quantity.unit, kind);
+        return converted ? Math.round(converted.value * 100) / 100 : null;
+    }
+
+    /**
+     * Parse schema.org offers into a price in lakh
+     */
+    parseOfferPrice(offers) {
+        if (!offers) return null;
+
+        const offerList = [].concat(offers);
+        const prices = [];
+
+        for (const offer of offerList) {
+            if (!offer || typeof offer !== 'object') continue;
+
+            const currency = String(offer.priceCurrency || 'INR').toUpperCase();
+            if (currency !== 'INR') continue;
+
+            const raw = offer.lowPrice !== undefined ? offer.lowPrice : offer.price;
+            const price = CarEfficiencyUtils.parseQuantityValue(raw, 'price');
+
+            // Rupee amounts come out in lakh; anything else is not a car price
+            if (price && price >= 1 && price <= 500) {
+                prices.push(price);
+            }
+        }
+
+        return prices.length > 0 ? Math.min(...prices) : null;
+    }
+
+    /**
+     * Extract specifications from label/value pairs in tables, definition
+     * lists and key/value cards. Returns only the fields that were found,
+     * plus `_sources` naming the layout and label each field was read from.
+     */
+    extractLabelledPairs(pairs = this.collectLabelValuePairs()) {
+        return this.extractFromPairs(pairs);
+    }
+
+    /**
+     * Extract specification fields, crash test and safety features from a
+     * list of { label, value, layout } pairs
+     */
+    extractFromPairs(pairs) {
+        const result = { _sources: {} };
+        if (pairs.length === 0) return result;
+
+        for (const [field, definition] of Object.entries(this.getPairFields())) {
+            const match = this.findBestPair(pairs, definition);
+            if (match) {
+                result[field] = match.value;
+                result._sources[field] = `${match.pair.layout} "${match.pair.label}"`;
+            }
+        }
+
+        const crashTest = this.extractCrashTestFromPairs(pairs);
+        if (crashTest) {
+            result.crashTest = crashTest;
+            result._sources.crashTest = 'crash-test rows';
+        }
+
+        if (this.isTwoWheeler()) {
+            const absRow = this.findAbsTypeRow(pairs);
+            if (absRow) {
+                result.absType = absRow.absType;
+                result._sources.absType = `${absRow.pair.layout} "${absRow.pair.label}"`;
+            }
+        }
+
+        const usedListing = this.extractUsedListingFromPairs(pairs);
+        if (usedListing) {
+            const count = Object.values(usedListing).filter(value => value !== null).length;
+            result.usedListing = usedListing;
+            result._sources.usedListing = `${count} listing ${count === 1 ? 'row' : 'rows'}`;
+        }
+
+        const safetyFeatures = this.extractSafetyFeatures(pairs);
+        if (safetyFeatures) {
+            const count = Object.keys(safetyFeatures.features).length;
+            result.safetyFeatures = safetyFeatures.features;
+            result._sources.safetyFeatures = `${count} safety feature ${count === 1 ? 'row' : 'rows'}`;
+
+            // ESC and ISOFIX rows settle the flags the page-text keywords guess at
+            for (const field of ['esc', 'isofix']) {
+                if (safetyFeatures.features[field] !== undefined) {
+                    result[field] = safetyFeatures.features[field];
+                    result._sources[field] = safetyFeatures.sources[field];
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Find the row giving a two-wheeler's ABS type. Returns { pair, absType }
+     * or null.
+     */
+    findAbsTypeRow(pairs) {
+        let best = null;
+
+        for (const pair of pairs) {
+            const score = this.scorePairLabel(pair.label, this.absTypeLabels);
+            if (score <= 0 || (best && score <= best.score)) continue;
+
+            const absType = this.parseAbsType(`${pair.label} ${pair.value}`, pair.value);
+            if (absType) best = { pair, absType, score };
+        }
+
+        return best;
+    }
+
+    /**
+     * Read an ABS type: 'dual-channel', 'single-channel', 'cbs' (combined
+     * braking only) or 'none'. Indian rules require at least single-channel
+     * ABS above 125 cc, so a bare "Yes" is read as single-channel.
+     */
+    parseAbsType(text, value = text) {
+        if (/\b(?:dual|double|twin|2)[\s-]channel\b/i.test(text)) return 'dual-channel';
+        if (/\b(?:single|1)[\s-]channel\b/i.test(text)) return 'single-channel';
+        if (/\b(?:cbs|combi(?:ned)? brak\w*)\b/i.test(text)) return 'cbs';
+        if (/^\s*(?:yes|available|standard|abs)\s*$/i.test(value)) return 'single-channel';
+        if (/^\s*(?:no|not available|na|n\/a|-)\s*$/i.test(value)) return 'none';
+
+        return null;
+    }
+
+    /**
+     * Find a two-wheeler's ABS type in page text ("dual-channel ABS")
+     */
+    extractAbsType(text) {
+        const match = text.match(/\b(?:dual|double|single)[\s-]channel\s+abs\b|\b(?:cbs|combi(?:ned)? braking system)\b/i);
+        return match ? this.parseAbsType(match[0]) : null;
+    }
+
+    /**
+     * Read registration year, kilometres driven, owner count and new price
+     * from a used-car listing's rows. Returns null unless the kilometres
+     * driven or registration year is listed.
+     */
+    extractUsedListingFromPairs(pairs) {
+        const listing = { registrationYear: null, kmsDriven: null, owners: null, newPrice: null };
+
+        for (const [field, { labels, exclude = [], bounds }] of Object.entries(this.usedListingFields)) {
+            let best = null;
+
+            for (const pair of pairs) {
+                if (exclude.some(phrase => pair.label.includes(phrase))) continue;
+
+                const score = this.scorePairLabel(pair.label, labels);
+                if (score <= 0 || (best && score <= best.score)) continue;
+
+                const value = this.parseUsedListingValue(field, pair.value);
+                if (value === null || (bounds && (value < bounds[0] || value > bounds[1]))) continue;
+
+                best = { value, score };
+            }
+
+            if (best) listing[field] = best.value;
+        }
+
+        return listing.kmsDriven !== null || listing.registrationYear !== null ? listing : null;
+    }
+
+    /**
+     * Parse a used-listing row value for its field
+     */
+    parseUsedListingValue(field, text) {
+        switch (field) {
+            case 'registrationYear':
+                return this.parseRegistrationYear(text);
+            case 'owners':
+                return this.parseOwnerCount(text);
+            case 'newPrice':
+                return this.parsePriceToLakh(text);
+            default:
+                return CarEfficiencyUtils.parseNumber(text);
+        }
+    }
+
+    /**
+     * Parse a registration year ("Mar 2019", "2019") within the last 40 years
+     */
+    parseRegistrationYear(text) {
+        const currentYear = new Date().getFullYear();
+        const match = String(text).match(/\b(?:19|20)\d{2}\b/);
+        if (!match) return null;
+
+        const year = Number(match[0]);
+        return year >= currentYear - 40 && year <= currentYear ? year : null;
+    }
+
+    /**
+     * Parse an owner count ("First Owner", "2nd owner", "1")
+     */
+    parseOwnerCount(text) {
+        const ordinals = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5 };
+        const word = String(text).toLowerCase().match(/\b(first|second|third|fourth|fifth)\b/);
+        if (word) return ordinals[word[1]];
+
+        const number = String(text).match(/\b([1-9])(?:st|nd|rd|th)?\b/i);
+        return number ? Number(number[1]) : null;
+    }
+
+    /**
+     * Fill a used listing's missing details from the page text ("2019
+     * Maruti Swift", "45,000 kms driven", "1st owner"). Pages outside a
+     * used-car path need listing rows to count as a listing at all.
+     */
+    completeUsedListing(listing, text) {
+        if (!listing && !this.usedListingPathPattern.test(window.location.pathname)) return null;
+
+        const flatText = text.replace(/\s+/g, ' ');
+        const result = listing || { registrationYear: null, kmsDriven: null, owners: null, newPrice: null };
+
+        if (result.registrationYear === null) {
+            // Listing headings and titles lead with the registration year
+            const snapshot = CarEfficiencySnapshot.getSnapshot();
+            const titles = [snapshot.heading, snapshot.title].map(title => CarEfficiencyUtils.localizeText(title));
+            const match = titles
+                .map(title => title.match(/^(?:used\s+)?((?:19|20)\d{2})\s+[a-z]/i))
+                .find(Boolean);
+            result.registrationYear = match ? this.parseRegistrationYear(match[1]) : null;
+        }
+
+        if (result.kmsDriven === null) {
+            const match = flatText.match(/(\d{1,3}(?:,\d{2,3})*|\d+)\s*(?:kms?|kilomet(?:re|er)s)\s+driven\b/i);
+            result.kmsDriven = match ? CarEfficiencyUtils.parseNumber(match[1]) : null;
+        }
+
+        if (result.owners === null) {
+            const match = flatText.match(/\b(first|second|third|fourth|fifth|[1-5](?:st|nd|rd|th))\s+owner\b/i);
+            result.owners = match ? this.parseOwnerCount(match[1]) : null;
+        }
+
+        return result.kmsDriven !== null || result.registrationYear !== null ? result : null;
+    }
+
+    /**
+     * Read the safety feature inventory from spec rows. Returns
+     * { features, sources } where `features` maps each feature the page
+     * lists to true (fitted) or false (listed as absent), or null if the
+     * page lists none.
+     */
+    extractSafetyFeatures(pairs) {
+        const features = {};
+        const sources = {};
+
+        for (const [feature, definition] of Object.entries(this.safetyFeatureDefinitions)) {
+            const { labels, exclude = [] } = definition;
+            let best = null;
+
+            for (const pair of pairs) {
+                if (exclude.some(phrase => pair.label.includes(phrase))) continue;
+
+                const score = this.scorePairLabel(pair.label, labels);
+                if (score <= 0 || (best && score <= best.score)) continue;
+
+                const fitted = this.parseFeatureValue(pair, definition);
+                if (fitted !== null) best = { pair, fitted, score };
+            }
+
+            if (best) {
+                features[feature] = best.fitted;
+                sources[feature] = `${best.pair.layout} "${best.pair.label}"`;
+            }
+        }
+
+        return Object.keys(features).length > 0 ? { features, sources } : null;
+    }
+
+    /**
+     * Read whether a spec row says a feature is fitted: true, false, or null
+     * when the value is not a feature availability ("Driver" for a
+     * seatbelt reminder that has to cover every row)
+     */
+    parseFeatureValue(pair, { present, absent, requires }) {
+        const value = pair.value.trim();
+
+        if (present && present.test(value)) return true;
+        if (absent && absent.test(value)) return false;
+
+        if (/^(?:no|none|not available|n\/?a|optional|-|–|—|✗|✘|×)$/i.test(value) ||
+            /\bnot (?:available|offered|applicable)\b/i.test(value)) {
+            return false;
+        }
+
+        if (requires && !requires.test(`${pair.label} ${value}`)) return null;
+
+        // "Yes", "Standard", a tick, or a description of the fitment ("All 4 wheels")
+        return value.length > 0;
+    }
+
+    /**
+     * Read a crash test from NCAP / occupant-protection rows. A rating row
+     * that names no occupant is the headline (adult) rating. Returns
+     * { body, year, adultStars, childStars, adultPoints, childPoints,
+     * adultMaxPoints, childMaxPoints } or null.
+     */
+    extractCrashTestFromPairs(pairs) {
+        const crashPairs = pairs.filter(pair =>
+            /ncap|crash|occupant/.test(pair.label) && !/user|review/.test(pair.label)
+        );
+        if (crashPairs.length === 0) return null;
+
+        const crashTest = this.createCrashTest();
+        for (const pair of crashPairs) {
+            const text = `${pair.label} ${pair.value}`;
+            crashTest.body = crashTest.body || this.detectCrashTestBody(text);
+            crashTest.year = crashTest.year || this.findTestYear(text);
+
+            const occupant = /adult/.test(pair.label) ? 'adult' : (/child/.test(pair.label) ? 'child' : null);
+            if (occupant) {
+                this.applyOccupantResult(crashTest, occupant, pair.value);
+            } else if (crashTest.adultStars === null) {
+                crashTest.adultStars = this.parseCrashStars(pair.value);
+            }
+        }
+
+        return this.hasCrashResult(crashTest) ? crashTest : null;
+    }
+
+    /**
+     * Read a crash test from page text: an NCAP mention plus adult/child
+     * occupant results ("Adult Occupant Protection: 5 stars (31.66/32)")
+     */
+    extractCrashTestFromText(text) {
+        const flatText = text.replace(/\s+/g, ' ');
+        const around = this.findCrashTestMention(flatText);
+        if (around === null) return null;
+
+        const crashTest = this.createCrashTest();
+        crashTest.body = this.detectCrashTestBody(flatText);
+        crashTest.year = this.findTestYear(around);
+
+        for (const occupant of ['adult', 'child']) {
+            const other = occupant === 'adult' ? 'child' : 'adult';
+            // "child safety locks" is a feature, not a crash result
+            const match = flatText.match(new RegExp(`\\b${occupant}(?: occupant(?: protection)?| protection)\\b`, 'i'));
+            if (!match) continue;
+
+            // Up to the next sentence or the other occupant's result
+            const window = flatText.substring(match.index + match[0].length, match.index + match[0].length + 60)
+                .split(new RegExp(`\\.\\s|\\b${other}\\b`, 'i'))[0];
+            this.applyOccupantResult(crashTest, occupant, window);
+        }
+
+        // No occupant breakdown: take the star rating quoted with the mention
+        if (crashTest.adultStars === null && crashTest.adultPoints === null) {
+            crashTest.adultStars = this.parseCrashStars(around);
+        }
+
+        return this.hasCrashResult(crashTest) ? crashTest : null;
+    }
+
+    /**
+     * Get the text around the first NCAP or crash-test mention, where the
+     * programme and test year are quoted, or null without a mention
+     */
+    findCrashTestMention(flatText) {
+        const mention = flatText.match(/\bncap\b|\bcrash[\s-]test/i);
+        if (!mention) return null;
+
+        return flatText.substring(Math.max(0, mention.index - 40), mention.index + 80);
+    }
+
+    /**
+     * Fill the programme and year of a crash test read from spec rows, which
+     * usually leave them to the section heading
+     */
+    completeCrashTest(crashTest, text) {
+        const flatText = text.replace(/\s+/g, ' ');
+        crashTest.body = crashTest.body || this.detectCrashTestBody(flatText);
+
+        const around = this.findCrashTestMention(flatText);
+        if (!crashTest.year && around !== null) {
+            crashTest.year = this.findTestYear(around);
+        }
+
+        return crashTest;
+    }
+
+    /**
+     * Empty crash test record
+     */
+    createCrashTest() {
+        return {
+            body: null,
+            year: null,
+            adultStars: null,
+            childStars: null,
+            adultPoints: null,
+            childPoints: null,
+            adultMaxPoints: null,
+            childMaxPoints: null
+        };
+    }
+
+    /**
+     * Check whether a crash test record holds any result
+     */
+    hasCrashResult(crashTest) {
+        return ['adultStars', 'childStars', 'adultPoints', 'childPoints']
+            .some(field => crashTest[field] !== null);
+    }
+
+    /**
+     * Name the crash-test programme mentioned in text, or null
+     */
+    detectCrashTestBody(text) {
+        const match = this.crashTestBodies.find(({ pattern }) => pattern.test(text));
+        return match ? match.body : null;
+    }
+
+    /**
+     * Find a plausible crash-test year (2010 onwards, not in the future)
+     */
+    findTestYear(text) {
+        const currentYear = new Date().getFullYear();
+        const years = (text.match(/\b20\d{2}\b/g) || [])
+            .map(Number)
+            .filter(year => year >= 2010 && year <= currentYear);
+
+        return years.length > 0 ? years[0] : null;
+    }
+
+    /**
+     * Fill an occupant's stars and points from a result such as
+     * "5 Star", "31.66/32", "45.00 points" or "87%"
+     */
+    applyOccupantResult(crashTest, occupant, text) {
+        const stars = this.parseCrashStars(text);
+        if (stars !== null && crashTest[`${occupant}Stars`] === null) {
+            crashTest[`${occupant}Stars`] = stars;
+        }
+
+        if (crashTest[`${occupant}Points`] !== null) return;
+
+        // "31.66/32" or "31.66 out of 32"; a "/5" is a star rating
+        const outOf = text.match(/(\d{1,2}(?:\.\d{1,2})?)\s*(?:\/|out of)\s*(\d{2})\b/i);
+        const percent = text.match(/(\d{1,3}(?:\.\d)?)\s*%/);
+        const points = text.match(/(\d{1,2}(?:\.\d{1,2})?)\s*(?:points|pts)\b/i);
+
+        if (outOf && parseFloat(outOf[1]) <= parseFloat(outOf[2])) {
+            crashTest[`${occupant}Points`] = parseFloat(outOf[1]);
+            crashTest[`${occupant}MaxPoints`] = parseFloat(outOf[2]);
+        } else if (percent && parseFloat(percent[1]) <= 100) {
+            crashTest[`${occupant}Points`] = parseFloat(percent[1]);
+            crashTest[`${occupant}MaxPoints`] = 100;
+        } else if (points) {
+            crashTest[`${occupant}Points`] = parseFloat(points[1]);
+        }
+    }
+
+    /**
+     * Parse a 0-5 crash star rating ("5 Star", "4-star", "3/5", a bare "5")
+     */
+    parseCrashStars(text) {
+        const match = text.match(/(\d(?:\.\d)?)\s*-?\s*stars?\b/i) ||
+            text.match(/(\d(?:\.\d)?)\s*\/\s*5\b/) ||
+            text.trim().match(/^(\d)$/);
+        if (!match) return null;
+
+        const stars = parseFloat(match[1]);
+        return stars >= 0 && stars <= 5 ? stars : null;
+    }
+
+    /**
+     * Collect { label, value, layout } pairs from table rows, definition
+     * lists and key/value cards. Labels are lower-cased without a trailing colon.
+     */
+    collectLabelValuePairs() {
+        const key = `label/value pairs ${this.pairLabelSelectors.join(', ')}`;
+        return CarEfficiencySnapshot.getSnapshot().remember(key, () => this.readLabelValuePairs());
+    }
+
+    /**
+     * Read the label/value pairs from the DOM (see collectLabelValuePairs)
+     */
+    readLabelValuePairs() {
+        const pairs = [];
+
+        const addPair = (labelElement, valueElement, layout) => {
+            const label = CarEfficiencyUtils.localizeText(labelElement.textContent)
+                .replace(/\s+/g, ' ').trim().replace(/\s*:$/, '').toLowerCase();
+            const value = CarEfficiencyUtils.localizeText(valueElement.textContent).replace(/\s+/g, ' ').trim();
+
+            // Long labels are prose rather than spec names
+            if (!label || !value || label.length > 60 || value.length > 120) return;
+            pairs.push({ label, value, layout });
+        };
+
+        // Table rows: the first cell names the spec, the second holds its value
+        for (const { element: row } of CarEfficiencySnapshot.getSnapshot().getRows('tr')) {
+            const cells = Array.from(row.children).filter(cell => /^(?:TD|TH)$/.test(cell.tagName));
+            if (cells.length >= 2) addPair(cells[0], cells[1], 'table');
+        }
+
+        // Definition lists
+        for (const term of document.querySelectorAll('dt')) {
+            const definition = term.nextElementSibling;
+            if (definition && definition.tagName === 'DD') addPair(term, definition, 'definition list');
+        }
+
+        // Key/value cards
+        for (const labelElement of document.querySelectorAll(this.pairLabelSelectors.join(', '))) {
+            if (/^(?:DT|DD|TD|TH)$/.test(labelElement.tagName)) continue;
+
+            const parent = labelElement.parentElement;
+            const valueElement = (parent && parent.querySelector('.value, .spec-value')) ||
+                labelElement.nextElementSibling;
+            if (valueElement && valueElement !== labelElement) addPair(labelElement, valueElement, 'key/value card');
+        }
+
+        return pairs;
+    }
+
+    /**
+     * Find the best-scoring pair for a field whose value parses within bounds.
+     * Returns { pair, value, score } or null.
+     */
+    findBestPair(pairs, { kind, labels, exclude = [], bounds }) {
+        let best = null;
+
+        for (const pair of pairs) {
+            if (exclude.some(phrase => pair.label.includes(phrase))) continue;
+
+            const score = this.scorePairLabel(pair.label, labels);
+            if (score <= 0 || (best && score <= best.score)) continue;
+
+            const value = kind
+                ? CarEfficiencyUtils.parseQuantityValue(pair.value, kind)
+                : CarEfficiencyUtils.parseNumber(pair.value);
+            if (value === null || (bounds && (value < bounds[0] || value > bounds[1]))) continue;
+
+            // Unit conversion leaves float noise ("5100 mm" -> 5.1000000000000005 m)
+            best = { pair, value: Math.round(value * 100) / 100, score };
+        }
+
+        return best;
+    }
+
+    /**
+     * Score how well a pair's label matches a field's labels: exact matches
+     * beat whole-word matches, longer (more specific) field labels beat
+     * shorter ones, and labels with fewer extra words beat wordier ones
+     */
+    scorePairLabel(pairLabel, labels) {
+        let best = 0;
+
+        labels.forEach((label, index) => {
+            let score;
+            if (pairLabel === label) {
+                score = 1000;
+            } else {
+                const escaped = label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                if (!new RegExp(`(?:^|[^a-z])${escaped}(?:$|[^a-z])`).test(pairLabel)) return;
+                score = 500;
+            }
+
+            score += label.length * 10 - index - (pairLabel.length - label.length);
+            best = Math.max(best, score);
+        });
+
+        return best;
+    }
+
+    /**
+     * Remove a field's excluded labels ("price range", "top speed") from page
+     * text so the label regex fallback cannot match inside them
+     */
+    withoutExcludedLabels(text, field) {
+        const { exclude = [] } = this.pairFields[field] || {};
+
+        return exclude.reduce((cleaned, phrase) => {
+            const escaped = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            return cleaned.replace(new RegExp(escaped, 'gi'), ' ');
+        }, text);
+    }
+
     /**
      * Extract car name from page title or headings
      */
     extractCarName() {
         // Try page title first
-        const title = document.title;
+        const title = CarEfficiencySnapshot.getSnapshot().title;
         if (title) {
             // Clean up title
             const cleaned = title.replace(/\s*[-|]\s*.*/g, '').trim();
@@ -93,10 +1345,37 @@ class GenericExtractor {
     }
 
     /**
-     * Extract fuel type from page text
+     * Classify the powertrain from spec rows, headings and page text
+     */
+    extractPowertrain(pageText) {
+        return CarEfficiencyUtils.classifyPowertrain(this.collectPowertrainEvidence(pageText));
+    }
+
+    /**
+     * Gather powertrain evidence as { specTable, heading, body }. Only spec
+     * rows about the engine, fuel or battery count as spec-table evidence.
+     */
+    collectPowertrainEvidence(pageText) {
+        const specRows = this.collectLabelValuePairs()
+            .filter(pair => /fuel|engine|powertrain|motor|battery|hybrid/.test(pair.label))
+            .map(pair => `${pair.label}: ${pair.value}`);
+        const snapshot = CarEfficiencySnapshot.getSnapshot();
+        const headings = snapshot.headings.map(heading => heading.text);
+
+        return {
+            specTable: specRows.join(' . '),
+            heading: CarEfficiencyUtils.localizeText([snapshot.title, ...headings].join(' . ')),
+            body: pageText
+        };
+    }
+
+    /**
+     * Find the first labelled value and parse it with its unit into the
+     * canonical unit of the given quantity kind
      */
-    extractFuelType(text) {
-        return CarEfficiencyUtils.guessFuelType(text);
+    extractQuantityByLabels(text, labels, kind) {
+        const rawValue = CarEfficiencyUtils.extractByLabels(text, labels, { numberOnly: false });
+        return rawValue ? CarEfficiencyUtils.parseQuantityValue(rawValue, kind) : null;
     }
 
     /**
@@ -108,7 +1387,7 @@ class GenericExtractor {
             'arai mileage', 'city mileage', 'highway mileage', 'combined mileage'
         ];
 
-        return CarEfficiencyUtils.extractByLabels(text, mileageLabels);
+        return this.extractQuantityByLabels(text, mileageLabels, 'efficiency');
     }
 
     /**
@@ -120,11 +1399,11 @@ class GenericExtractor {
             'arai range', 'claimed range', 'real world range'
         ];
 
-        const range = CarEfficiencyUtils.extractByLabels(text, rangeLabels);
+        const range = CarEfficiencyUtils.extractByLabels(this.withoutExcludedLabels(text, 'range'), rangeLabels);
 
-        // Look for km specifically
+        // Look for km specifically (not km/h or kmph speeds)
         if (!range) {
-            const kmMatch = text.match(/(\d+)\s*km/gi);
+            const kmMatch = text.match(/(\d+)\s*km\b(?!\s*\/\s*h)/gi);
             if (kmMatch) {
                 const values = kmMatch.map(m => CarEfficiencyUtils.parseNumber(m));
                 // Return the largest reasonable range value (100-1000 km)
@@ -174,14 +1453,8 @@ class GenericExtractor {
             'horsepower', 'brake horsepower'
         ];
 
-        let power = CarEfficiencyUtils.extractByLabels(text, powerLabels);
-
-        // Convert HP to kW if needed (1 HP = 0.746 kW)
-        if (power && text.toLowerCase().includes('hp') && !text.toLowerCase().includes('kw')) {
-            power = power * 0.746;
-        }
-
-        return power;
+        // Each figure is converted by its own unit (bhp, PS, kW); unitless figures are bhp
+        return this.extractQuantityByLabels(this.withoutExcludedLabels(text, 'power'), powerLabels, 'power');
     }
 
     /**
@@ -189,33 +1462,31 @@ class GenericExtractor {
      */
     extractKerbWeight(text) {
         const weightLabels = [
-            'kerb weight', 'curb weight', 'weight', 'gross weight',
-            'unladen weight', 'dry weight'
+            'kerb weight', 'curb weight', 'unladen weight', 'dry weight', 'weight'
         ];
 
-        return CarEfficiencyUtils.extractByLabels(text, weightLabels);
+        return this.extractQuantityByLabels(this.withoutExcludedLabels(text, 'kerbWeight'), weightLabels, 'weight');
     }
 
     /**
      * Extract NCAP safety rating
      */
     extractNCAPStars(text) {
+        // Only crash-test labels: "star rating" alone is usually a user review
         const ncapLabels = [
-            'ncap rating', 'ncap stars', 'safety rating', 'star rating',
-            'global ncap', 'euro ncap', 'iihs rating'
+            'ncap rating', 'ncap stars', 'crash test rating', 'safety rating',
+            'global ncap', 'bharat ncap', 'euro ncap'
         ];
 
         let stars = CarEfficiencyUtils.extractByLabels(text, ncapLabels);
+        if (stars !== null && (stars < 0 || stars > 5)) stars = null;
 
-        // Look for "X star" pattern
-        if (!stars) {
-            const starMatch = text.match(/(\d)\s*star/gi);
+        // Look for "X star" next to an NCAP or crash-test mention
+        if (stars === null) {
+            const starMatch = text.match(/(?:ncap|crash[\s-]test)[^.\d]{0,40}(\d)\s*-?\s*star|(\d)\s*-?\s*star[^.\d]{0,40}(?:ncap|crash[\s-]test)/i);
             if (starMatch) {
-                const values = starMatch.map(m => CarEfficiencyUtils.parseNumber(m));
-                const validRatings = values.filter(v => v >= 1 && v <= 5);
-                if (validRatings.length > 0) {
-                    stars = Math.max(...validRatings);
-                }
+                const value = CarEfficiencyUtils.parseNumber(starMatch[1] || starMatch[2]);
+                if (value >= 0 && value <= 5) stars = value;
             }
         }
 
@@ -252,27 +1523,15 @@ class GenericExtractor {
      * Extract ESC/ESP availability
      */
     extractESC(text) {
-        const escKeywords = [
-            'esc', 'esp', 'electronic stability', 'stability control',
-            'electronic stability control', 'electronic stability program',
-            'vehicle stability', 'traction control'
-        ];
-
-        const lowerText = text.toLowerCase();
-        return escKeywords.some(keyword => lowerText.includes(keyword));
+        // Whole words only: "esp" and "esc" hide inside "especially" and "description"
+        return /\b(?:esc|esp|electronic stability|stability control|vehicle stability|traction control)\b/i.test(text);
     }
 
     /**
      * Extract ISOFIX availability
      */
     extractISOFIX(text) {
-        const isofixKeywords = [
-            'isofix', 'iso fix', 'child seat anchor', 'latch system',
-            'child seat mounting', 'isofix anchor'
-        ];
-
-        const lowerText = text.toLowerCase();
-        return isofixKeywords.some(keyword => lowerText.includes(keyword));
+        return /\b(?:isofix|iso fix|child seat anchor|latch system|child seat mounting)/i.test(text);
     }
 
     /**
@@ -284,14 +1543,21 @@ class GenericExtractor {
             'engine size', 'capacity'
         ];
 
-        let displacement = CarEfficiencyUtils.extractByLabels(text, displacementLabels);
+        let displacement = this.extractQuantityByLabels(text, displacementLabels, 'displacement');
+
+        // "capacity" also labels seating and fuel tank capacity
+        const [min, max] = this.getPairFields().displacement.bounds;
+        if (displacement && (displacement < min || displacement > max)) {
+            displacement = null;
+        }
 
         // Look for cc pattern specifically
         if (!displacement) {
             const ccMatch = text.match(/(\d{3,4})\s*cc/gi);
             if (ccMatch) {
                 const values = ccMatch.map(m => CarEfficiencyUtils.parseNumber(m));
-                const reasonableDisplacements = values.filter(v => v >= 800 && v <= 3000);
+                const [ccMin, ccMax] = this.isTwoWheeler() ? [min, max] : [800, 3000];
+                const reasonableDisplacements = values.filter(v => v >= ccMin && v <= ccMax);
                 if (reasonableDisplacements.length > 0) {
                     displacement = reasonableDisplacements[0];
                 }
@@ -334,7 +1600,7 @@ class GenericExtractor {
             'torque', 'max torque', 'peak torque', 'maximum torque', 'nm'
         ];
 
-        let torque = CarEfficiencyUtils.extractByLabels(text, torqueLabels);
+        let torque = this.extractQuantityByLabels(text, torqueLabels, 'torque');
 
         // Look for Nm pattern specifically
         if (!torque) {
@@ -355,6 +1621,13 @@ class GenericExtractor {
      * Extract transmission type
      */
     extractTransmissionType(text) {
+        return this.detectTransmissionType(text) || 'manual'; // Default assumption
+    }
+
+    /**
+     * Detect transmission type from text, or null when none is mentioned
+     */
+    detectTransmissionType(text) {
         const lowerText = text.toLowerCase();
 
         if (lowerText.includes('cvt')) return 'cvt';
@@ -364,7 +1637,7 @@ class GenericExtractor {
         if (lowerText.includes('manual')) return 'manual';
         if (lowerText.includes('hybrid')) return 'hybrid';
 
-        return 'manual'; // Default assumption
+        return null;
     }
 
     /**
@@ -372,14 +1645,15 @@ class GenericExtractor {
      */
     extractGears(text) {
         const gearLabels = [
-            'gears', 'gear', 'speed', 'transmission'
+            'no. of gears', 'number of gears', 'gears', 'gearbox', 'transmission'
         ];
 
-        let gears = CarEfficiencyUtils.extractByLabels(text, gearLabels);
+        let gears = CarEfficiencyUtils.extractByLabels(this.withoutExcludedLabels(text, 'gears'), gearLabels);
+        if (gears && (gears < 3 || gears > 10)) gears = null;
 
-        // Look for "X speed" or "X gear" pattern
+        // Look for "X speed" or "X gear" pattern ("5-speed", not "top speed 180")
         if (!gears) {
-            const gearMatch = text.match(/(\d)\s*(?:speed|gear)/gi);
+            const gearMatch = text.match(/(\d{1,2})\s*-?\s*(?:speed|gear)/gi);
             if (gearMatch) {
                 const values = gearMatch.map(m => CarEfficiencyUtils.parseNumber(m));
                 const validGears = values.filter(v => v >= 4 && v <= 10);
@@ -400,7 +1674,7 @@ class GenericExtractor {
             'length', 'overall length', 'l x w x h', 'dimensions'
         ];
 
-        let length = CarEfficiencyUtils.extractByLabels(text, lengthLabels);
+        let length = this.extractQuantityByLabels(text, lengthLabels, 'length');
 
         // Look for dimensions pattern (L x W x H)
         if (!length) {
@@ -424,7 +1698,7 @@ class GenericExtractor {
             'width', 'overall width'
         ];
 
-        let width = CarEfficiencyUtils.extractByLabels(text, widthLabels);
+        let width = this.extractQuantityByLabels(text, widthLabels, 'length');
 
         // Look for dimensions pattern (L x W x H)
         if (!width) {
@@ -448,7 +1722,7 @@ class GenericExtractor {
             'height', 'overall height'
         ];
 
-        let height = CarEfficiencyUtils.extractByLabels(text, heightLabels);
+        let height = this.extractQuantityByLabels(text, heightLabels, 'length');
 
         // Look for dimensions pattern (L x W x H)
         if (!height) {
@@ -464,6 +1738,48 @@ class GenericExtractor {
         return height;
     }
 
+    /**
+     * Extract a field from page text with the labels, exclusions and bounds
+     * of its label/value pair definition
+     */
+    extractFieldFromText(text, field) {
+        const { labels } = this.pairFields[field];
+        const rawValue = CarEfficiencyUtils.extractByLabels(
+            this.withoutExcludedLabels(text, field), labels, { numberOnly: false }
+        );
+
+        return rawValue ? this.parseFieldValue(field, rawValue) : null;
+    }
+
+    /**
+     * Parse a field's value with its quantity kind, or null when it falls
+     * outside the field's bounds
+     */
+    parseFieldValue(field, text) {
+        const { kind, bounds } = this.pairFields[field];
+        const value = kind
+            ? CarEfficiencyUtils.parseQuantityValue(text, kind)
+            : CarEfficiencyUtils.parseNumber(text);
+
+        if (value === null || (bounds && (value < bounds[0] || value > bounds[1]))) return null;
+        return Math.round(value * 100) / 100;
+    }
+
+    /**
+     * Extract seating capacity ("Seating Capacity 7" or "7-seater")
+     */
+    extractSeatingCapacity(text) {
+        const seating = this.extractFieldFromText(text, 'seatingCapacity');
+        if (seating) return seating;
+
+        const seaterMatch = text.match(/\b(\d{1,2})\s*-?\s*seater\b/i);
+        if (seaterMatch) {
+            return this.parseFieldValue('seatingCapacity', seaterMatch[1]);
+        }
+
+        return null;
+    }
+
     /**
      * Extract ground clearance
      */
@@ -472,13 +1788,20 @@ class GenericExtractor {
             'ground clearance', 'clearance', 'minimum ground clearance'
         ];
 
-        return CarEfficiencyUtils.extractByLabels(text, clearanceLabels);
+        return this.extractQuantityByLabels(text, clearanceLabels, 'length');
     }
 
     /**
      * Extract body type
      */
     extractBodyType(text) {
+        return this.detectBodyType(text) || 'sedan'; // Default assumption
+    }
+
+    /**
+     * Detect body type from text, URL or title, or null when none is found
+     */
+    detectBodyType(text) {
         const lowerText = text.toLowerCase();
 
         if (lowerText.includes('hatchback')) return 'hatchback';
@@ -497,7 +1820,7 @@ class GenericExtractor {
         if (url.includes('sedan') || title.includes('sedan')) return 'sedan';
         if (url.includes('suv') || title.includes('suv')) return 'suv';
 
-        return 'sedan'; // Default assumption
+        return null;
     }
 
     /**
@@ -509,26 +1832,17 @@ class GenericExtractor {
             'on-road price', 'launch price', 'expected price'
         ];
 
-        let price = CarEfficiencyUtils.extractByLabels(text, priceLabels);
+        let price = this.extractQuantityByLabels(text, priceLabels, 'price');
 
         // Look for ₹ symbol with numbers
         if (!price) {
-            const rupeeMatch = text.match(/₹\s*(\d+(?:,\d+)*(?:\.\d+)?)\s*(?:lakh|crore)?/gi);
+            const rupeeMatch = text.match(/(?:₹|\brs\.?)\s*(\d+(?:,\d+)*(?:\.\d+)?)\s*(?:lakh|crore)?/gi);
             if (rupeeMatch) {
-                const values = rupeeMatch.map(match => {
-                    const numStr = match.replace(/[₹,]/g, '').trim();
-                    const num = CarEfficiencyUtils.parseNumber(numStr);
-
-                    // Convert crore to lakh
-                    if (match.toLowerCase().includes('crore')) {
-                        return num * 100;
-                    }
-
-                    return num;
-                });
+                const values = rupeeMatch.map(match => CarEfficiencyUtils.parseQuantityValue(match, 'price'));
 
-                // Return the most reasonable price (3-100 lakh)
-                const reasonablePrices = values.filter(v => v >= 3 && v <= 100);
+                // Return the most reasonable price (3-100 lakh for cars)
+                const [minPrice, maxPrice] = this.isTwoWheeler() ? this.twoWheelerBounds.price : [3, 100];
+                const reasonablePrices = values.filter(v => v >= minPrice && v <= maxPrice);
                 if (reasonablePrices.length > 0) {
                     price = Math.min(...reasonablePrices); // Take the lowest price (base variant)
                 }
@@ -537,6 +1851,163 @@ class GenericExtractor {
 
         return price;
     }
+
+    /**
+     * Extract the variant list as [{ name, fuelType, transmissionType, price, mileage }]
+     */
+    extractVariants() {
+        const variants = [];
+        const seen = new Set();
+
+        const addVariant = (variant) => {
+            const key = variant && variant.name.toLowerCase();
+            if (!variant || seen.has(key)) return;
+            seen.add(key);
+            variants.push(variant);
+        };
+
+        // Variant/price tables identified by their header row; rows come from
+        // the analysis's snapshot, grouped by their table
+        const snapshot = CarEfficiencySnapshot.getSnapshot();
+        const tables = new Map();
+        for (const { element, cells } of snapshot.getRows('tr')) {
+            const table = element.closest('table');
+            if (!table) continue;
+            if (!tables.has(table)) tables.set(table, []);
+            tables.get(table).push(cells);
+        }
+
+        for (const rows of tables.values()) {
+            if (rows.length < 2) continue;
+
+            const headers = rows[0].map(cell => cell.toLowerCase());
+
+            const findColumn = (pattern, exclude) => headers.findIndex(header =>
+                pattern.test(header) && !(exclude && exclude.test(header)));
+
+            const nameColumn = findColumn(/variant|version/);
+            const priceColumn = findColumn(/price/);
+            if (nameColumn < 0 || priceColumn < 0) continue;
+
+            const columns = {
+                price: priceColumn,
+                mileage: findColumn(/mileage|fuel efficiency|kmpl|km\/l/),
+                fuel: findColumn(/fuel/, /efficiency|economy|tank/),
+                transmission: findColumn(/transmission|gearbox/)
+            };
+
+            for (const cells of rows.slice(1)) {
+                const cellText = (index) => index >= 0 && index < cells.length ? cells[index] : null;
+
+                addVariant(this.buildVariant(cellText(nameColumn), {
+                    price: cellText(columns.price),
+                    mileage: cellText(columns.mileage),
+                    fuel: cellText(columns.fuel),
+                    transmission: cellText(columns.transmission)
+                }));
+            }
+        }
+
+        // Variant cards/list items
+        for (const selector of this.variantItemSelectors) {
+            for (const item of snapshot.remember(`variant items ${selector}`, () => this.readVariantItems(selector))) {
+                addVariant(this.buildVariant(item.name, {
+                    price: item.price,
+                    mileage: item.mileage,
+                    fuel: null,
+                    transmission: null
+                }));
+            }
+        }
+
+        return variants;
+    }
+
+    /**
+     * Read the name, price and mileage texts of the variant cards matching
+     * a selector, skipping cards without a separate name and price
+     */
+    readVariantItems(selector) {
+        const items = [];
+        for (const item of document.querySelectorAll(selector)) {
+            const nameElement = item.querySelector('.variant-name, td:first-child, a');
+            const priceElement = item.querySelector('.variant-price, .price, td:last-child');
+            if (!nameElement || !priceElement || nameElement === priceElement) continue;
+
+            const mileageElement = item.querySelector('.variant-mileage, .mileage');
+            items.push({
+                name: nameElement.textContent,
+                price: priceElement.textContent,
+                mileage: mileageElement ? mileageElement.textContent : null
+            });
+        }
+
+        return items;
+    }
+
+    /**
+     * Build a variant from its name and raw cell texts. Fuel and transmission
+     * fall back to the variant name ("VXi CNG", "ZXi+ AMT"); when neither
+     * names them they stay null, meaning the page's own.
+     */
+    buildVariant(name, parts) {
+        const cleanName = name ? name.replace(/\s+/g, ' ').trim() : '';
+        if (!cleanName || cleanName.length > 80) return null;
+
+        const price = this.parsePriceToLakh(parts.price);
+        if (!price) return null;
+
+        // Units convert as in the spec tables ("4.5 l/100km"), and the
+        // vehicle's own bounds apply (two-wheelers run past 50 kmpl)
+        const mileage = CarEfficiencyUtils.parseQuantityValue(parts.mileage, 'efficiency');
+        const [minMileage, maxMileage] = this.getPairFields().mileage.bounds;
+        const classified = CarEfficiencyUtils.classifyPowertrain(parts.fuel || cleanName);
+        const namesFuel = classified.score > 0;
+
+        return {
+            name: cleanName,
+            fuelType: namesFuel ? classified.fuelType : null,
+            powertrain: namesFuel ? classified.powertrain : null,
+            transmissionType: this.guessVariantTransmission(parts.transmission || cleanName),
+            price,
+            mileage: mileage && mileage >= minMileage && mileage <= maxMileage ? mileage : null
+        };
+    }
+
+    /**
+     * Guess transmission type from a variant name or transmission cell, or
+     * null when it names none
+     */
+    guessVariantTransmission(text) {
+        const lowerText = text.toLowerCase();
+
+        if (/\bcvt\b/.test(lowerText)) return 'cvt';
+        if (/\bamt\b|\bags\b/.test(lowerText)) return 'amt';
+        if (/\bdct\b|\bdsg\b|dual clutch/.test(lowerText)) return 'dct';
+        if (/\bat\b|\btc\b|automatic/.test(lowerText)) return 'automatic';
+        if (/\bmt\b|manual/.test(lowerText)) return 'manual';
+
+        return null;
+    }
+
+    /**
+     * Parse an Indian price ("₹ 6.49 Lakh", "Rs. 12.5 Crore", "6,49,000") into lakh
+     */
+    parsePriceToLakh(rawPriceText) {
+        if (!rawPriceText) return null;
+
+        const priceText = CarEfficiencyUtils.localizeText(rawPriceText);
+        const quantity = CarEfficiencyUtils.parseQuantity(priceText, 'price');
+        if (!quantity) return null;
+
+        // Unitless small numbers in price cells are usually counts, not
+        // prices; two-wheelers do cost under a lakh when written in rupees
+        const hasUnit = /lakh|lac|crore|\bcr\b|\bl\b/i.test(priceText);
+        const inRupees = /\d{1,3}(?:,\d{2,3})+|\d{4,}/.test(priceText);
+        if (!hasUnit && quantity.value < 1 && !(this.isTwoWheeler() && inRupees)) return null;
+
+        return quantity.value;
+    }
 }
 
 // Export the generic extractor
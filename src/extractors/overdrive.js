@@ -0,0 +1,30 @@
+// extractors/overdrive.js - Overdrive road-test extractor
+
+/**
+ * Overdrive extractor for road tests with tested economy and acceleration
+ */
+class OverdriveExtractor extends CarEfficiencyExtractors.RoadTestExtractor {
+    constructor() {
+        super();
+        this.name = 'overdrive';
+
+        this.articleSelectors = ['.article-details', '.story-details', 'article', '.content-area'];
+        this.dataRowSelectors = [
+            '.od-test-data tr',
+            '.tested-data tr',
+            '.specs-table tr',
+            '.article-details table tr'
+        ];
+    }
+
+    /**
+     * Check if this extractor can handle the current page
+     */
+    canExtract() {
+        return window.location.hostname.includes('overdrive.in');
+    }
+}
+
+// Export the Overdrive extractor
+window.CarEfficiencyExtractors = window.CarEfficiencyExtractors || {};
+window.CarEfficiencyExtractors.OverdriveExtractor = OverdriveExtractor;
@@ -0,0 +1,198 @@
+// extractors/roadtest.js - Shared base for road-test publication extractors
+
+/**
+ * Base extractor for road-test sites (Autocar India, Overdrive) that publish
+ * tested fuel economy and acceleration alongside the claimed figures.
+ * Subclasses supply the hostname check and their own selectors.
+ */
+class RoadTestExtractor extends CarEfficiencyExtractors.GenericExtractor {
+    constructor() {
+        super();
+        this.name = 'roadtest';
+
+        // Containers holding the road-test article body
+        this.articleSelectors = ['article', '.article-body', '.story-content'];
+
+        // Rows of the tested-data tables published with each test
+        this.dataRowSelectors = ['.road-test-data tr', '.test-data tr', 'article table tr'];
+    }
+
+    /**
+     * Subclasses decide which host they handle
+     */
+    canExtract() {
+        return false;
+    }
+
+    /**
+     * Extract car specifications plus tested economy and acceleration
+     */
+    extract() {
+        // Start with generic extraction
+        const spec = super.extract();
+
+        // Enhance with tested figures
+        this.enhanceWithRoadTestData(spec);
+
+        return spec;
+    }
+
+    /**
+     * Check the article and tested-data selectors. Built here rather than in
+     * the constructor, as subclasses replace those selectors after it runs.
+     */
+    checkLayoutHealth() {
+        this.layoutSelectors = {
+            article: this.articleSelectors.join(', '),
+            testData: this.dataRowSelectors.join(', ')
+        };
+
+        return super.checkLayoutHealth();
+    }
+
+    /**
+     * Add tested figures as fields separate from the claimed `mileage`
+     */
+    enhanceWithRoadTestData(spec) {
+        const rows = this.collectTestRows();
+        const articleText = this.getArticleText();
+
+        const city = this.extractTestedEconomy(rows, articleText, 'city');
+        if (city) {
+            spec.testedCityMileage = city;
+            this.recordTestedSource(spec, 'testedCityMileage');
+        }
+
+        const highway = this.extractTestedEconomy(rows, articleText, 'highway');
+        if (highway) {
+            spec.testedHighwayMileage = highway;
+            this.recordTestedSource(spec, 'testedHighwayMileage');
+        }
+
+        const acceleration = this.extractAcceleration(rows, articleText);
+        if (acceleration) {
+            spec.acceleration0to100 = acceleration;
+            this.recordTestedSource(spec, 'acceleration0to100');
+        }
+    }
+
+    /**
+     * Record a tested figure's source
+     */
+    recordTestedSource(spec, field) {
+        CarEfficiencyUtils.recordSource(spec, field, this.name, 'road-test data',
+            CarEfficiencyUtils.SOURCE_CONFIDENCE.measured);
+    }
+
+    /**
+     * Collect label/value pairs from the tested-data tables
+     */
+    collectTestRows() {
+        const rows = [];
+
+        const snapshot = CarEfficiencySnapshot.getSnapshot();
+
+        for (const selector of this.dataRowSelectors) {
+            for (const { cells } of snapshot.getRows(selector)) {
+                if (cells.length >= 2) {
+                    rows.push({
+                        label: cells[0].toLowerCase(),
+                        value: cells[cells.length - 1]
+                    });
+                }
+            }
+        }
+
+        return rows;
+    }
+
+    /**
+     * Get the road-test article text, falling back to the whole page
+     */
+    getArticleText() {
+        for (const selector of this.articleSelectors) {
+            const element = document.querySelector(selector);
+            if (element && element.textContent.trim().length > 0) {
+                return CarEfficiencyUtils.localizeText(element.textContent).replace(/\s+/g, ' ');
+            }
+        }
+
+        return CarEfficiencySnapshot.getSnapshot().text.replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Extract tested city or highway economy in km/l
+     */
+    extractTestedEconomy(rows, text, condition) {
+        const conditionWords = condition === 'city' ? 'city' : '(?:highway|hwy)';
+
+        // Tested-data tables label rows "City" / "Highway" under a fuel economy heading
+        const row = rows.find(item =>
+            new RegExp(`\\b${conditionWords}\\b`).test(item.label) &&
+            !/\b(?:arai|claimed)\b/.test(item.label)
+        );
+        if (row) {
+            const value = CarEfficiencyUtils.parseNumber(row.value);
+            if (this.isReasonableEconomy(value)) return value;
+        }
+
+        // Otherwise look for "12.4kpl in the city" / "city: 12.4kpl" in the article
+        const unit = '(?:kpl|kmpl|km\\/l)';
+        const patterns = [
+            new RegExp(`${conditionWords}[^\\d.]{0,30}(\\d{1,2}(?:\\.\\d{1,2})?)\\s*${unit}`, 'i'),
+            new RegExp(`(\\d{1,2}(?:\\.\\d{1,2})?)\\s*${unit}[^\\d.]{0,20}${conditionWords}`, 'i')
+        ];
+
+        for (const pattern of patterns) {
+            const match = text.match(pattern);
+            if (match) {
+                const context = text.substring(Math.max(0, match.index - 30), match.index).toLowerCase();
+                if (/\b(?:arai|claimed)\b/.test(context)) continue;
+
+                const value = CarEfficiencyUtils.parseNumber(match[1]);
+                if (this.isReasonableEconomy(value)) return value;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract tested 0-100 km/h time in seconds
+     */
+    extractAcceleration(rows, text) {
+        const row = rows.find(item => /0\s*-\s*100/.test(item.label));
+        if (row) {
+            const value = CarEfficiencyUtils.parseNumber(row.value);
+            if (this.isReasonableAcceleration(value)) return value;
+        }
+
+        const match = text.match(
+            /0\s*-\s*100\s*(?:km\/?h|kph)?[^\d]{0,25}(\d{1,2}(?:\.\d{1,2})?)\s*(?:s|sec|secs|seconds)\b/i
+        );
+        if (match) {
+            const value = CarEfficiencyUtils.parseNumber(match[1]);
+            if (this.isReasonableAcceleration(value)) return value;
+        }
+
+        return null;
+    }
+
+    /**
+     * Tested economy figures outside this range are mis-parsed numbers
+     */
+    isReasonableEconomy(value) {
+        return value !== null && value >= 3 && value <= 40;
+    }
+
+    /**
+     * 0-100 km/h times outside this range are mis-parsed numbers
+     */
+    isReasonableAcceleration(value) {
+        return value !== null && value >= 2 && value <= 30;
+    }
+}
+
+// Export the road-test base extractor
+window.CarEfficiencyExtractors = window.CarEfficiencyExtractors || {};
+window.CarEfficiencyExtractors.RoadTestExtractor = RoadTestExtractor;
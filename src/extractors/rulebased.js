@@ -0,0 +1,138 @@
+// extractors/rulebased.js - Extractor driven by user-defined site rules
+
+/**
+ * Extractor for sites without a built-in extractor, configured by a
+ * declarative rule from the extension settings (see validateExtractorRule
+ * in utils.js for the rule shape)
+ */
+class RuleBasedExtractor extends CarEfficiencyExtractors.GenericExtractor {
+    constructor(rule) {
+        super();
+        this.rule = rule;
+        this.name = `rule "${rule.name}"`;
+
+        // Fields located by selector double as the rule's layout check
+        this.layoutSelectors = Object.fromEntries(
+            Object.entries(rule.fields || {})
+                .filter(([, fieldRule]) => fieldRule && fieldRule.selector)
+                .map(([field, fieldRule]) => [field, fieldRule.selector])
+        );
+    }
+
+    /**
+     * Check if this rule's host pattern matches the current page
+     */
+    canExtract() {
+        return CarEfficiencyUtils.matchesHostPattern(window.location.hostname, this.rule.hostPattern);
+    }
+
+    /**
+     * Extract car specifications, then apply the rule's fields
+     */
+    extract() {
+        // Start with generic extraction
+        const spec = super.extract();
+
+        // Rule fields override whatever the generic pass found
+        this.applyRule(spec);
+
+        return spec;
+    }
+
+    /**
+     * Fill spec fields from the rule's selectors and labels
+     */
+    applyRule(spec) {
+        let pairs = null;
+
+        for (const [field, fieldRule] of Object.entries(this.rule.fields || {})) {
+            const kind = CarEfficiencyUtils.RULE_FIELDS[field];
+            if (!kind) continue;
+
+            // Label/value pairs are only collected if some field needs them
+            if (!fieldRule.selector && !pairs) {
+                pairs = this.collectLabelValuePairs();
+            }
+
+            const found = fieldRule.selector
+                ? this.findBySelector(fieldRule)
+                : this.findByLabels(fieldRule, pairs);
+            if (!found) continue;
+
+            const value = this.parseRuleValue(field, kind, found.text, fieldRule.unit);
+            if (value === null || value === undefined) continue;
+
+            spec[field] = value;
+            CarEfficiencyUtils.recordSource(spec, field, this.name, found.detail,
+                CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable);
+        }
+    }
+
+    /**
+     * Read a field's text from its selector (or an attribute of the element)
+     */
+    findBySelector(fieldRule) {
+        let element = null;
+        try {
+            element = document.querySelector(fieldRule.selector);
+        } catch (error) {
+            console.warn(`Invalid selector in rule "${this.rule.name}":`, fieldRule.selector);
+            return null;
+        }
+        if (!element) return null;
+
+        const text = fieldRule.attribute
+            ? element.getAttribute(fieldRule.attribute)
+            : CarEfficiencyUtils.localizeText(element.textContent).replace(/\s+/g, ' ').trim();
+        if (!text) return null;
+
+        return { text, detail: `selector "${fieldRule.selector}"` };
+    }
+
+    /**
+     * Read a field's text from the best label/value pair for its labels
+     */
+    findByLabels(fieldRule, pairs) {
+        const labels = (fieldRule.labels || []).map(label => label.trim().toLowerCase());
+
+        let best = null;
+        for (const pair of pairs) {
+            const score = this.scorePairLabel(pair.label, labels);
+            if (score > 0 && (!best || score > best.score)) {
+                best = { pair, score };
+            }
+        }
+        if (!best) return null;
+
+        return { text: best.pair.value, detail: `${best.pair.layout} "${best.pair.label}"` };
+    }
+
+    /**
+     * Parse a field's text by its kind, assuming the rule's unit when the
+     * text gives none
+     */
+    parseRuleValue(field, kind, text, unit) {
+        if (kind === 'text') {
+            switch (field) {
+                case 'fuelType':
+                    return CarEfficiencyUtils.guessFuelType(text);
+                case 'transmissionType':
+                    return this.detectTransmissionType(text);
+                case 'bodyType':
+                    return this.detectBodyType(text);
+                default:
+                    return text.length < 150 ? text : null;
+            }
+        }
+
+        if (kind === 'number') {
+            return CarEfficiencyUtils.parseNumber(text);
+        }
+
+        return CarEfficiencyUtils.parseQuantityValue(text, kind, unit);
+    }
+}
+
+// Export the rule-based extractor
+window.CarEfficiencyExtractors = window.CarEfficiencyExtractors || {};
+window.CarEfficiencyExtractors.RuleBasedExtractor = RuleBasedExtractor;
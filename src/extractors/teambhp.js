@@ -0,0 +1,172 @@
+// extractors/teambhp.js - Team-BHP ownership review extractor
+
+/**
+ * Team-BHP extractor that reads owner-reported fuel economy from
+ * ownership-review threads and extends the generic extractor
+ */
+class TeamBHPExtractor extends CarEfficiencyExtractors.GenericExtractor {
+    constructor() {
+        super();
+        this.name = 'teambhp';
+
+        // Owner-reported figures outside this range are typos or trip-meter jokes
+        this.mileageBounds = { min: 3, max: 40 };
+
+        this.layoutSelectors = {
+            threadTitle: '.threadtitle, .navbar strong',
+            posts: '[id^="post_message_"], .post-message, .postcontent'
+        };
+    }
+
+    /**
+     * Check if this extractor can handle the current page
+     */
+    canExtract() {
+        return window.location.hostname.includes('team-bhp.com');
+    }
+
+    /**
+     * Extract car specifications and owner-reported economy
+     */
+    extract() {
+        // Start with generic extraction
+        const spec = super.extract();
+
+        // Enhance with Team-BHP thread data
+        this.enhanceWithTeamBHPData(spec);
+
+        return spec;
+    }
+
+    /**
+     * Enhance specification data with the thread's owner reports
+     */
+    enhanceWithTeamBHPData(spec) {
+        // Thread title is the most reliable car name on Team-BHP
+        const titleElement = document.querySelector('.threadtitle, h1.threadtitle, .navbar strong, h1');
+        if (titleElement) {
+            const title = titleElement.textContent.replace(/\s+/g, ' ').trim();
+            if (title.length > 0 && title.length < 150) {
+                spec.carName = title;
+            }
+        }
+
+        const reports = this.collectMileageReports();
+        const summary = this.summarizeMileageReports(reports);
+        if (summary) {
+            spec.ownerReportedMileage = summary;
+
+            // A handful of owner posts is an anecdote, not a measurement
+            const confidence = CarEfficiencyUtils.SOURCE_CONFIDENCE.measured * Math.min(1, summary.count / 5);
+            CarEfficiencyUtils.recordSource(spec, 'ownerReportedMileage', this.name,
+                `${summary.count} owner posts`, confidence);
+        }
+    }
+
+    /**
+     * Get the text of the first post and all replies, without quoted content
+     */
+    getPostTexts() {
+        const posts = document.querySelectorAll('[id^="post_message_"], .post-message, .postcontent');
+        const texts = [];
+
+        for (const post of posts) {
+            // Quoted replies repeat other owners' figures; drop them so
+            // every report is counted once
+            const clone = post.cloneNode(true);
+            clone.querySelectorAll('.bbcode_container, .bbcode_quote, .quote, blockquote')
+                .forEach(quote => quote.remove());
+
+            const text = clone.textContent.replace(/\s+/g, ' ').trim();
+            if (text) texts.push(text);
+        }
+
+        return texts;
+    }
+
+    /**
+     * Find fuel economy figures in post texts, tagged city/highway/mixed
+     */
+    collectMileageReports() {
+        const reports = [];
+        const figurePattern = /(\d{1,2}(?:\.\d{1,2})?)\s*(?:kmpl|kpl|km\/l(?:tr|itre|iter)?|km per l(?:itre|iter)?)\b/gi;
+
+        for (const text of this.getPostTexts()) {
+            let match;
+            while ((match = figurePattern.exec(text)) !== null) {
+                const value = CarEfficiencyUtils.parseNumber(match[1]);
+                if (value === null ||
+                    value < this.mileageBounds.min ||
+                    value > this.mileageBounds.max) {
+                    continue;
+                }
+
+                const context = text.substring(
+                    Math.max(0, match.index - 40),
+                    Math.min(text.length, figurePattern.lastIndex + 40)
+                ).toLowerCase();
+
+                // Owners often quote the brochure figure for comparison
+                if (/\b(?:arai|claimed|certified|brochure)\b/.test(context)) {
+                    continue;
+                }
+
+                reports.push({
+                    value,
+                    condition: this.classifyDrivingCondition(context)
+                });
+            }
+        }
+
+        return reports;
+    }
+
+    /**
+     * Classify a report as city, highway or mixed driving from nearby words
+     */
+    classifyDrivingCondition(context) {
+        const isCity = /\b(?:city|urban|traffic|bumper to bumper)\b/.test(context);
+        const isHighway = /\b(?:highway|hwy|expressway|open road|cruising)\b/.test(context);
+
+        if (isCity && !isHighway) return 'city';
+        if (isHighway && !isCity) return 'highway';
+        return 'mixed';
+    }
+
+    /**
+     * Aggregate reports into median, count and spread, overall and per condition
+     */
+    summarizeMileageReports(reports) {
+        if (!reports || reports.length === 0) return null;
+
+        const summarize = (values) => {
+            if (values.length === 0) return null;
+
+            const sorted = [...values].sort((a, b) => a - b);
+            const middle = Math.floor(sorted.length / 2);
+            const median = sorted.length % 2 === 0
+                ? (sorted[middle - 1] + sorted[middle]) / 2
+                : sorted[middle];
+
+            return {
+                median: Math.round(median * 10) / 10,
+                count: sorted.length,
+                min: sorted[0],
+                max: sorted[sorted.length - 1],
+                spread: Math.round((sorted[sorted.length - 1] - sorted[0]) * 10) / 10
+            };
+        };
+
+        const overall = summarize(reports.map(report => report.value));
+
+        return {
+            ...overall,
+            city: summarize(reports.filter(r => r.condition === 'city').map(r => r.value)),
+            highway: summarize(reports.filter(r => r.condition === 'highway').map(r => r.value))
+        };
+    }
+}
+
+// Export the Team-BHP extractor
+window.CarEfficiencyExtractors = window.CarEfficiencyExtractors || {};
+window.CarEfficiencyExtractors.TeamBHPExtractor = TeamBHPExtractor;
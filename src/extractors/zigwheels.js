@@ -0,0 +1,219 @@
+// extractors/zigwheels.js - ZigWheels specific extractor
+
+/**
+ * ZigWheels specific extractor that extends the generic extractor
+ */
+class ZigWheelsExtractor extends CarEfficiencyExtractors.GenericExtractor {
+    constructor() {
+        super();
+        this.name = 'zigwheels';
+
+        this.layoutSelectors = {
+            keySpecs: '.key-specs li, .keySpecs li, .key-spec-list li, .specs-overview li',
+            specTable: '.specsAllLists tr, .specs-table tr, .specification-table tr, #specs table tr',
+            price: '.price-value, .model-price, .ex-showroom-price, .price-section .price, [data-price]'
+        };
+    }
+
+    /**
+     * Check if this extractor can handle the current page
+     */
+    canExtract() {
+        return window.location.hostname.includes('zigwheels.com');
+    }
+
+    /**
+     * Extract car specifications with ZigWheels-specific selectors
+     */
+    extract() {
+        // Start with generic extraction
+        const spec = super.extract();
+
+        // Enhance with ZigWheels-specific extraction
+        this.enhanceWithZigWheelsData(spec);
+
+        return spec;
+    }
+
+    /**
+     * Enhance specification data with ZigWheels-specific selectors.
+     * Values found in ZigWheels' own spec blocks replace the whole-page
+     * guesses made by the generic extractor.
+     */
+    enhanceWithZigWheelsData(spec) {
+        // Try to get car name from ZigWheels specific elements
+        const carNameElement = document.querySelector('.model-name, .mdl-name, h1.heading, h1');
+        if (carNameElement && !spec.carName) {
+            spec.carName = carNameElement.textContent.trim();
+        }
+
+        const specs = this.collectZigWheelsSpecs();
+
+        const mileage = this.findSpecEntry(specs, ['ARAI Mileage', 'Mileage', 'Fuel Efficiency', 'City Mileage']);
+        if (mileage) {
+            const value = CarEfficiencyUtils.parseQuantityValue(mileage.value, 'efficiency');
+            if (value) this.setSpecField(spec, 'mileage', value, mileage);
+        }
+
+        const power = this.findSpecEntry(specs, ['Max Power', 'Power', 'Peak Power']);
+        if (power) {
+            const value = CarEfficiencyUtils.parseQuantityValue(power.value, 'power');
+            if (value) this.setSpecField(spec, 'power', value, power);
+        }
+
+        const torque = this.findSpecEntry(specs, ['Max Torque', 'Torque', 'Peak Torque']);
+        if (torque) {
+            const value = CarEfficiencyUtils.parseQuantityValue(torque.value, 'torque');
+            if (value) this.setSpecField(spec, 'torque', value, torque);
+        }
+
+        const weight = this.findSpecEntry(specs, ['Kerb Weight', 'Curb Weight', 'Unladen Weight']);
+        if (weight) {
+            const value = CarEfficiencyUtils.parseQuantityValue(weight.value, 'weight');
+            if (value) this.setSpecField(spec, 'kerbWeight', value, weight);
+        }
+
+        const practicalityLabels = {
+            seatingCapacity: ['Seating Capacity'],
+            bootSpace: ['Boot Space', 'Luggage Capacity'],
+            fuelTankCapacity: ['Fuel Tank Capacity', 'Fuel Tank'],
+            wheelbase: ['Wheelbase', 'Wheel Base'],
+            turningRadius: ['Turning Radius', 'Minimum Turning Radius']
+        };
+        for (const [field, labels] of Object.entries(practicalityLabels)) {
+            const entry = this.findSpecEntry(specs, labels);
+            const value = entry ? this.parseFieldValue(field, entry.value) : null;
+            if (value) this.setSpecField(spec, field, value, entry);
+        }
+
+        const airbags = this.findSpecEntry(specs, ['No. of Airbags', 'Airbags', 'Air Bags']);
+        if (airbags) {
+            const value = CarEfficiencyUtils.parseNumber(airbags.value);
+            if (value && value <= 10) this.setSpecField(spec, 'airbags', value, airbags);
+        }
+
+        const ncap = this.findSpecEntry(specs, ['NCAP Rating', 'Global NCAP Safety Rating', 'Safety Rating', 'Crash Test Rating']);
+        if (ncap) {
+            const starMatch = ncap.value.match(/(\d(?:\.\d)?)\s*star/i) || ncap.value.match(/^(\d(?:\.\d)?)$/);
+            if (starMatch) {
+                const value = CarEfficiencyUtils.parseNumber(starMatch[1]);
+                if (value >= 0 && value <= 5) this.setSpecField(spec, 'ncapStars', value, ncap);
+            }
+        }
+
+        const price = this.extractZigWheelsPrice();
+        if (price) {
+            spec.price = price;
+            CarEfficiencyUtils.recordSource(spec, 'price', this.name, 'price section',
+                CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable);
+        }
+    }
+
+    /**
+     * Set a spec field from a ZigWheels spec entry and record its source
+     */
+    setSpecField(spec, field, value, entry) {
+        spec[field] = value;
+        CarEfficiencyUtils.recordSource(spec, field, this.name, `${entry.block} "${entry.label}"`,
+            CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable);
+    }
+
+    /**
+     * Collect label/value pairs from ZigWheels key-spec and full-spec blocks
+     */
+    collectZigWheelsSpecs() {
+        const specs = [];
+
+        // Key specs are rendered as list items with a label and a value span
+        const keySpecItems = document.querySelectorAll(
+            '.key-specs li, .keySpecs li, .key-spec-list li, .specs-overview li'
+        );
+        for (const item of keySpecItems) {
+            const labelElement = item.querySelector('.label, .spec-label, span:first-child');
+            const valueElement = item.querySelector('.value, .spec-value, span:last-child');
+            if (labelElement && valueElement && labelElement !== valueElement) {
+                specs.push({
+                    block: 'key specs',
+                    label: CarEfficiencyUtils.localizeText(labelElement.textContent).trim().toLowerCase(),
+                    value: CarEfficiencyUtils.localizeText(valueElement.textContent).trim()
+                });
+            }
+        }
+
+        // Full specifications are grouped into tables per section
+        const rows = CarEfficiencySnapshot.getSnapshot().getRows(
+            '.specsAllLists tr, .specs-table tr, .specification-table tr, #specs table tr'
+        );
+        for (const { cells } of rows) {
+            if (cells.length >= 2) {
+                specs.push({
+                    block: 'full specs',
+                    label: cells[0].toLowerCase(),
+                    value: cells[1]
+                });
+            }
+        }
+
+        return specs;
+    }
+
+    /**
+     * Find the first spec entry whose label matches one of the given labels.
+     * Exact label matches win over partial ones.
+     */
+    findSpecEntry(specs, labels) {
+        for (const label of labels) {
+            const lowerLabel = label.toLowerCase();
+            const exact = specs.find(item => item.label === lowerLabel && item.value);
+            if (exact) return exact;
+        }
+
+        for (const label of labels) {
+            const lowerLabel = label.toLowerCase();
+            const partial = specs.find(item => item.label.includes(lowerLabel) && item.value);
+            if (partial) return partial;
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract price from ZigWheels price elements
+     */
+    extractZigWheelsPrice() {
+        const priceSelectors = [
+            '.price-value',
+            '.model-price',
+            '.ex-showroom-price',
+            '.price-section .price',
+            '[data-price]'
+        ];
+
+        for (const selector of priceSelectors) {
+            const priceElement = document.querySelector(selector);
+            if (priceElement) {
+                const priceText = priceElement.textContent || priceElement.getAttribute('data-price');
+                const price = this.parseZigWheelsPrice(priceText);
+                if (price) return price;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse ZigWheels price format ("Rs. 6.49 - 9.64 Lakh*", "Rs. 78,000") into lakh
+     */
+    parseZigWheelsPrice(priceText) {
+        if (!priceText) return null;
+
+        // A range ("6.49 - 9.64 Lakh", "60 Lakh - 1.2 Crore") gives its lower end
+        const price = CarEfficiencyUtils.parseQuantityValue(priceText, 'price');
+        const [min, max] = this.isTwoWheeler() ? this.twoWheelerBounds.price : [1, 500];
+        return price && price >= min && price <= max ? price : null;
+    }
+}
+
+// Export the ZigWheels extractor
+window.CarEfficiencyExtractors = window.CarEfficiencyExtractors || {};
+window.CarEfficiencyExtractors.ZigWheelsExtractor = ZigWheelsExtractor;
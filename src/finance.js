@@ -0,0 +1,81 @@
+// finance.js - Loan, EMI and monthly cost of a financed purchase
+
+/**
+ * Accepted range of each loan term, as [min, max]
+ */
+const FINANCING_LIMITS = {
+    downPaymentPercent: [0, 100],
+    tenureYears: [1, 8],
+    interestRate: [0, 30],        // % a year
+    processingFeePercent: [0, 5]  // % of the loan
+};
+
+/**
+ * Check that every loan term is a number within its limits
+ */
+function validateFinancingTerms(terms) {
+    return Object.entries(FINANCING_LIMITS).every(([term, [min, max]]) =>
+        Number.isFinite(terms[term]) && terms[term] >= min && terms[term] <= max);
+}
+
+/**
+ * Equated monthly instalment (₹) repaying `principal` over `months` at an
+ * annual interest rate in percent, with interest on the reducing balance
+ */
+function calculateEmi(principal, annualRate, months) {
+    if (principal <= 0 || months <= 0) return 0;
+
+    const monthlyRate = annualRate / 12 / 100;
+    if (monthlyRate === 0) return principal / months;
+
+    const growth = Math.pow(1 + monthlyRate, months);
+    return principal * monthlyRate * growth / (growth - 1);
+}
+
+/**
+ * Finance the on-road price (price plus road tax and registration, or a
+ * transfer for used cars) on the given terms: { downPaymentPercent,
+ * tenureYears, interestRate, processingFeePercent }. The monthly cost adds
+ * the running cost of `annualKm` a year at real-world cost per km to the
+ * EMI. Amounts are in ₹; returns null without a price.
+ */
+function calculateFinancing(spec, fuelPrices, terms, annualKm) {
+    if (!spec.price) return null;
+
+    const { downPaymentPercent, tenureYears, interestRate, processingFeePercent } = terms;
+
+    const onRoadPrice = spec.price * 100000 + CarEfficiencyTCO.calculatePurchaseCharges(spec);
+    const downPayment = onRoadPrice * downPaymentPercent / 100;
+    const loanAmount = onRoadPrice - downPayment;
+    const processingFee = loanAmount * processingFeePercent / 100;
+
+    const tenureMonths = Math.round(tenureYears * 12);
+    const emi = calculateEmi(loanAmount, interestRate, tenureMonths);
+    const totalInterest = loanAmount > 0 ? emi * tenureMonths - loanAmount : 0;
+
+    // Fuel or energy for a month of driving; unknown without an efficiency figure
+    const costPerKm = CarEfficiencyScoring.calculateCostPerKm(spec, fuelPrices);
+    const runningCost = costPerKm ? costPerKm * annualKm / 12 : null;
+
+    return {
+        onRoadPrice,
+        downPayment,
+        loanAmount,
+        processingFee,
+        tenureMonths,
+        interestRate,
+        emi,
+        totalInterest,
+        totalPayable: onRoadPrice + totalInterest + processingFee,
+        runningCost,
+        monthlyCost: emi + (runningCost || 0)
+    };
+}
+
+// Export the financing calculator
+window.CarEfficiencyFinance = {
+    calculateEmi,
+    calculateFinancing,
+    validateFinancingTerms,
+    FINANCING_LIMITS
+};
@@ -176,23 +176,30 @@ function enhanceSpecWithGemini(localSpec, geminiData) {
         return localSpec;
     }
 
-    const enhanced = { ...localSpec };
+    const enhanced = { ...localSpec, _sources: { ...localSpec._sources } };
     const normalized = geminiData.normalized;
+    const recordAiSource = (field, detail) => {
+        CarEfficiencyUtils.recordSource(enhanced, field, 'ai', detail, CarEfficiencyUtils.SOURCE_CONFIDENCE.ai);
+    };
 
     // Apply normalized fuel type if not detected locally
     if (!enhanced.fuelType && normalized.fuelType) {
         enhanced.fuelType = normalized.fuelType;
+        recordAiSource('fuelType', 'Gemini normalized.fuelType');
     }
 
     // Apply real-world efficiency if missing locally
     if (!enhanced.mileage && normalized.realWorld) {
         if (normalized.realWorld.kmpl) {
             enhanced.mileage = normalized.realWorld.kmpl;
+            recordAiSource('mileage', 'Gemini realWorld.kmpl');
         } else if (normalized.realWorld.kmkg) {
             enhanced.mileage = normalized.realWorld.kmkg;
+            recordAiSource('mileage', 'Gemini realWorld.kmkg');
         } else if (normalized.realWorld.kmPerKWh && enhanced.batteryCapacity) {
             // Convert km/kWh to range if we have battery capacity
             enhanced.range = normalized.realWorld.kmPerKWh * enhanced.batteryCapacity;
+            recordAiSource('range', 'Gemini realWorld.kmPerKWh × battery capacity');
         }
     }
 
@@ -13,7 +13,7 @@ const NORMALIZATION_RANGES = {
     // Engine parameters
     displacement: { min: 800, max: 2500 }, // cc
     cylinders: { min: 3, max: 8 },
-    power: { min: 50, max: 300 }, // bhp
+    power: { min: 37, max: 224 }, // kW
     torque: { min: 80, max: 500 }, // Nm
 
     // Transmission parameters
@@ -29,6 +29,14 @@ const NORMALIZATION_RANGES = {
     // Power to weight ratio (kW/tonne)
     power_to_weight: { min: 50, max: 120 },
 
+    // Practicality parameters
+    seating: { min: 4, max: 7 },
+    boot_space: { min: 200, max: 550 }, // litres
+    wheelbase: { min: 2350, max: 2850 }, // mm
+    turning_radius: { min: 4.6, max: 6.0 }, // m (smaller is better)
+    touring_range: { min: 400, max: 900 }, // km on a full tank or charge
+    fuel_tank: { min: 30, max: 60 }, // litres
+
     // Price range (₹ lakh)
     price_lakh: { min: 6, max: 50 }
 };
@@ -38,9 +46,21 @@ const NORMALIZATION_RANGES = {
  */
 const REAL_WORLD_FACTORS = {
     ice: 0.8,
-    hybrid: 0.85,
+    mildHybrid: 0.82,   // Start-stop and torque assist save a little in traffic
+    hybrid: 0.85,       // Strong hybrid
+    pluginHybrid: 0.55, // Claimed figures assume a charged battery; owners often drive uncharged
     cng: 0.8,
-    ev: 0.75 // Applied to range, then divided by battery capacity
+    ev: 0.75, // Applied to range, then divided by battery capacity
+    twoWheeler: 0.85,
+    twoWheelerEv: 0.75
+};
+
+/**
+ * Blend of tested city and highway economy (Indian usage is mostly urban)
+ */
+const TESTED_ECONOMY_WEIGHTS = {
+    city: 0.6,
+    highway: 0.4
 };
 
 /**
@@ -91,6 +111,181 @@ const BODY_TYPE_EFFICIENCY = {
     'convertible': 0.86
 };
 
+/**
+ * Practicality score weights; missing figures are left out and the rest rescaled
+ */
+const PRACTICALITY_WEIGHTS = {
+    seating: 0.30,
+    bootSpace: 0.30,
+    wheelbase: 0.15,       // Proxy for rear legroom
+    turningRadius: 0.15,   // Ease of parking and U-turns
+    touringRange: 0.10     // Distance between refuels
+};
+
+/**
+ * Crash-test protocols: the year the current protocol took effect and its
+ * maximum occupant-protection points. Global NCAP scored adults out of 17
+ * before its 2022 protocol.
+ */
+const CRASH_TEST_PROTOCOLS = {
+    'bharat-ncap': { label: 'Bharat NCAP', since: 2023, adultMaxPoints: 32, childMaxPoints: 49 },
+    'global-ncap': { label: 'Global NCAP', since: 2022, adultMaxPoints: 34, childMaxPoints: 49, previousAdultMaxPoints: 17 },
+    'euro-ncap': { label: 'Euro NCAP', since: 2023, adultMaxPoints: 40, childMaxPoints: 49 }
+};
+
+/**
+ * Weight of adult and child occupant protection in the crash-test score
+ */
+const CRASH_TEST_WEIGHTS = {
+    adult: 0.6,
+    child: 0.4
+};
+
+/**
+ * Results tested before the current protocol are less demanding
+ */
+const OLD_PROTOCOL_FACTOR = 0.8;
+
+/**
+ * Safety features scored on top of airbags, ESC and ISOFIX when there is no
+ * crash test (25% total). Mandatory kit such as ABS carries little weight.
+ */
+const SAFETY_FEATURE_WEIGHTS = {
+    abs: 0.03,
+    ebd: 0.02,
+    hillHold: 0.02,
+    tpms: 0.03,
+    camera360: 0.02,
+    aeb: 0.05,              // Autonomous emergency braking
+    laneKeep: 0.03,
+    blindSpot: 0.02,
+    rearDiscBrakes: 0.01,
+    seatbeltReminders: 0.02 // Reminders for every row, not just the front
+};
+
+/**
+ * Feature-based safety stays below a well-rated crash test
+ */
+const FEATURE_SAFETY_CAP = 0.85;
+
+/**
+ * Normalization ranges for motorcycles and scooters. The car ranges would
+ * put every two-wheeler at the bottom of weight and price and skew
+ * power-to-weight, so these replace them.
+ */
+const TWO_WHEELER_RANGES = {
+    ...NORMALIZATION_RANGES,
+    weight: { min: 90, max: 220 }, // kg (lighter is easier to handle)
+    power_to_weight: { min: 40, max: 200 }, // kW/tonne: commuters ~55, 400 cc nakeds ~190
+    boot_space: { min: 10, max: 35 }, // litres of underseat storage
+    touring_range: { min: 150, max: 500 },
+    fuel_tank: { min: 5, max: 20 },
+    price_lakh: { min: 0.6, max: 5 }
+};
+
+/**
+ * Real-world economy bands for two-wheeler efficiency scores (km/l, or
+ * km/kWh for electric scooters and motorcycles)
+ */
+const TWO_WHEELER_EFFICIENCY_THRESHOLDS = {
+    petrol: { excellent: 65, good: 55, average: 45, poor: 35 },
+    electric: { excellent: 40, good: 33, average: 27, poor: 20 }
+};
+
+/**
+ * Two-wheeler efficiency score when no economy figure can be found or
+ * estimated (an electric two-wheeler without range or battery figures),
+ * between the 'poor' and 'average' bands
+ */
+const TWO_WHEELER_UNKNOWN_EFFICIENCY_SCORE = 0.3;
+
+/**
+ * Real-world economy estimated from displacement when a two-wheeler page
+ * gives no mileage: `kmpl` at `displacement` cc, falling off with the
+ * exponent (about 57 km/l at 110 cc, 34 at 350 cc, 21 at 1000 cc)
+ */
+const TWO_WHEELER_ECONOMY_CURVE = {
+    kmpl: 60,
+    displacement: 100,
+    exponent: 0.45,
+    unknown: 45 // Neither mileage nor displacement
+};
+
+/**
+ * Two-wheeler safety by ABS type; pages that do not say score as 'unknown'
+ */
+const TWO_WHEELER_ABS_SAFETY = {
+    'dual-channel': 0.8,
+    'single-channel': 0.6,
+    cbs: 0.45, // Combined braking, no ABS
+    none: 0.25,
+    unknown: 0.35
+};
+
+/**
+ * Two-wheeler practicality weights; missing figures are left out and the rest rescaled
+ */
+const TWO_WHEELER_PRACTICALITY_WEIGHTS = {
+    storage: 0.30,       // Underseat storage
+    touringRange: 0.40,
+    kerbWeight: 0.30     // Ease of handling and parking
+};
+
+/**
+ * Wear on used cars: share of real-world efficiency lost per year and per
+ * 10,000 km driven, and of safety lost per year (ageing airbags, belts and
+ * tyres, and safety norms that have moved on), each capped
+ */
+const USED_CAR_AGEING = {
+    efficiencyPerYear: 0.01,
+    efficiencyPer10000Km: 0.005,
+    maxEfficiencyLoss: 0.15,
+    safetyPerYear: 0.015,
+    maxSafetyLoss: 0.2
+};
+
+/**
+ * Expected used price as a share of the new price: the first year's drop,
+ * then a yearly drop on what is left, never below the floor. Driving more
+ * than a typical year's distance and each owner after the first cut it further.
+ */
+const USED_CAR_DEPRECIATION = {
+    firstYear: 0.10,
+    perYear: 0.06,
+    floor: 0.15,
+    typicalKmPerYear: 10000,
+    per10000ExcessKm: 0.02,
+    perExtraOwner: 0.03
+};
+
+/**
+ * How far to trust a sub-score. Inputs count with their source confidence
+ * (see CarEfficiencyUtils.SOURCE_CONFIDENCE); a sub-score estimated from
+ * stand-ins (economy from the penalty model, safety from listed features)
+ * keeps only `estimated` of its inputs' confidence. The composite's error
+ * band widens to `maxBand` points at zero confidence.
+ */
+const SCORE_CONFIDENCE = {
+    unknownSource: 0.5, // A value without a recorded source
+    estimated: 0.5,
+    maxBand: 25,
+    low: 50 // Overall confidence (0-100) below this is flagged
+};
+
+/**
+ * Whether a spec describes a motorcycle or scooter
+ */
+function isTwoWheeler(spec) {
+    return spec.vehicleClass === 'motorcycle' || spec.vehicleClass === 'scooter';
+}
+
+/**
+ * Normalization ranges for the spec's vehicle class
+ */
+function getNormalizationRanges(spec) {
+    return isTwoWheeler(spec) ? TWO_WHEELER_RANGES : NORMALIZATION_RANGES;
+}
+
 /**
  * Calculate efficiency penalty based on car parameters
  * Uses a penalty-based system where cars start from baseline and lose points
@@ -160,7 +355,7 @@ function calculateEfficiencyPenalty(spec) {
 
     // 6. Power-to-Weight Penalty (for overpowered cars)
     if (power && kerbWeight) {
-        const powerToWeight = (power * 0.746) / (kerbWeight / 1000); // kW per tonne
+        const powerToWeight = power / (kerbWeight / 1000); // kW per tonne (power is in kW)
         if (powerToWeight > 80) {
             totalPenalty += Math.min((powerToWeight - 80) / 10 * 2, 12); // Penalty for excessive power
         }
@@ -182,19 +377,79 @@ function calculateEfficiencyPenalty(spec) {
 }
 
 /**
- * Calculate real-world efficiency
+ * Combine road-tested city/highway economy into a single figure
+ */
+function calculateTestedEconomy(spec) {
+    const { testedCityMileage, testedHighwayMileage } = spec;
+
+    if (testedCityMileage && testedHighwayMileage) {
+        return testedCityMileage * TESTED_ECONOMY_WEIGHTS.city +
+            testedHighwayMileage * TESTED_ECONOMY_WEIGHTS.highway;
+    }
+
+    return testedCityMileage || testedHighwayMileage || null;
+}
+
+/**
+ * Resolve the powertrain type to score: 'electric', 'plug-in', 'strong-hybrid',
+ * 'mild-hybrid', 'cng', 'diesel' or 'petrol'. Specs without a classified
+ * powertrain (AI-filled or saved before it existed) fall back to the fuel type.
+ */
+function getPowertrainType(spec) {
+    const { fuelType, powertrain } = spec;
+    const hybridType = powertrain ? powertrain.hybridType : null;
+
+    if (fuelType === 'electric') return 'electric';
+    if (hybridType === 'plug-in') return 'plug-in';
+    if (hybridType === 'mild') return 'mild-hybrid';
+    if (fuelType === 'hybrid') return 'strong-hybrid';
+    if (fuelType === 'cng') return 'cng';
+    return fuelType === 'diesel' ? 'diesel' : 'petrol';
+}
+
+/**
+ * Calculate real-world efficiency, less the wear of a used car
  */
 function calculateRealWorldEfficiency(spec) {
-    const { fuelType, mileage, range, batteryCapacity } = spec;
+    const efficiency = estimateRealWorldEfficiency(spec);
+    const condition = calculateUsedCarCondition(spec);
+
+    return efficiency && condition ? efficiency * condition.efficiencyRetention : efficiency;
+}
+
+/**
+ * Estimate the real-world efficiency of the car as new
+ */
+function estimateRealWorldEfficiency(spec) {
+    const { fuelType, mileage, range, batteryCapacity, ownerReportedMileage } = spec;
+
+    if (isTwoWheeler(spec)) {
+        return estimateTwoWheelerEfficiency(spec);
+    }
+
+    // Owner-reported economy is already real-world, so no correction factor applies
+    if (ownerReportedMileage && ownerReportedMileage.count > 0 && fuelType !== 'electric') {
+        return ownerReportedMileage.median;
+    }
+
+    // Road-tested economy is measured, so it is preferred over claimed mileage as-is
+    const testedEconomy = calculateTestedEconomy(spec);
+    if (testedEconomy && fuelType !== 'electric') {
+        return testedEconomy;
+    }
 
     // If we have actual mileage data, use it with corrections
     if (mileage) {
-        switch (fuelType) {
+        switch (getPowertrainType(spec)) {
             case 'petrol':
             case 'diesel':
                 return mileage * REAL_WORLD_FACTORS.ice;
-            case 'hybrid':
+            case 'mild-hybrid':
+                return mileage * REAL_WORLD_FACTORS.mildHybrid;
+            case 'strong-hybrid':
                 return mileage * REAL_WORLD_FACTORS.hybrid;
+            case 'plug-in':
+                return mileage * REAL_WORLD_FACTORS.pluginHybrid;
             case 'cng':
                 return mileage * REAL_WORLD_FACTORS.cng;
             default:
@@ -232,16 +487,42 @@ function calculateRealWorldEfficiency(spec) {
     return estimatedEfficiency * correctionFactor;
 }
 
+/**
+ * Estimate a two-wheeler's real-world efficiency (km/l, or km/kWh for
+ * electric), or null for an electric one without range and battery figures
+ */
+function estimateTwoWheelerEfficiency(spec) {
+    const { fuelType, mileage, range, batteryCapacity, displacement } = spec;
+
+    if (fuelType === 'electric') {
+        return range && batteryCapacity ? range * REAL_WORLD_FACTORS.twoWheelerEv / batteryCapacity : null;
+    }
+
+    if (mileage) {
+        return mileage * REAL_WORLD_FACTORS.twoWheeler;
+    }
+
+    const curve = TWO_WHEELER_ECONOMY_CURVE;
+    return displacement
+        ? curve.kmpl * Math.pow(curve.displacement / displacement, curve.exponent)
+        : curve.unknown;
+}
+
 /**
  * Calculate cost per kilometer
  */
 function calculateCostPerKm(spec, fuelPrices) {
-    const { fuelType } = spec;
+    const { powertrain } = spec;
     const realWorldEff = calculateRealWorldEfficiency(spec);
 
     if (!realWorldEff) return null;
 
-    switch (fuelType) {
+    // Hybrids burn their combustion fuel, which is diesel for a few
+    const combustionPrice = powertrain && powertrain.primaryFuel === 'diesel'
+        ? fuelPrices.diesel
+        : fuelPrices.petrol;
+
+    switch (getPowertrainType(spec)) {
         case 'petrol':
             return fuelPrices.petrol / realWorldEff;
 
@@ -249,10 +530,16 @@ function calculateCostPerKm(spec, fuelPrices) {
             return fuelPrices.diesel / realWorldEff;
 
         case 'cng':
+            // Claimed CNG economy is per kg; petrol is only used to start up
             return fuelPrices.cng / realWorldEff;
 
-        case 'hybrid':
-            return fuelPrices.petrol / realWorldEff; // Assuming petrol hybrid
+        case 'mild-hybrid':
+        case 'strong-hybrid':
+            return combustionPrice / realWorldEff;
+
+        case 'plug-in':
+            // Costed as driven uncharged, matching the corrected economy
+            return combustionPrice / realWorldEff;
 
         case 'electric':
             return fuelPrices.electricity / realWorldEff;
@@ -319,6 +606,33 @@ function calculateEfficiencyScore(spec) {
             poorThreshold = 11;
     }
 
+    let score = scoreEfficiencyBand(realWorldEff, {
+        excellent: excellentThreshold,
+        good: goodThreshold,
+        average: averageThreshold,
+        poor: poorThreshold
+    });
+
+    // Apply penalty-based adjustment for design choices
+    const penalty = calculateEfficiencyPenalty(spec);
+    const penaltyAdjustment = Math.min(penalty * 0.012, 0.25); // Max 25% penalty, more impactful
+    score = Math.max(0.05, score - penaltyAdjustment);
+
+    return Math.min(1.0, score);
+}
+
+/**
+ * Score a real-world efficiency figure (0-1) against excellent, good,
+ * average and poor thresholds
+ */
+function scoreEfficiencyBand(realWorldEff, thresholds) {
+    const {
+        excellent: excellentThreshold,
+        good: goodThreshold,
+        average: averageThreshold,
+        poor: poorThreshold
+    } = thresholds;
+
     // Calculate score based on very strict thresholds
     let score;
     if (realWorldEff >= excellentThreshold) {
@@ -341,12 +655,109 @@ function calculateEfficiencyScore(spec) {
         score = Math.max(0.05, 0.20 * (realWorldEff / poorThreshold));
     }
 
-    // Apply penalty-based adjustment for design choices
-    const penalty = calculateEfficiencyPenalty(spec);
-    const penaltyAdjustment = Math.min(penalty * 0.012, 0.25); // Max 25% penalty, more impactful
-    score = Math.max(0.05, score - penaltyAdjustment);
+    return score;
+}
 
-    return Math.min(1.0, score);
+/**
+ * Calculate a two-wheeler's efficiency score (0-1). The car penalties for
+ * cylinders, body type and aerodynamics do not apply.
+ */
+function calculateTwoWheelerEfficiencyScore(spec) {
+    const realWorldEff = calculateRealWorldEfficiency(spec);
+    if (!realWorldEff) return TWO_WHEELER_UNKNOWN_EFFICIENCY_SCORE;
+
+    const thresholds = spec.fuelType === 'electric'
+        ? TWO_WHEELER_EFFICIENCY_THRESHOLDS.electric
+        : TWO_WHEELER_EFFICIENCY_THRESHOLDS.petrol;
+
+    return Math.min(1.0, scoreEfficiencyBand(realWorldEff, thresholds));
+}
+
+/**
+ * Calculate a two-wheeler's safety score (0-1) from its ABS type
+ */
+function calculateTwoWheelerSafetyScore(spec) {
+    return TWO_WHEELER_ABS_SAFETY[spec.absType] || TWO_WHEELER_ABS_SAFETY.unknown;
+}
+
+/**
+ * Calculate a two-wheeler's practicality score (0-1) from underseat
+ * storage, touring range and kerb weight, or null without any of them
+ */
+function calculateTwoWheelerPracticalityScore(spec) {
+    const { bootSpace, fuelTankCapacity, mileage, range, kerbWeight, fuelType } = spec;
+    const ranges = TWO_WHEELER_RANGES;
+    const parts = [];
+
+    if (bootSpace) {
+        parts.push([TWO_WHEELER_PRACTICALITY_WEIGHTS.storage,
+            CarEfficiencyUtils.normalize(bootSpace, ranges.boot_space.min, ranges.boot_space.max)]);
+    }
+
+    const touringRange = fuelType === 'electric'
+        ? range
+        : (fuelTankCapacity && mileage ? fuelTankCapacity * mileage : null);
+    if (touringRange) {
+        parts.push([TWO_WHEELER_PRACTICALITY_WEIGHTS.touringRange,
+            CarEfficiencyUtils.normalize(touringRange, ranges.touring_range.min, ranges.touring_range.max)]);
+    }
+
+    if (kerbWeight) {
+        parts.push([TWO_WHEELER_PRACTICALITY_WEIGHTS.kerbWeight,
+            1 - CarEfficiencyUtils.normalize(kerbWeight, ranges.weight.min, ranges.weight.max)]);
+    }
+
+    if (parts.length === 0) return null;
+
+    const totalWeight = parts.reduce((sum, [weight]) => sum + weight, 0);
+    return parts.reduce((sum, [weight, score]) => sum + weight * score, 0) / totalWeight;
+}
+
+/**
+ * Score one occupant result (0-1), blending stars with points when both exist
+ */
+function scoreOccupantResult(stars, points, maxPoints) {
+    const starScore = stars !== null && stars !== undefined ? Math.min(stars / 5, 1) : null;
+    const pointScore = points !== null && points !== undefined && maxPoints
+        ? Math.min(points / maxPoints, 1)
+        : null;
+
+    if (starScore !== null && pointScore !== null) return (starScore + pointScore) / 2;
+    return starScore !== null ? starScore : pointScore;
+}
+
+/**
+ * Calculate crash-test score (0-1) from adult and child occupant results,
+ * discounted when the test predates the body's current protocol
+ */
+function calculateCrashTestScore(crashTest) {
+    if (!crashTest) return null;
+
+    const protocol = CRASH_TEST_PROTOCOLS[crashTest.body] || null;
+    const isOldProtocol = Boolean(protocol && crashTest.year && crashTest.year < protocol.since);
+
+    // Points published without a maximum are read against the protocol in force
+    const adultMaxPoints = crashTest.adultMaxPoints ||
+        (protocol && (isOldProtocol && protocol.previousAdultMaxPoints
+            ? protocol.previousAdultMaxPoints
+            : protocol.adultMaxPoints));
+    const childMaxPoints = crashTest.childMaxPoints || (protocol && protocol.childMaxPoints);
+
+    const adult = scoreOccupantResult(crashTest.adultStars, crashTest.adultPoints, adultMaxPoints);
+    const child = scoreOccupantResult(crashTest.childStars, crashTest.childPoints, childMaxPoints);
+    if (adult === null && child === null) return null;
+
+    // A missing occupant result leaves the other to carry the score
+    let score;
+    if (adult !== null && child !== null) {
+        score = adult * CRASH_TEST_WEIGHTS.adult + child * CRASH_TEST_WEIGHTS.child;
+    } else {
+        score = adult !== null ? adult : child;
+    }
+
+    if (isOldProtocol) score *= OLD_PROTOCOL_FACTOR;
+
+    return Math.min(score, 1);
 }
 
 /**
@@ -355,12 +766,19 @@ function calculateEfficiencyScore(spec) {
 function calculateSafetyScore(spec) {
     const { ncapStars, airbags, esc, isofix } = spec;
 
+    // Detailed crash-test results take precedence over a bare star rating
+    const crashTestScore = calculateCrashTestScore(spec.crashTest);
+    if (crashTestScore !== null) {
+        return crashTestScore;
+    }
+
     // If NCAP stars are available, use them
     if (ncapStars && ncapStars > 0) {
         return Math.min(ncapStars / 5, 1);
     }
 
-    // Otherwise, infer from safety features (max 0.6)
+    // Otherwise, infer from safety features (max 0.6 from airbags, ESC and
+    // ISOFIX, plus listed active-safety features)
     let score = 0;
 
     // 6+ airbags: +0.4
@@ -375,12 +793,20 @@ function calculateSafetyScore(spec) {
         score += 0.2;
     }
 
-    // ISOFIX: +0.2 (but cap total at 0.6)
+    // ISOFIX: +0.2 (but cap the three at 0.6)
     if (isofix) {
         score += 0.2;
     }
+    score = Math.min(score, 0.6);
 
-    return Math.min(score, 0.6);
+    const features = spec.safetyFeatures || {};
+    for (const [feature, weight] of Object.entries(SAFETY_FEATURE_WEIGHTS)) {
+        if (features[feature] === true) {
+            score += weight;
+        }
+    }
+
+    return Math.min(score, FEATURE_SAFETY_CAP);
 }
 
 /**
@@ -392,10 +818,11 @@ function calculateValueScore(spec, efficiencyScore, safetyScore) {
     if (!price) return 0;
 
     // Normalize price (lower is better for value)
+    const ranges = getNormalizationRanges(spec);
     const priceScore = 1 - CarEfficiencyUtils.normalize(
         price,
-        NORMALIZATION_RANGES.price_lakh.min,
-        NORMALIZATION_RANGES.price_lakh.max
+        ranges.price_lakh.min,
+        ranges.price_lakh.max
     );
 
     // Combine efficiency + safety + features vs price
@@ -405,6 +832,76 @@ function calculateValueScore(spec, efficiencyScore, safetyScore) {
     return (featuresScore * 0.6) + (priceScore * 0.4);
 }
 
+/**
+ * Assess a used-car listing: age, the share of efficiency and safety left
+ * after wear, and the asking price against the expected depreciated price.
+ * Returns null for new cars.
+ */
+function calculateUsedCarCondition(spec) {
+    const listing = spec.usedListing;
+    if (!listing) return null;
+
+    const { registrationYear, kmsDriven, owners, newPrice } = listing;
+    const age = registrationYear ? Math.max(0, new Date().getFullYear() - registrationYear) : null;
+
+    // Without a registration year, the distance driven stands in for age
+    const years = age !== null
+        ? age
+        : (kmsDriven ? kmsDriven / USED_CAR_DEPRECIATION.typicalKmPerYear : 0);
+    const distance = kmsDriven || 0;
+
+    const efficiencyLoss = Math.min(
+        years * USED_CAR_AGEING.efficiencyPerYear + distance / 10000 * USED_CAR_AGEING.efficiencyPer10000Km,
+        USED_CAR_AGEING.maxEfficiencyLoss
+    );
+    const safetyLoss = Math.min(years * USED_CAR_AGEING.safetyPerYear, USED_CAR_AGEING.maxSafetyLoss);
+
+    const expectedPrice = calculateExpectedUsedPrice(newPrice, years, distance, owners);
+
+    return {
+        age,
+        efficiencyRetention: 1 - efficiencyLoss,
+        safetyRetention: 1 - safetyLoss,
+        expectedPrice,
+        priceRatio: expectedPrice && spec.price ? spec.price / expectedPrice : null
+    };
+}
+
+/**
+ * Expected price (lakh) of a used car from its new price, age, distance
+ * driven and owner count, or null without a new price
+ */
+function calculateExpectedUsedPrice(newPrice, years, kmsDriven, owners) {
+    if (!newPrice) return null;
+
+    const { firstYear, perYear, floor, typicalKmPerYear, per10000ExcessKm, perExtraOwner } = USED_CAR_DEPRECIATION;
+
+    // Less than a year old loses part of the first year's drop
+    let share = years >= 1
+        ? (1 - firstYear) * Math.pow(1 - perYear, years - 1)
+        : 1 - firstYear * years;
+
+    const excessKm = Math.max(0, kmsDriven - years * typicalKmPerYear);
+    share -= excessKm / 10000 * per10000ExcessKm;
+    share -= Math.max(0, (owners || 1) - 1) * perExtraOwner;
+
+    return newPrice * Math.max(share, floor);
+}
+
+/**
+ * Value for money of a used car: the new-car value score blended with how
+ * the asking price compares to the expected price
+ */
+function calculateUsedValueScore(spec, efficiencyScore, safetyScore, condition) {
+    const valueScore = calculateValueScore(spec, efficiencyScore, safetyScore);
+    if (!condition || condition.priceRatio === null) return valueScore;
+
+    // Asking 20% under the expected price scores 1, 20% over scores 0
+    const dealScore = 1 - CarEfficiencyUtils.normalize(condition.priceRatio, 0.8, 1.2);
+
+    return (valueScore * 0.6) + (dealScore * 0.4);
+}
+
 /**
  * Calculate performance per efficiency score (0-1)
  */
@@ -420,55 +917,367 @@ function calculatePerformancePerEfficiencyScore(spec, efficiencyScore) {
     const powerToWeight = power / (kerbWeight / 1000);
 
     // Normalize power-to-weight ratio
+    const ranges = getNormalizationRanges(spec);
     const powerScore = CarEfficiencyUtils.normalize(
         powerToWeight,
-        NORMALIZATION_RANGES.power_to_weight.min,
-        NORMALIZATION_RANGES.power_to_weight.max
+        ranges.power_to_weight.min,
+        ranges.power_to_weight.max
     );
 
     // 70% power-to-weight + 30% efficiency
     return (powerScore * 0.7) + (efficiencyScore * 0.3);
 }
 
+/**
+ * Calculate practicality score (0-1) from seats, boot space, wheelbase,
+ * turning radius and the distance covered on a full tank, or null when the
+ * page gives none of them
+ */
+function calculatePracticalityScore(spec) {
+    const { seatingCapacity, bootSpace, wheelbase, turningRadius, fuelTankCapacity, mileage, range, fuelType } = spec;
+    const ranges = NORMALIZATION_RANGES;
+    const parts = [];
+
+    if (seatingCapacity) {
+        parts.push([PRACTICALITY_WEIGHTS.seating,
+            CarEfficiencyUtils.normalize(seatingCapacity, ranges.seating.min, ranges.seating.max)]);
+    }
+
+    if (bootSpace) {
+        parts.push([PRACTICALITY_WEIGHTS.bootSpace,
+            CarEfficiencyUtils.normalize(bootSpace, ranges.boot_space.min, ranges.boot_space.max)]);
+    }
+
+    if (wheelbase) {
+        parts.push([PRACTICALITY_WEIGHTS.wheelbase,
+            CarEfficiencyUtils.normalize(wheelbase, ranges.wheelbase.min, ranges.wheelbase.max)]);
+    }
+
+    if (turningRadius) {
+        parts.push([PRACTICALITY_WEIGHTS.turningRadius,
+            1 - CarEfficiencyUtils.normalize(turningRadius, ranges.turning_radius.min, ranges.turning_radius.max)]);
+    }
+
+    // A tank matters for how far it goes; EVs have their range instead.
+    // CNG mileage is per kg, so a litre tank figure says nothing there.
+    const touringRange = fuelType === 'electric'
+        ? range
+        : (fuelTankCapacity && mileage && fuelType !== 'cng' ? fuelTankCapacity * mileage : null);
+    if (touringRange) {
+        parts.push([PRACTICALITY_WEIGHTS.touringRange,
+            CarEfficiencyUtils.normalize(touringRange, ranges.touring_range.min, ranges.touring_range.max)]);
+    } else if (fuelTankCapacity && fuelType !== 'electric') {
+        parts.push([PRACTICALITY_WEIGHTS.touringRange,
+            CarEfficiencyUtils.normalize(fuelTankCapacity, ranges.fuel_tank.min, ranges.fuel_tank.max)]);
+    }
+
+    if (parts.length === 0) return null;
+
+    const totalWeight = parts.reduce((sum, [weight]) => sum + weight, 0);
+    return parts.reduce((sum, [weight, score]) => sum + weight * score, 0) / totalWeight;
+}
+
+/**
+ * Confidence (0-1) in a spec field: its source's confidence, or 0 when the
+ * field is missing
+ */
+function getInputConfidence(spec, field) {
+    const value = spec[field];
+    if (value === null || value === undefined || value === false) return 0;
+
+    const source = CarEfficiencyUtils.getSource(spec, field);
+    return source ? source.confidence : SCORE_CONFIDENCE.unknownSource;
+}
+
+/**
+ * Confidence (0-1) in the efficiency sub-score, following the branch
+ * `estimateRealWorldEfficiency` takes. The fuel type picks the benchmark,
+ * so a guessed fuel type lowers it too.
+ */
+function calculateEfficiencyConfidence(spec) {
+    const input = (field) => getInputConfidence(spec, field);
+    const both = (a, b) => Math.min(input(a), input(b));
+    const { fuelType, mileage, range, batteryCapacity, ownerReportedMileage } = spec;
+    const { estimated } = SCORE_CONFIDENCE;
+
+    let confidence;
+    if (isTwoWheeler(spec)) {
+        if (fuelType === 'electric') {
+            confidence = range && batteryCapacity ? both('range', 'batteryCapacity') : 0;
+        } else {
+            confidence = mileage ? input('mileage') : input('displacement') * estimated;
+        }
+    } else if (ownerReportedMileage && ownerReportedMileage.count > 0 && fuelType !== 'electric') {
+        confidence = input('ownerReportedMileage');
+    } else if (calculateTestedEconomy(spec) && fuelType !== 'electric') {
+        confidence = Math.max(input('testedCityMileage'), input('testedHighwayMileage'));
+    } else if (mileage) {
+        confidence = input('mileage');
+    } else if (fuelType === 'electric' && range && batteryCapacity) {
+        confidence = both('range', 'batteryCapacity');
+    } else {
+        // Penalty model: engine, weight, gearbox and body shape stand in for a figure
+        const proxies = ['displacement', 'cylinders', 'kerbWeight', 'transmissionType', 'bodyType'];
+        confidence = proxies.reduce((sum, field) => sum + input(field), 0) / proxies.length * estimated;
+    }
+
+    return confidence * 0.8 + input('fuelType') * 0.2;
+}
+
+/**
+ * Confidence (0-1) in the safety sub-score: a crash test or star rating is
+ * observed; safety inferred from airbags, ESC, ISOFIX and other features is
+ * an estimate, and none of them found leaves a default
+ */
+function calculateSafetyConfidence(spec) {
+    const input = (field) => getInputConfidence(spec, field);
+
+    if (isTwoWheeler(spec)) {
+        return spec.absType ? input('absType') : CarEfficiencyUtils.SOURCE_CONFIDENCE.default;
+    }
+
+    if (calculateCrashTestScore(spec.crashTest) !== null) return input('crashTest');
+    if (spec.ncapStars && spec.ncapStars > 0) return input('ncapStars');
+
+    const found = ['airbags', 'esc', 'isofix', 'safetyFeatures'].map(input).filter(confidence => confidence > 0);
+    if (found.length === 0) return CarEfficiencyUtils.SOURCE_CONFIDENCE.default;
+
+    return found.reduce((sum, confidence) => sum + confidence, 0) / found.length * SCORE_CONFIDENCE.estimated;
+}
+
+/**
+ * Confidence (0-1) in the practicality sub-score: each part's weight times
+ * its inputs' confidence, over all parts, so parts left out for missing
+ * data count as unknown
+ */
+function calculatePracticalityConfidence(spec) {
+    const input = (field) => getInputConfidence(spec, field);
+    const touringFields = spec.fuelType === 'electric' ? ['range'] : ['fuelTankCapacity', 'mileage'];
+    const touringRange = Math.min(...touringFields.map(input));
+
+    const parts = isTwoWheeler(spec)
+        ? [
+            [TWO_WHEELER_PRACTICALITY_WEIGHTS.storage, input('bootSpace')],
+            [TWO_WHEELER_PRACTICALITY_WEIGHTS.touringRange, touringRange],
+            [TWO_WHEELER_PRACTICALITY_WEIGHTS.kerbWeight, input('kerbWeight')]
+        ]
+        : [
+            [PRACTICALITY_WEIGHTS.seating, input('seatingCapacity')],
+            [PRACTICALITY_WEIGHTS.bootSpace, input('bootSpace')],
+            [PRACTICALITY_WEIGHTS.wheelbase, input('wheelbase')],
+            [PRACTICALITY_WEIGHTS.turningRadius, input('turningRadius')],
+            // A tank size alone still scores touring range, less surely
+            [PRACTICALITY_WEIGHTS.touringRange, touringRange ||
+                input('fuelTankCapacity') * SCORE_CONFIDENCE.estimated]
+        ];
+
+    const totalWeight = parts.reduce((sum, [weight]) => sum + weight, 0);
+    return parts.reduce((sum, [weight, part]) => sum + weight * part, 0) / totalWeight;
+}
+
+/**
+ * Confidence (0-100) in each sub-score and in the composite, from which
+ * inputs were read from the page (and how reliably), estimated or
+ * defaulted. Sub-scores built on others carry their confidence forward:
+ * value on efficiency and safety, performance on efficiency. The overall
+ * figure weighs the sub-scores like the composite does, and `band` is the
+ * ± points the composite may be off by.
+ */
+function calculateScoreConfidence(spec, weights, usedCondition) {
+    const input = (field) => getInputConfidence(spec, field);
+
+    const efficiency = calculateEfficiencyConfidence(spec);
+    const safety = calculateSafetyConfidence(spec);
+
+    let valueForMoney = input('price') * 0.4 + (efficiency + safety) / 2 * 0.6;
+    if (usedCondition && usedCondition.priceRatio !== null) {
+        valueForMoney = valueForMoney * 0.6 + Math.min(input('price'), input('usedListing')) * 0.4;
+    }
+
+    const performancePerEfficiency = spec.power && spec.kerbWeight
+        ? Math.min(input('power'), input('kerbWeight')) * 0.7 + efficiency * 0.3
+        : efficiency * SCORE_CONFIDENCE.estimated;
+
+    // Practicality without any data is left out of the score, so of its confidence too
+    const practicalityScore = isTwoWheeler(spec)
+        ? calculateTwoWheelerPracticalityScore(spec)
+        : calculatePracticalityScore(spec);
+
+    const breakdown = {
+        efficiency,
+        safety,
+        valueForMoney,
+        performancePerEfficiency,
+        practicality: practicalityScore === null ? null : calculatePracticalityConfidence(spec)
+    };
+    const scored = Object.entries(breakdown).filter(([, confidence]) => confidence !== null);
+
+    const totalWeight = scored.reduce((sum, [key]) => sum + (weights[key] || 0), 0);
+    const overall = totalWeight > 0
+        ? scored.reduce((sum, [key, confidence]) => sum + confidence * (weights[key] || 0), 0) /
+            totalWeight
+        : 0;
+
+    const percent = (value) => Math.round(value * 100);
+    return {
+        overall: percent(overall),
+        breakdown: Object.fromEntries(Object.entries(breakdown).map(([key, value]) =>
+            [key, value === null ? null : percent(value)])),
+        band: Math.round((1 - overall) * SCORE_CONFIDENCE.maxBand),
+        low: percent(overall) < SCORE_CONFIDENCE.low
+    };
+}
+
 /**
  * Calculate composite score
  */
 function calculateCompositeScore(spec, weights, fuelPrices) {
+    // Used cars are scored for their wear (efficiency already reflects it)
+    // and against their expected depreciated price
+    const usedCondition = calculateUsedCarCondition(spec);
+
+    // Two-wheelers have their own efficiency, safety and practicality models
+    const twoWheeler = isTwoWheeler(spec);
+
     // Calculate individual scores
-    const efficiencyScore = calculateEfficiencyScore(spec);
-    const safetyScore = calculateSafetyScore(spec);
-    const valueScore = calculateValueScore(spec, efficiencyScore, safetyScore);
+    const efficiencyScore = twoWheeler ? calculateTwoWheelerEfficiencyScore(spec) : calculateEfficiencyScore(spec);
+    const safetyScore = (twoWheeler ? calculateTwoWheelerSafetyScore(spec) : calculateSafetyScore(spec)) *
+        (usedCondition ? usedCondition.safetyRetention : 1);
+    const valueScore = usedCondition
+        ? calculateUsedValueScore(spec, efficiencyScore, safetyScore, usedCondition)
+        : calculateValueScore(spec, efficiencyScore, safetyScore);
     const perfEffScore = calculatePerformancePerEfficiencyScore(spec, efficiencyScore);
-
-    // Calculate weighted composite score
-    const composite = (
-        (efficiencyScore * weights.efficiency) +
-        (safetyScore * weights.safety) +
-        (valueScore * weights.valueForMoney) +
-        (perfEffScore * weights.performancePerEfficiency)
-    ) / 100;
+    const practicalityScore = twoWheeler ? calculateTwoWheelerPracticalityScore(spec) : calculatePracticalityScore(spec);
+
+    // Calculate weighted composite score (settings saved before the
+    // practicality weight existed have none). A sub-score the page gives
+    // no data for is left out and the other weights renormalized.
+    const weighted = [
+        [efficiencyScore, weights.efficiency],
+        [safetyScore, weights.safety],
+        [valueScore, weights.valueForMoney],
+        [perfEffScore, weights.performancePerEfficiency],
+        [practicalityScore, weights.practicality || 0]
+    ].filter(([score]) => score !== null);
+    const totalWeight = weighted.reduce((sum, [, weight]) => sum + weight, 0);
+    const composite = totalWeight > 0
+        ? weighted.reduce((sum, [score, weight]) => sum + score * weight, 0) / totalWeight
+        : 0;
 
     // Calculate additional metrics
     const costPerKm = calculateCostPerKm(spec, fuelPrices);
     const powerToWeight = (spec.power && spec.kerbWeight) ?
         spec.power / (spec.kerbWeight / 1000) : null;
 
+    // How much of the score rests on observed rather than estimated inputs
+    const confidence = calculateScoreConfidence(spec, weights, usedCondition);
+
     return {
         composite: Math.round(composite * 100),
         breakdown: {
             efficiency: Math.round(efficiencyScore * 100),
             safety: Math.round(safetyScore * 100),
             valueForMoney: Math.round(valueScore * 100),
-            performancePerEfficiency: Math.round(perfEffScore * 100)
+            performancePerEfficiency: Math.round(perfEffScore * 100),
+            practicality: practicalityScore === null ? null : Math.round(practicalityScore * 100)
         },
+        confidence,
         metrics: {
             costPerKm: costPerKm ? Math.round(costPerKm * 100) / 100 : null,
             powerToWeight: powerToWeight ? Math.round(powerToWeight * 10) / 10 : null,
             realWorldEfficiency: calculateRealWorldEfficiency(spec)
-        }
+        },
+        usedCar: usedCondition ? {
+            age: usedCondition.age,
+            expectedPrice: usedCondition.expectedPrice ? Math.round(usedCondition.expectedPrice * 100) / 100 : null,
+            priceRatio: usedCondition.priceRatio ? Math.round(usedCondition.priceRatio * 100) / 100 : null
+        } : null
     };
 }
 
+/**
+ * Build the spec for a single variant from the page-level spec
+ */
+function applyVariant(spec, variant) {
+    if (!variant) return spec;
+
+    // The page mileage only carries over to variants on the same fuel
+    // (a petrol km/l figure means nothing for the CNG variant). A variant
+    // that names no fuel runs on the page's.
+    const sameFuel = !variant.fuelType || variant.fuelType === spec.fuelType;
+
+    const variantSpec = {
+        ...spec,
+        _sources: { ...spec._sources },
+        variantName: variant.name,
+        fuelType: variant.fuelType || spec.fuelType,
+        powertrain: sameFuel ? spec.powertrain : (variant.powertrain || null),
+        transmissionType: variant.transmissionType || spec.transmissionType,
+        price: variant.price || spec.price,
+        mileage: variant.mileage || (sameFuel ? spec.mileage : null)
+    };
+
+    const detail = `variant "${variant.name}"`;
+    const confidence = CarEfficiencyUtils.SOURCE_CONFIDENCE.siteSpecTable;
+    CarEfficiencyUtils.recordSource(variantSpec, 'price', 'variant', detail, confidence);
+    if (variant.mileage) {
+        CarEfficiencyUtils.recordSource(variantSpec, 'mileage', 'variant', detail, confidence);
+    } else if (!sameFuel && variantSpec._sources) {
+        delete variantSpec._sources.mileage;
+    }
+
+    // Fuel and transmission are read from the variant name, which is a weaker
+    // signal; ones it leaves out keep the page's source
+    if (variant.fuelType) {
+        CarEfficiencyUtils.recordSource(variantSpec, 'fuelType', 'variant', detail, CarEfficiencyUtils.SOURCE_CONFIDENCE.pageText);
+    }
+    if (variant.transmissionType) {
+        CarEfficiencyUtils.recordSource(variantSpec, 'transmissionType', 'variant', detail, CarEfficiencyUtils.SOURCE_CONFIDENCE.pageText);
+    }
+
+    return variantSpec;
+}
+
+/**
+ * Score every variant on the page and flag the best-scoring one
+ */
+function scoreVariants(spec, weights, fuelPrices) {
+    if (!spec.variants || spec.variants.length === 0) return [];
+
+    const scored = spec.variants.map((variant, index) => ({
+        index,
+        variant,
+        score: calculateCompositeScore(applyVariant(spec, variant), weights, fuelPrices),
+        isBest: false
+    }));
+
+    const best = scored.reduce((top, item) =>
+        item.score.composite > top.score.composite ? item : top, scored[0]);
+    best.isBest = true;
+
+    return scored;
+}
+
+/**
+ * Score every car of a compare page and rank them by composite score
+ */
+function scoreComparison(specs, weights, fuelPrices) {
+    if (!specs || specs.length === 0) return [];
+
+    const scored = specs.map((spec, index) => ({
+        index,
+        spec,
+        score: calculateCompositeScore(spec, weights, fuelPrices),
+        rank: 0
+    }));
+
+    [...scored]
+        .sort((a, b) => b.score.composite - a.score.composite)
+        .forEach((item, position) => { item.rank = position + 1; });
+
+    return scored;
+}
+
 /**
  * Validate and clean specification data
  */
@@ -476,7 +1285,11 @@ function validateSpec(rawSpec) {
     const spec = { ...rawSpec };
 
     // Ensure numeric fields are numbers
-    const numericFields = ['mileage', 'range', 'batteryCapacity', 'power', 'kerbWeight', 'price', 'ncapStars', 'airbags'];
+    const numericFields = [
+        'mileage', 'range', 'batteryCapacity', 'power', 'kerbWeight', 'price', 'ncapStars', 'airbags',
+        'testedCityMileage', 'testedHighwayMileage', 'acceleration0to100', 'priceMin', 'priceMax',
+        'seatingCapacity', 'bootSpace', 'fuelTankCapacity', 'wheelbase', 'turningRadius'
+    ];
     numericFields.forEach(field => {
         if (spec[field] !== null && spec[field] !== undefined) {
             const num = CarEfficiencyUtils.parseNumber(spec[field]);
@@ -543,14 +1356,40 @@ window.CarEfficiencyScoring = {
     calculateCompositeScore,
     calculateEfficiencyPenalty,
     calculateRealWorldEfficiency,
+    calculateTestedEconomy,
     calculateCostPerKm,
+    getPowertrainType,
     calculateEfficiencyScore,
+    calculatePracticalityScore,
+    calculateCrashTestScore,
+    calculateTwoWheelerEfficiencyScore,
+    calculateTwoWheelerSafetyScore,
+    calculateTwoWheelerPracticalityScore,
+    isTwoWheeler,
+    calculateUsedCarCondition,
+    calculateExpectedUsedPrice,
+    applyVariant,
+    scoreVariants,
+    scoreComparison,
+    calculateScoreConfidence,
     validateSpec,
     NORMALIZATION_RANGES,
     REAL_WORLD_FACTORS,
+    TESTED_ECONOMY_WEIGHTS,
     EFFICIENCY_WEIGHTS,
     TRANSMISSION_EFFICIENCY,
     BODY_TYPE_EFFICIENCY,
+    PRACTICALITY_WEIGHTS,
+    CRASH_TEST_PROTOCOLS,
+    CRASH_TEST_WEIGHTS,
+    SAFETY_FEATURE_WEIGHTS,
+    TWO_WHEELER_RANGES,
+    TWO_WHEELER_EFFICIENCY_THRESHOLDS,
+    TWO_WHEELER_UNKNOWN_EFFICIENCY_SCORE,
+    TWO_WHEELER_ABS_SAFETY,
+    USED_CAR_AGEING,
+    USED_CAR_DEPRECIATION,
+    SCORE_CONFIDENCE,
     hasAllRequiredParams,
     getCarEfficiencyScoreOrError
 };
@@ -0,0 +1,127 @@
+// snapshot.js - One read of the page shared by every extractor of an analysis
+
+/**
+ * What an analysis reads from the page, read once: the localized body text,
+ * title, headings and table rows. Data derived from the page (label/value
+ * pairs, structured data items) is computed on first use and then shared,
+ * and each step of the analysis can be timed against it.
+ */
+class PageSnapshot {
+    constructor() {
+        const startedAt = performance.now();
+
+        this.url = window.location.href;
+        this.title = document.title;
+        this.text = CarEfficiencyUtils.localizeText(document.body.textContent);
+        this.headings = Array.from(document.querySelectorAll('h1, h2'), element => ({
+            level: element.tagName.toLowerCase(),
+            text: element.textContent.replace(/\s+/g, ' ').trim()
+        }));
+
+        this.derived = new Map();
+        this.timings = { snapshot: performance.now() - startedAt };
+    }
+
+    /**
+     * Text of the page's first h1, or ''
+     */
+    get heading() {
+        const heading = this.headings.find(item => item.level === 'h1');
+        return heading ? heading.text : '';
+    }
+
+    /**
+     * Compute a value from the page once per snapshot
+     */
+    remember(key, compute) {
+        if (!this.derived.has(key)) {
+            this.derived.set(key, compute());
+        }
+        return this.derived.get(key);
+    }
+
+    /**
+     * Rows matching a selector as { element, cells }, where cells are the
+     * localized, whitespace-collapsed texts of the row's td/th cells. Each
+     * selector is queried once per snapshot.
+     */
+    getRows(selector) {
+        return this.remember(`rows ${selector}`, () => Array.from(document.querySelectorAll(selector), row => ({
+            element: row,
+            cells: Array.from(row.querySelectorAll('td, th'), cell =>
+                CarEfficiencyUtils.localizeText(cell.textContent).replace(/\s+/g, ' ').trim())
+        })));
+    }
+
+    /**
+     * Run a step of the analysis and add its duration (ms) to `timings[name]`
+     */
+    time(name, step) {
+        const startedAt = performance.now();
+        try {
+            return step();
+        } finally {
+            this.timings[name] = (this.timings[name] || 0) + performance.now() - startedAt;
+        }
+    }
+
+    /**
+     * Summarize the snapshot for the debug view: timings in ms, page text
+     * length and how many derived values and row sets were computed
+     */
+    describe() {
+        const timings = {};
+        for (const [name, duration] of Object.entries(this.timings)) {
+            timings[name] = Math.round(duration * 10) / 10;
+        }
+
+        return {
+            timings,
+            textLength: this.text.length,
+            headings: this.headings.length,
+            derived: this.derived.size
+        };
+    }
+}
+
+// The snapshot of the analysis in progress, if any
+let activeSnapshot = null;
+
+/**
+ * Start an analysis with a fresh snapshot that extractors share until
+ * `endAnalysis`
+ */
+function beginAnalysis() {
+    activeSnapshot = new PageSnapshot();
+    return activeSnapshot;
+}
+
+/**
+ * Finish the analysis; later reads see the page as it is then
+ */
+function endAnalysis() {
+    const snapshot = activeSnapshot;
+    activeSnapshot = null;
+    return snapshot;
+}
+
+/**
+ * The snapshot of the analysis in progress. Reading the page is only done
+ * between `beginAnalysis` and `endAnalysis`, so every extractor shares one
+ * snapshot; a read outside an analysis would quietly rescan the whole page
+ * and is a bug.
+ */
+function getSnapshot() {
+    if (!activeSnapshot) {
+        throw new Error('No analysis in progress: call beginAnalysis() before reading the page snapshot');
+    }
+    return activeSnapshot;
+}
+
+// Export the page snapshot
+window.CarEfficiencySnapshot = {
+    PageSnapshot,
+    beginAnalysis,
+    endAnalysis,
+    getSnapshot
+};
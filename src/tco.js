@@ -0,0 +1,263 @@
+// tco.js - Total cost of ownership over the user's ownership period
+
+/**
+ * Road tax as a share of the ex-showroom price, by price band (lakh).
+ * Rates follow the common state slabs; diesel pays a surcharge and most
+ * states waive road tax for EVs.
+ */
+const ROAD_TAX = {
+    bands: [
+        { upTo: 6, rate: 0.04 },
+        { upTo: 10, rate: 0.07 },
+        { upTo: Infinity, rate: 0.10 }
+    ],
+    twoWheelerRate: 0.05,
+    dieselSurcharge: 1.25,
+    electricRate: 0
+};
+
+/**
+ * Registration, number plates and handling charges (₹)
+ */
+const REGISTRATION_FEES = {
+    car: 5000,
+    twoWheeler: 1500
+};
+
+/**
+ * Insurance: own-damage premium as a share of the insured declared value
+ * (IDV), the IDV's depreciation by year of ownership, and third-party
+ * premiums (₹/year) by engine size
+ */
+const INSURANCE = {
+    ownDamageRate: 0.025,
+    idvDepreciation: [0.05, 0.20, 0.30, 0.40, 0.50], // Years 1-5; older cars stay at 50%
+    thirdParty: {
+        small: 2094,   // Up to 1000 cc
+        medium: 3416,  // 1000-1500 cc
+        large: 7897,   // Over 1500 cc
+        electric: 2435,
+        twoWheeler: 714
+    }
+};
+
+/**
+ * Scheduled service cost (₹) by powertrain, for a car around the reference
+ * price. Services fall once a year or every `intervalKm`, whichever comes first.
+ */
+const MAINTENANCE = {
+    intervalKm: 10000,
+    referencePriceLakh: 8,
+    serviceCost: {
+        petrol: 5000,
+        diesel: 6500,
+        cng: 6000,
+        'mild-hybrid': 5000,
+        'strong-hybrid': 5500,
+        'plug-in': 5000,
+        electric: 2500
+    },
+    twoWheelerServiceCost: 1500
+};
+
+/**
+ * Tyre replacement: tyres per set, cost per tyre (₹) around the reference
+ * price and tread life (km). EVs wear tyres faster under their weight and torque.
+ */
+const TYRES = {
+    car: { count: 4, cost: 4000, lifeKm: 40000 },
+    twoWheeler: { count: 2, cost: 2000, lifeKm: 25000 },
+    electricLifeFactor: 0.8
+};
+
+/**
+ * Scale a mid-priced car's running costs (service, tyres) to this price:
+ * pricier cars cost more to keep, though far less than in proportion
+ */
+function getRunningCostScale(priceLakh) {
+    if (!priceLakh) return 1;
+    return CarEfficiencyUtils.clamp(Math.sqrt(priceLakh / MAINTENANCE.referencePriceLakh), 0.8, 2.5);
+}
+
+/**
+ * Road tax and registration (₹) on an ex-showroom price in lakh
+ */
+function calculateOnRoadCharges(spec, priceLakh) {
+    const twoWheeler = CarEfficiencyScoring.isTwoWheeler(spec);
+    const powertrainType = CarEfficiencyScoring.getPowertrainType(spec);
+
+    let rate;
+    if (powertrainType === 'electric') {
+        rate = ROAD_TAX.electricRate;
+    } else if (twoWheeler) {
+        rate = ROAD_TAX.twoWheelerRate;
+    } else {
+        rate = ROAD_TAX.bands.find(band => priceLakh <= band.upTo).rate;
+        if (powertrainType === 'diesel') rate *= ROAD_TAX.dieselSurcharge;
+    }
+
+    const registration = twoWheeler ? REGISTRATION_FEES.twoWheeler : REGISTRATION_FEES.car;
+    return priceLakh * 100000 * rate + registration;
+}
+
+/**
+ * Charges (₹) paid on top of the price to drive the vehicle away: road tax
+ * and registration when new, a registration transfer when used
+ */
+function calculatePurchaseCharges(spec) {
+    if (!spec.usedListing) return calculateOnRoadCharges(spec, spec.price);
+
+    return CarEfficiencyScoring.isTwoWheeler(spec) ? REGISTRATION_FEES.twoWheeler : REGISTRATION_FEES.car;
+}
+
+/**
+ * Third-party premium (₹/year) for the vehicle's class and engine size
+ */
+function getThirdPartyPremium(spec) {
+    const { small, medium, large, electric, twoWheeler } = INSURANCE.thirdParty;
+
+    if (CarEfficiencyScoring.isTwoWheeler(spec)) return twoWheeler;
+    if (CarEfficiencyScoring.getPowertrainType(spec) === 'electric') return electric;
+    if (!spec.displacement || spec.displacement <= 1000) return small;
+    return spec.displacement <= 1500 ? medium : large;
+}
+
+/**
+ * Insurance (₹) over the ownership years, starting at the vehicle's current
+ * age. The own-damage premium follows the IDV down; third party is fixed.
+ */
+function calculateInsurance(spec, newPriceLakh, startAge, years) {
+    const thirdParty = getThirdPartyPremium(spec);
+    const { ownDamageRate, idvDepreciation } = INSURANCE;
+
+    let total = 0;
+    for (let year = 0; year < years; year++) {
+        const age = Math.floor(startAge) + year;
+        const depreciation = idvDepreciation[Math.min(age, idvDepreciation.length - 1)];
+        total += newPriceLakh * 100000 * (1 - depreciation) * ownDamageRate + thirdParty;
+    }
+
+    return total;
+}
+
+/**
+ * Scheduled maintenance (₹) over the ownership period
+ */
+function calculateMaintenance(spec, priceLakh, years, annualKm) {
+    const baseCost = CarEfficiencyScoring.isTwoWheeler(spec)
+        ? MAINTENANCE.twoWheelerServiceCost
+        : MAINTENANCE.serviceCost[CarEfficiencyScoring.getPowertrainType(spec)];
+    const servicesPerYear = Math.max(1, annualKm / MAINTENANCE.intervalKm);
+
+    return baseCost * getRunningCostScale(priceLakh) * servicesPerYear * years;
+}
+
+/**
+ * Tyre sets (₹) worn out over the distance driven
+ */
+function calculateTyres(spec, priceLakh, totalKm) {
+    const tyres = CarEfficiencyScoring.isTwoWheeler(spec) ? TYRES.twoWheeler : TYRES.car;
+    const lifeKm = CarEfficiencyScoring.getPowertrainType(spec) === 'electric'
+        ? tyres.lifeKm * TYRES.electricLifeFactor
+        : tyres.lifeKm;
+    const sets = Math.floor(totalKm / lifeKm);
+
+    return sets * tyres.count * tyres.cost * getRunningCostScale(priceLakh);
+}
+
+/**
+ * Estimated resale value (₹) at the end of ownership. A used car starts
+ * from its asking price and loses what the depreciation model expects
+ * between its current age and mileage and those at the end.
+ */
+function calculateResaleValue(priceLakh, startAge, startKm, years, totalKm) {
+    const expectedShare = (age, km) => CarEfficiencyScoring.calculateExpectedUsedPrice(1, age, km, 1);
+
+    const endShare = expectedShare(startAge + years, startKm + totalKm);
+    const startShare = expectedShare(startAge, startKm);
+
+    return priceLakh * 100000 * endShare / startShare;
+}
+
+/**
+ * Age (years) of a used listing; without a registration year the distance
+ * driven stands in, as in the used-car condition model
+ */
+function getListingAge(listing) {
+    if (listing.registrationYear) {
+        return Math.max(0, new Date().getFullYear() - listing.registrationYear);
+    }
+    return (listing.kmsDriven || 0) / CarEfficiencyScoring.USED_CAR_DEPRECIATION.typicalKmPerYear;
+}
+
+/**
+ * Calculate the total cost of ownership (₹) over `years` of `annualKm`
+ * each: purchase price, on-road charges, fuel or energy, insurance,
+ * scheduled maintenance and tyres, less the resale value at the end.
+ * Used cars are costed from their asking price and current age, without
+ * new-car road tax. Without an efficiency figure the fuel cost is unknown:
+ * the result is flagged `incomplete` and carries no total. Returns null
+ * without a price.
+ */
+function calculateOwnershipCost(spec, fuelPrices, ownership) {
+    const priceLakh = spec.price;
+    if (!priceLakh) return null;
+
+    const { years, annualKm } = ownership;
+    const totalKm = years * annualKm;
+
+    const listing = spec.usedListing;
+    const startKm = listing && listing.kmsDriven ? listing.kmsDriven : 0;
+    const startAge = listing ? getListingAge(listing) : 0;
+
+    // Insurance and running costs follow the new car: the listing's new
+    // price, else the asking price grown back by the expected depreciation
+    const newPriceLakh = listing && listing.newPrice
+        ? listing.newPrice
+        : priceLakh / CarEfficiencyScoring.calculateExpectedUsedPrice(1, startAge, startKm, 1);
+
+    const costPerKm = CarEfficiencyScoring.calculateCostPerKm(spec, fuelPrices);
+
+    const costs = {
+        purchase: priceLakh * 100000,
+        onRoad: calculatePurchaseCharges(spec),
+        fuel: costPerKm ? costPerKm * totalKm : null,
+        insurance: calculateInsurance(spec, newPriceLakh, startAge, years),
+        maintenance: calculateMaintenance(spec, newPriceLakh, years, annualKm),
+        tyres: calculateTyres(spec, newPriceLakh, totalKm)
+    };
+    const resale = calculateResaleValue(priceLakh, startAge, startKm, years, totalKm);
+
+    const incomplete = costs.fuel === null;
+    const total = incomplete
+        ? null
+        : Object.values(costs).reduce((sum, cost) => sum + cost, 0) - resale;
+
+    return {
+        years,
+        annualKm,
+        totalKm,
+        ...costs,
+        resale,
+        incomplete,
+        total,
+        perKm: incomplete ? null : total / totalKm,
+        perYear: incomplete ? null : total / years
+    };
+}
+
+// Export the ownership cost calculator
+window.CarEfficiencyTCO = {
+    calculateOwnershipCost,
+    calculateOnRoadCharges,
+    calculatePurchaseCharges,
+    calculateInsurance,
+    calculateMaintenance,
+    calculateTyres,
+    calculateResaleValue,
+    ROAD_TAX,
+    REGISTRATION_FEES,
+    INSURANCE,
+    MAINTENANCE,
+    TYRES
+};
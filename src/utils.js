@@ -1,5 +1,25 @@
 // utils.js - Utility functions for the Car Efficiency extension
 
+/**
+ * Confidence assigned to a spec field by where its value came from
+ */
+const SOURCE_CONFIDENCE = {
+    structuredData: 0.95, // schema.org JSON-LD / microdata
+    siteSpecTable: 0.9,   // A site extractor's own spec table or key-spec block
+    labelPair: 0.75,      // Label/value pair in a page table, list or card
+    measured: 0.9,        // Road-test or owner-reported figures
+    pageText: 0.5,        // Label regex over the whole page text
+    keyword: 0.35,        // Keyword found somewhere on the page
+    ai: 0.4,              // Filled in by Gemini
+    default: 0.1          // Hard-coded assumption
+};
+
+/**
+ * Share of a site extractor's layout selectors that must match before its
+ * results are trusted; below this the site has probably been redesigned
+ */
+const LAYOUT_HEALTH_THRESHOLD = 0.5;
+
 /**
  * Clamp a value between min and max
  */
@@ -15,6 +35,205 @@ function normalize(value, min, max) {
     return clamp((value - min) / (max - min), 0, 1);
 }
 
+/**
+ * Code point of the zero digit in each Indian script's digit block
+ */
+const LOCALIZED_DIGIT_ZEROS = {
+    devanagari: 0x0966,
+    bengali: 0x09E6,
+    gurmukhi: 0x0A66,
+    gujarati: 0x0AE6,
+    oriya: 0x0B66,
+    tamil: 0x0BE6,
+    telugu: 0x0C66,
+    kannada: 0x0CE6,
+    malayalam: 0x0D66
+};
+
+/**
+ * Spec-page terms in Indian languages and their English equivalents, by
+ * language. Labels map onto the English labels the extractors look for;
+ * units, fuels and transmissions onto the words the parsers understand.
+ * Add another language as another dictionary.
+ */
+const LOCALIZED_TERMS = {
+    hi: {
+        // Efficiency and range
+        'एआरएआई माइलेज': 'arai mileage',
+        'क्लेम्ड माइलेज': 'claimed mileage',
+        'माइलेज': 'mileage',
+        'ईंधन दक्षता': 'fuel efficiency',
+        'फ्यूल एफिशिएंसी': 'fuel efficiency',
+        'ड्राइविंग रेंज': 'driving range',
+        'रेंज': 'range',
+        'बैटरी क्षमता': 'battery capacity',
+        'बैटरी कैपेसिटी': 'battery capacity',
+        'बैटरी': 'battery',
+
+        // Engine and transmission
+        'इंजन डिस्प्लेसमेंट': 'engine displacement',
+        'इंजन क्षमता': 'engine capacity',
+        'डिस्प्लेसमेंट': 'displacement',
+        'इंजन': 'engine',
+        'सिलेंडर की संख्या': 'no. of cylinders',
+        'सिलेंडर': 'cylinders',
+        'अधिकतम पावर': 'max power',
+        'मैक्स पावर': 'max power',
+        'पावर': 'power',
+        'अधिकतम टॉर्क': 'max torque',
+        'मैक्स टॉर्क': 'max torque',
+        'टॉर्क': 'torque',
+        'ट्रांसमिशन टाइप': 'transmission type',
+        'ट्रांसमिशन': 'transmission',
+        'गियरबॉक्स': 'gearbox',
+        'गियर की संख्या': 'no. of gears',
+        'गियर': 'gears',
+        'टॉप स्पीड': 'top speed',
+        'स्पीड': 'speed',
+        'ईंधन का प्रकार': 'fuel type',
+        'ईंधन प्रकार': 'fuel type',
+        'फ्यूल टाइप': 'fuel type',
+
+        // Dimensions and practicality
+        'कर्ब वज़न': 'kerb weight',
+        'कर्ब वजन': 'kerb weight',
+        'कर्ब वेट': 'kerb weight',
+        'ग्रॉस वज़न': 'gross weight',
+        'ग्रॉस वजन': 'gross weight',
+        'वज़न': 'weight',
+        'वजन': 'weight',
+        'लंबाई': 'length',
+        'चौड़ाई': 'width',
+        'ऊंचाई': 'height',
+        'ऊँचाई': 'height',
+        'व्हीलबेस': 'wheelbase',
+        'ग्राउंड क्लीयरेंस': 'ground clearance',
+        'बूट स्पेस': 'boot space',
+        'सीटिंग कैपेसिटी': 'seating capacity',
+        'बैठने की क्षमता': 'seating capacity',
+        'फ्यूल टैंक कैपेसिटी': 'fuel tank capacity',
+        'ईंधन टैंक क्षमता': 'fuel tank capacity',
+        'टर्निंग रेडियस': 'turning radius',
+        'बॉडी टाइप': 'body type',
+
+        // Safety
+        'एयरबैग की संख्या': 'no. of airbags',
+        'एयरबैग्स': 'airbags',
+        'एयरबैग': 'airbags',
+        'ग्लोबल एनकैप रेटिंग': 'global ncap rating',
+        'भारत एनकैप रेटिंग': 'bharat ncap rating',
+        'सुरक्षा रेटिंग': 'safety rating',
+        'इलेक्ट्रॉनिक स्टेबिलिटी कंट्रोल': 'electronic stability control',
+        'ईएससी': 'esc',
+        'स्टार': 'star',
+
+        // Price
+        'एक्स-शोरूम कीमत': 'ex-showroom price',
+        'एक्स शोरूम कीमत': 'ex-showroom price',
+        'ऑन-रोड कीमत': 'on-road price',
+        'वेरिएंट': 'variant',
+        'वैरिएंट': 'variant',
+        'कीमत': 'price',
+        'लाख': 'lakh',
+        'करोड़': 'crore',
+        'रुपये': 'rs.',
+        'रु.': 'rs.',
+
+        // Units
+        'किमी/लीटर': 'kmpl',
+        'किमी प्रति लीटर': 'kmpl',
+        'किमी/किग्रा': 'km/kg',
+        'किमी/घंटा': 'kmph',
+        'किमी प्रति घंटा': 'kmph',
+        'किमी': 'km',
+        'लीटर': 'litres',
+        'सीसी': 'cc',
+        'बीएचपी': 'bhp',
+        'पीएस': 'ps',
+        'किलोवाट घंटा': 'kwh',
+        'केडब्ल्यूएच': 'kwh',
+        'किलोवाट': 'kw',
+        'न्यूटन मीटर': 'nm',
+        'एनएम': 'nm',
+        'आरपीएम': 'rpm',
+        'किलोग्राम': 'kg',
+        'किग्रा': 'kg',
+        'मिमी': 'mm',
+        'मीटर': 'metres',
+        'सीटर': 'seater',
+
+        // Fuels, transmissions and body styles
+        'पेट्रोल': 'petrol',
+        'डीज़ल': 'diesel',
+        'डीजल': 'diesel',
+        'सीएनजी': 'cng',
+        'इलेक्ट्रिक': 'electric',
+        'माइल्ड हाइब्रिड': 'mild hybrid',
+        'स्ट्रॉन्ग हाइब्रिड': 'strong hybrid',
+        'हाइब्रिड': 'hybrid',
+        'मैनुअल': 'manual',
+        'ऑटोमैटिक': 'automatic',
+        'एएमटी': 'amt',
+        'सीवीटी': 'cvt',
+        'हैचबैक': 'hatchback',
+        'सेडान': 'sedan',
+        'एसयूवी': 'suv',
+        'एमपीवी': 'mpv',
+        'मोटरसाइकिल': 'motorcycle',
+        'स्कूटर': 'scooter',
+        'हाँ': 'yes',
+        'हां': 'yes',
+        'नहीं': 'no'
+    }
+};
+
+/**
+ * One pattern per language matching its terms as whole words, longest
+ * first ("कर्ब वजन" before "वजन"). \b does not work for Indian scripts,
+ * so word edges are letters and combining marks.
+ */
+const LOCALIZED_TERM_PATTERNS = Object.fromEntries(
+    Object.entries(LOCALIZED_TERMS).map(([language, terms]) => {
+        const alternatives = Object.keys(terms)
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return [language, new RegExp(`(?<![\\p{L}\\p{M}])(?:${alternatives.join('|')})(?![\\p{L}\\p{M}])`, 'gu')];
+    })
+);
+
+/**
+ * Replace Indian-script digits ("२३.२", "১২") with ASCII digits
+ */
+function normalizeDigits(text) {
+    if (text === null || text === undefined) return text;
+
+    return text.toString().replace(/[\u0966-\u0D6F]/g, character => {
+        const code = character.charCodeAt(0);
+        const zero = Object.values(LOCALIZED_DIGIT_ZEROS).find(start => code >= start && code <= start + 9);
+        return zero === undefined ? character : String(code - zero);
+    });
+}
+
+/**
+ * Translate a localized spec page's text into the English the extractors
+ * read: Indian-script digits become ASCII and known labels, units and
+ * values become their English terms. English text passes through unchanged.
+ */
+function localizeText(text) {
+    if (!text) return text;
+
+    let localized = normalizeDigits(text);
+
+    // Skip the term patterns for text without any Indian-script letters
+    if (!/[\u0900-\u0DFF]/.test(localized)) return localized;
+
+    for (const [language, pattern] of Object.entries(LOCALIZED_TERM_PATTERNS)) {
+        localized = localized.replace(pattern, term => LOCALIZED_TERMS[language][term]);
+    }
+
+    return localized;
+}
+
 /**
  * Parse a number from text, handling various formats
  */
@@ -22,7 +241,7 @@ function parseNumber(text) {
     if (!text) return null;
 
     // Remove common non-numeric characters but keep decimal points
-    const cleaned = text.toString()
+    const cleaned = normalizeDigits(text)
         .replace(/[^\d.-]/g, '')
         .replace(/,/g, '');
 
@@ -30,6 +249,187 @@ function parseNumber(text) {
     return isNaN(num) ? null : num;
 }
 
+/**
+ * Unit aliases and conversion factors to each quantity's canonical unit.
+ * Includes the UN/CEFACT codes used by schema.org QuantitativeValue.
+ */
+const QUANTITY_UNITS = {
+    power: {
+        canonical: 'kW',
+        defaultUnit: 'bhp', // Indian spec sheets quote bhp unless stated
+        units: { kw: 1, kwt: 1, ps: 0.7355, n12: 0.7355, cv: 0.7355, bhp: 0.7457, hp: 0.7457, hpi: 0.7457 }
+    },
+    weight: {
+        canonical: 'kg',
+        defaultUnit: 'kg',
+        units: { kg: 1, kgs: 1, kgm: 1, kilograms: 1, tonnes: 1000, tonne: 1000, tons: 1000, ton: 1000, tne: 1000, t: 1000, lbs: 0.4536, lb: 0.4536 }
+    },
+    length: {
+        canonical: 'mm',
+        defaultUnit: 'mm',
+        units: { mm: 1, mmt: 1, cm: 10, cmt: 10, m: 1000, mtr: 1000, inches: 25.4, inch: 25.4, in: 25.4 }
+    },
+    displacement: {
+        canonical: 'cc',
+        defaultUnit: 'cc',
+        units: { cc: 1, 'cm³': 1, cm3: 1, cmq: 1, litres: 1000, litre: 1000, liters: 1000, liter: 1000, ltr: 1000, l: 1000 }
+    },
+    torque: {
+        canonical: 'Nm',
+        defaultUnit: 'nm',
+        units: { nm: 1, 'n-m': 1, nu: 1, 'kg-m': 9.807, kgm: 9.807, 'lb-ft': 1.3558, lbft: 1.3558 }
+    },
+    price: {
+        canonical: 'lakh',
+        defaultUnit: 'rupees',
+        units: { crores: 100, crore: 100, cr: 100, lakhs: 1, lakh: 1, lacs: 1, lac: 1, l: 1, rupees: 0.00001 }
+    },
+    volume: {
+        canonical: 'L',
+        defaultUnit: 'litres',
+        units: { litres: 1, litre: 1, liters: 1, liter: 1, ltr: 1, l: 1, 'cu ft': 28.32, cuft: 28.32, gallons: 3.785, gallon: 3.785 }
+    },
+    radius: {
+        canonical: 'm',
+        defaultUnit: 'm',
+        units: { metres: 1, meters: 1, mtr: 1, m: 1, mm: 0.001, mmt: 0.001, feet: 0.3048, ft: 0.3048 }
+    },
+    efficiency: {
+        canonical: 'km/l',
+        defaultUnit: 'km/l',
+        // Values are factors except the per-100km and mpg entries, handled below
+        units: {
+            'km/kwh': 1, 'km/kg': 1, 'l/100km': 1, 'l/100 km': 1, mpg: 0.4251,
+            'km/litre': 1, 'km/liter': 1, 'km/ltr': 1, 'km/l': 1, kmpl: 1, kpl: 1
+        }
+    }
+};
+
+/**
+ * Canonical unit for each efficiency unit alias
+ */
+const EFFICIENCY_CANONICAL_UNITS = {
+    'km/kwh': 'km/kWh',
+    'km/kg': 'km/kg'
+};
+
+/**
+ * Find the unit alias at the start of text, longest alias first
+ */
+function matchUnitAlias(text, units) {
+    const lowerText = text.trim().toLowerCase();
+    const aliases = Object.keys(units).sort((a, b) => b.length - a.length);
+
+    const prefixes = aliases.filter(alias => lowerText.startsWith(alias));
+
+    // Prefer an alias ending at a word boundary ("l" must not match "litres" or "lakh")
+    const bounded = prefixes.find(alias => !/[a-z]/.test(lowerText.charAt(alias.length)));
+    if (bounded) return bounded;
+
+    // Page text often runs a unit into the next label ("88 kWMax Torque")
+    return prefixes.find(alias => alias.length > 1) || null;
+}
+
+/**
+ * Convert a value in a given unit (alias or UN/CEFACT code) to the
+ * canonical unit of a quantity kind. `fallbackUnit` is assumed when `unit`
+ * is missing or unknown. Returns { value, unit } or null.
+ */
+function convertQuantity(value, unit, kind, fallbackUnit = null) {
+    const definition = QUANTITY_UNITS[kind];
+    if (!definition || value === null || value === undefined || isNaN(value)) return null;
+
+    const alias = (unit ? matchUnitAlias(unit, definition.units) : null) ||
+        (fallbackUnit ? matchUnitAlias(fallbackUnit, definition.units) : null);
+    const unitKey = alias || definition.defaultUnit;
+
+    if (kind === 'efficiency') {
+        if (unitKey.startsWith('l/100')) {
+            return value > 0 ? { value: 100 / value, unit: 'km/l' } : null;
+        }
+        return {
+            value: value * definition.units[unitKey],
+            unit: EFFICIENCY_CANONICAL_UNITS[unitKey] || 'km/l'
+        };
+    }
+
+    // Unitless prices in a plausible lakh range are already lakh ("6.49"), larger ones are rupees
+    if (kind === 'price' && !alias && value < 1000) {
+        return { value, unit: definition.canonical };
+    }
+
+    // Bare litre figures below 10 are engine sizes ("1.2 L"); larger ones are already cc
+    if (kind === 'displacement' && definition.units[unitKey] === 1000 && value >= 10) {
+        return { value, unit: definition.canonical };
+    }
+
+    return {
+        value: value * definition.units[unitKey],
+        unit: definition.canonical
+    };
+}
+
+/**
+ * Parse a quantity with units from text into its canonical unit.
+ * kind: 'power' (kW), 'weight' (kg), 'length' (mm), 'displacement' (cc),
+ * 'torque' (Nm), 'price' (lakh), 'volume' (L), 'radius' (m, turning radius)
+ * or 'efficiency' (km/l, km/kg, km/kWh).
+ *
+ * Returns { value, unit } plus `max` for ranges ("6.49 - 9.64 Lakh") and
+ * `rpm` ({ min, max }) for figures quoted at an engine speed
+ * ("118 bhp @ 6000 rpm", "200 Nm @ 1750-4000 rpm"), or null.
+ * `fallbackUnit` is assumed when the text gives no recognizable unit.
+ */
+function parseQuantity(text, kind, fallbackUnit = null) {
+    if (text === null || text === undefined) return null;
+    if (typeof text === 'number') return convertQuantity(text, null, kind, fallbackUnit);
+
+    let remaining = localizeText(text.toString()).replace(/\s+/g, ' ').trim();
+    const result = {};
+
+    // Engine speed is metadata, not part of the value
+    const rpmMatch = remaining.match(/@?\s*([\d,]+)\s*(?:-|–|to)?\s*([\d,]+)?\s*(?:rpm|r\/min)/i);
+    if (rpmMatch) {
+        const min = parseNumber(rpmMatch[1]);
+        const max = rpmMatch[2] ? parseNumber(rpmMatch[2]) : min;
+        result.rpm = { min, max };
+        remaining = remaining.replace(rpmMatch[0], ' ');
+    }
+    remaining = remaining.split('@')[0];
+
+    // Currency markers only matter for prices
+    remaining = remaining.replace(/₹|\brs\.?|\binr\b/gi, ' ');
+
+    const numberPattern = '(\\d[\\d,]*(?:\\.\\d+)?|\\.\\d+)';
+    const match = remaining.match(new RegExp(`${numberPattern}(?:\\s*(?:-|–|to)\\s*${numberPattern})?\\s*(.*)$`, 'i'));
+    if (!match) return null;
+
+    const value = parseNumber(match[1]);
+    if (value === null) return null;
+
+    const unitText = match[3] || '';
+    const converted = convertQuantity(value, unitText, kind, fallbackUnit);
+    if (!converted) return null;
+
+    result.value = converted.value;
+    result.unit = converted.unit;
+
+    if (match[2]) {
+        const max = convertQuantity(parseNumber(match[2]), unitText, kind, fallbackUnit);
+        if (max) result.max = max.value;
+    }
+
+    return result;
+}
+
+/**
+ * Parse a quantity and return only its canonical value, or null
+ */
+function parseQuantityValue(text, kind, fallbackUnit = null) {
+    const quantity = parseQuantity(text, kind, fallbackUnit);
+    return quantity ? quantity.value : null;
+}
+
 /**
  * Extract values by looking for labels in text
  */
@@ -42,12 +442,14 @@ function extractByLabels(text, labels, options = {}) {
         numberOnly = true
     } = options;
 
-    const searchText = caseSensitive ? text : text.toLowerCase();
+    const localized = localizeText(text);
+    const searchText = caseSensitive ? localized : localized.toLowerCase();
     const results = [];
 
     for (const label of labels) {
         const searchLabel = caseSensitive ? label : label.toLowerCase();
-        const regex = new RegExp(`${searchLabel}[\\s:]*([\\d.,]+(?:\\s*[a-zA-Z/]+)?)`, 'gi');
+        // Value plus its unit, including consumption units ("5.2 l/100km")
+        const regex = new RegExp(`${searchLabel}[\\s:]*([\\d.,]+(?:\\s*[a-zA-Z/]+(?:100\\s*km)?)?)`, 'gi');
 
         let match;
         while ((match = regex.exec(searchText)) !== null) {
@@ -64,28 +466,359 @@ function extractByLabels(text, labels, options = {}) {
     return multipleValues ? results : (results[0] || null);
 }
 
+/**
+ * Weight of powertrain evidence by where it appears on the page
+ */
+const POWERTRAIN_EVIDENCE_WEIGHTS = {
+    specTable: 5,
+    heading: 3,
+    body: 1
+};
+
+/**
+ * Whole-word powertrain evidence. Hybrid kinds also count as hybrid evidence.
+ */
+const POWERTRAIN_PATTERNS = {
+    electric: /\b(?:electric|ev|bev|battery[\s-]electric|kwh)\b/gi,
+    hybrid: /\bhybrid\b/gi,
+    plugIn: /\b(?:plug[\s-]?in(?:[\s-]hybrid)?|phev)\b/gi,
+    strong: /\b(?:strong|full|self[\s-]charging)[\s-]hybrid\b|\be-?cvt\b/gi,
+    mild: /\b(?:mild|smart)[\s-]hybrid\b|\bmhev\b|\b48\s*v\b/gi,
+    cng: /\b(?:cng|compressed natural gas)\b/gi,
+    diesel: /\b(?:diesel|crdi|tdi)\b/gi,
+    petrol: /\b(?:petrol|gasoline)\b/gi
+};
+
+// Electric features found on every kind of car
+const ELECTRIC_FEATURE_PATTERN = /\belectric(?:al)?\s+(?:power\s+steering|sunroof|mirrors?|orvms?|windows?|seats?|parking\s+brake|tailgate|adjust\w*|fold\w*)/gi;
+
+// A hybrid or CNG reading needs this share of the strongest evidence, so a
+// passing "also available as CNG" does not outweigh a petrol spec table
+const POWERTRAIN_MODIFIER_SHARE = 0.4;
+
+/**
+ * Classify a powertrain from evidence text, given as a string (read as spec
+ * table text) or as { specTable, heading, body }. Returns { fuelType,
+ * powertrain: { primaryFuel, secondaryFuel, hybridType }, score, strongestSource }
+ * where fuelType is the single bucket the scoring model uses ('petrol',
+ * 'diesel', 'cng', 'hybrid' or 'electric'; mild hybrids keep their fuel)
+ * and a score of 0 means nothing was found and petrol was assumed.
+ */
+function classifyPowertrain(evidence) {
+    const sources = typeof evidence === 'string' ? { specTable: evidence } : (evidence || {});
+    const scores = Object.fromEntries(Object.keys(POWERTRAIN_PATTERNS).map(kind => [kind, 0]));
+    const sourceScores = {};
+
+    for (const [source, weight] of Object.entries(POWERTRAIN_EVIDENCE_WEIGHTS)) {
+        if (!sources[source]) continue;
+
+        const text = sources[source].replace(ELECTRIC_FEATURE_PATTERN, ' ');
+        sourceScores[source] = 0;
+        for (const [kind, pattern] of Object.entries(POWERTRAIN_PATTERNS)) {
+            // Repetition in long body text adds little once a word has been seen
+            const count = Math.min((text.match(pattern) || []).length, 3);
+            scores[kind] += count * weight;
+            sourceScores[source] += count * weight;
+        }
+    }
+
+    const hybridScore = scores.hybrid + scores.plugIn + scores.strong + scores.mild;
+    const top = Math.max(scores.electric, scores.diesel, scores.petrol, scores.cng, hybridScore);
+    const combustion = scores.diesel > scores.petrol ? 'diesel' : 'petrol';
+    const strongestSource = Object.keys(sourceScores)
+        .reduce((best, source) => (!best || sourceScores[source] > sourceScores[best]) ? source : best, null);
+
+    const result = (fuelType, primaryFuel, secondaryFuel = null, hybridType = null) => ({
+        fuelType,
+        powertrain: { primaryFuel, secondaryFuel, hybridType },
+        score: top,
+        strongestSource: top > 0 ? strongestSource : null
+    });
+
+    if (top === 0) return result('petrol', 'petrol');
+
+    // Hybrid pages talk about their electric motor, so hybrid evidence wins
+    // over electric once it is a fair share of the page
+    if (hybridScore >= top * POWERTRAIN_MODIFIER_SHARE) {
+        let hybridType = null;
+        if (scores.plugIn > 0) {
+            hybridType = 'plug-in';
+        } else if (scores.strong > scores.mild) {
+            hybridType = 'strong';
+        } else if (scores.mild > scores.strong) {
+            hybridType = 'mild';
+        }
+
+        return result(hybridType === 'mild' ? combustion : 'hybrid', combustion, 'electric', hybridType);
+    }
+
+    if (scores.electric === top) return result('electric', 'electric');
+
+    // CNG cars also run on petrol
+    if (scores.cng >= top * POWERTRAIN_MODIFIER_SHARE) return result('cng', 'petrol', 'cng');
+
+    return result(combustion, combustion);
+}
+
 /**
  * Guess fuel type from text content
  */
 function guessFuelType(text) {
     if (!text) return 'petrol'; // default
 
-    const lowerText = text.toLowerCase();
+    return classifyPowertrain(text).fuelType;
+}
+
+/**
+ * Weight of each place vehicle-class evidence can appear. Body text is left
+ * out: site menus link "New Bikes" and "New Cars" from every page.
+ */
+const VEHICLE_CLASS_EVIDENCE_WEIGHTS = {
+    url: 5,
+    specTable: 5,
+    heading: 3
+};
+
+/**
+ * Whole-word vehicle-class evidence. `twoWheeler` counts for motorcycles and
+ * scooters alike; spec rows such as airbags and boot space only exist on cars.
+ */
+const VEHICLE_CLASS_PATTERNS = {
+    scooter: /\b(?:scooters?|scooty|maxi[\s-]?scooters?|under[\s-]?seat storage)\b/gi,
+    motorcycle: /\b(?:motorcycles?|motorbikes?|bikes?|newbikes|cruiser|kick start|chain drive)\b/gi,
+    twoWheeler: /\b(?:two[\s-]wheelers?|2[\s-]wheelers?|(?:single|dual)[\s-]channel(?:\s+abs)?|combi(?:ned)? braking system|cbs)\b/gi,
+    car: /\b(?:cars?|newcars|sedans?|hatchbacks?|suvs?|mpvs?|airbags?|boot space|isofix|ncap)\b/gi
+};
+
+// Two-wheeler sites whose hostnames carry no whole word to match
+const TWO_WHEELER_HOST_PATTERN = /(?:^|\.)(?:bikedekho|bikewale)\./i;
+
+/**
+ * Classify the vehicle a page describes from { url, specTable, heading }
+ * evidence. Returns { vehicleClass, score } where vehicleClass is 'car',
+ * 'motorcycle' or 'scooter' and a score of 0 means nothing was found and a
+ * car was assumed.
+ */
+function detectVehicleClass(evidence) {
+    const sources = evidence || {};
+    const scores = Object.fromEntries(Object.keys(VEHICLE_CLASS_PATTERNS).map(kind => [kind, 0]));
+
+    for (const [source, weight] of Object.entries(VEHICLE_CLASS_EVIDENCE_WEIGHTS)) {
+        if (!sources[source]) continue;
+
+        // URL paths separate words with slashes, hyphens and underscores
+        const text = source === 'url' ? sources[source].replace(/[/_.-]+/g, ' ') : sources[source];
+        for (const [kind, pattern] of Object.entries(VEHICLE_CLASS_PATTERNS)) {
+            const count = Math.min((text.match(pattern) || []).length, 3);
+            scores[kind] += count * weight;
+        }
+    }
+
+    if (sources.url) {
+        try {
+            if (TWO_WHEELER_HOST_PATTERN.test(new URL(sources.url).hostname)) {
+                scores.twoWheeler += VEHICLE_CLASS_EVIDENCE_WEIGHTS.url;
+            }
+        } catch (error) {
+            // Not a URL; its words were counted above
+        }
+    }
+
+    const twoWheelerScore = scores.motorcycle + scores.scooter + scores.twoWheeler;
+    if (twoWheelerScore === 0 || twoWheelerScore <= scores.car) {
+        return { vehicleClass: 'car', score: scores.car };
+    }
+
+    // Bike sites list scooters too, so scooter evidence wins a tie
+    const vehicleClass = scores.scooter > 0 && scores.scooter >= scores.motorcycle ? 'scooter' : 'motorcycle';
+    return { vehicleClass, score: twoWheelerScore };
+}
+
+/**
+ * Record where a spec field's value came from.
+ * origin: extractor name, 'structured-data', 'default' or 'ai'
+ * detail: selector, label or regex that produced the value
+ */
+function recordSource(spec, field, origin, detail, confidence) {
+    if (!spec) return;
+
+    spec._sources = spec._sources || {};
+    spec._sources[field] = {
+        origin,
+        detail: detail || null,
+        confidence: clamp(confidence, 0, 1)
+    };
+}
+
+/**
+ * Get the recorded source of a spec field, or null if unknown
+ */
+function getSource(spec, field) {
+    return (spec && spec._sources && spec._sources[field]) || null;
+}
+
+/**
+ * Storage key (chrome.storage.local) for user-defined site extractor rules
+ */
+const EXTRACTOR_RULES_KEY = 'carEfficiencyExtractorRules';
+
+/**
+ * Fields a site rule may fill, and how each value is parsed: a quantity
+ * kind, 'number' for plain counts or 'text'
+ */
+const RULE_FIELDS = {
+    carName: 'text',
+    fuelType: 'text',
+    transmissionType: 'text',
+    bodyType: 'text',
+    mileage: 'efficiency',
+    range: 'number',
+    batteryCapacity: 'number',
+    displacement: 'displacement',
+    cylinders: 'number',
+    power: 'power',
+    torque: 'torque',
+    gears: 'number',
+    kerbWeight: 'weight',
+    length: 'length',
+    width: 'length',
+    height: 'length',
+    groundClearance: 'length',
+    wheelbase: 'length',
+    turningRadius: 'radius',
+    bootSpace: 'volume',
+    fuelTankCapacity: 'volume',
+    seatingCapacity: 'number',
+    ncapStars: 'number',
+    airbags: 'number',
+    price: 'price'
+};
+
+/**
+ * Check a hostname against a rule host pattern ("dealer.in" or
+ * "*.dealer.in"; the wildcard form also matches the bare domain)
+ */
+function matchesHostPattern(hostname, pattern) {
+    if (!hostname || !pattern) return false;
+
+    const host = hostname.toLowerCase();
+    const lowerPattern = pattern.trim().toLowerCase();
+
+    if (lowerPattern.startsWith('*.')) {
+        const domain = lowerPattern.slice(2);
+        return host === domain || host.endsWith(`.${domain}`);
+    }
+
+    return host === lowerPattern;
+}
+
+/**
+ * Match pattern (also the host permission) covering a rule host pattern,
+ * or null when the pattern is missing
+ */
+function getRuleMatchPattern(hostPattern) {
+    if (typeof hostPattern !== 'string' || !hostPattern.trim()) return null;
+    return `*://${hostPattern.trim().toLowerCase()}/*`;
+}
+
+/**
+ * Check a site extractor rule. Returns a list of problems (empty when valid).
+ *
+ * Rule shape:
+ * {
+ *   name: 'Dealer site',
+ *   hostPattern: '*.dealer.in',
+ *   fields: {
+ *     price: { selector: '.price', unit: 'lakh' },
+ *     power: { labels: ['Max Power'], unit: 'PS' },
+ *     carName: { selector: 'h1', attribute: 'title' }
+ *   }
+ * }
+ */
+function validateExtractorRule(rule) {
+    const errors = [];
 
-    if (lowerText.includes('electric') || lowerText.includes('ev') || lowerText.includes('battery')) {
-        return 'electric';
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        return ['Rule must be an object'];
     }
-    if (lowerText.includes('hybrid')) {
-        return 'hybrid';
+
+    if (typeof rule.name !== 'string' || !rule.name.trim()) {
+        errors.push('Rule needs a name');
     }
-    if (lowerText.includes('cng') || lowerText.includes('compressed natural gas')) {
-        return 'cng';
+
+    const hostPatternFormat = /^(?:\*\.)?[a-z0-9-]+(?:\.[a-z0-9-]+)+$/i;
+    if (typeof rule.hostPattern !== 'string' || !hostPatternFormat.test(rule.hostPattern.trim())) {
+        errors.push('hostPattern must be a host name such as "dealer.in" or "*.dealer.in"');
     }
-    if (lowerText.includes('diesel')) {
-        return 'diesel';
+
+    if (!rule.fields || typeof rule.fields !== 'object' || Object.keys(rule.fields).length === 0) {
+        errors.push('Rule needs at least one field');
+        return errors;
     }
 
-    return 'petrol';
+    for (const [field, fieldRule] of Object.entries(rule.fields)) {
+        const kind = RULE_FIELDS[field];
+        if (!kind) {
+            errors.push(`Unknown field "${field}"`);
+            continue;
+        }
+
+        if (!fieldRule || typeof fieldRule !== 'object' || Array.isArray(fieldRule)) {
+            errors.push(`${field}: must be an object`);
+            continue;
+        }
+
+        const hasSelector = typeof fieldRule.selector === 'string' && fieldRule.selector.trim();
+        const hasLabels = Array.isArray(fieldRule.labels) && fieldRule.labels.length > 0 &&
+            fieldRule.labels.every(label => typeof label === 'string' && label.trim());
+        if (!hasSelector && !hasLabels) {
+            errors.push(`${field}: give a selector or a list of labels`);
+        }
+
+        if (hasSelector) {
+            try {
+                document.createDocumentFragment().querySelector(fieldRule.selector);
+            } catch (error) {
+                errors.push(`${field}: invalid selector "${fieldRule.selector}"`);
+            }
+        }
+
+        if (fieldRule.unit !== undefined) {
+            const definition = QUANTITY_UNITS[kind];
+            if (!definition || !matchUnitAlias(String(fieldRule.unit), definition.units)) {
+                errors.push(`${field}: unknown unit "${fieldRule.unit}"`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Load user-defined site extractor rules, skipping invalid ones
+ */
+async function loadExtractorRules() {
+    try {
+        const result = await chrome.storage.local.get([EXTRACTOR_RULES_KEY]);
+        const rules = result[EXTRACTOR_RULES_KEY] || [];
+        return rules.filter(rule => validateExtractorRule(rule).length === 0);
+    } catch (error) {
+        console.error('Error loading extractor rules:', error);
+        return [];
+    }
+}
+
+/**
+ * Save user-defined site extractor rules
+ */
+async function saveExtractorRules(rules) {
+    try {
+        await chrome.storage.local.set({ [EXTRACTOR_RULES_KEY]: rules });
+        return true;
+    } catch (error) {
+        console.error('Error saving extractor rules:', error);
+        return false;
+    }
 }
 
 /**
@@ -94,17 +827,48 @@ function guessFuelType(text) {
 function getDefaultSettings() {
     return {
         weights: {
-            efficiency: 35,
+            efficiency: 30,
             safety: 30,
-            valueForMoney: 25,
-            performancePerEfficiency: 10
+            valueForMoney: 20,
+            performancePerEfficiency: 10,
+            practicality: 10
         },
         fuelPrices: {
             petrol: 110, // ₹/litre
             diesel: 95,  // ₹/litre
             cng: 80,     // ₹/kg
             electricity: 9 // ₹/kWh
-        }
+        },
+        // Ownership period costed in the overlay
+        ownership: {
+            years: 5,
+            annualKm: 12000
+        },
+        // Loan terms for the financing panel
+        financing: {
+            downPaymentPercent: 20,
+            tenureYears: 5,
+            interestRate: 9,      // % a year
+            processingFeePercent: 0.5
+        },
+        // Re-analyze automatically when the page changes client-side
+        autoReanalyze: false,
+        // Show analysis timings in the overlay
+        showDebugInfo: false
+    };
+}
+
+/**
+ * Merge stored weights over the defaults. Weights saved before the
+ * practicality weight existed already total 100, so it starts at 0 for them.
+ */
+function mergeWeights(defaultWeights, storedWeights) {
+    if (!storedWeights) return { ...defaultWeights };
+
+    return {
+        ...defaultWeights,
+        ...(storedWeights.practicality === undefined ? { practicality: 0 } : {}),
+        ...storedWeights
     };
 }
 
@@ -119,8 +883,12 @@ async function loadSettings() {
 
         // Merge with defaults
         return {
-            weights: { ...defaults.weights, ...stored.weights },
-            fuelPrices: { ...defaults.fuelPrices, ...stored.fuelPrices }
+            weights: mergeWeights(defaults.weights, stored.weights),
+            fuelPrices: { ...defaults.fuelPrices, ...stored.fuelPrices },
+            ownership: { ...defaults.ownership, ...stored.ownership },
+            financing: { ...defaults.financing, ...stored.financing },
+            autoReanalyze: stored.autoReanalyze !== undefined ? stored.autoReanalyze : defaults.autoReanalyze,
+            showDebugInfo: stored.showDebugInfo !== undefined ? stored.showDebugInfo : defaults.showDebugInfo
         };
     } catch (error) {
         console.error('Error loading settings:', error);
@@ -180,6 +948,19 @@ function extractValueWithUnit(text, units) {
     return null;
 }
 
+/**
+ * Escape page-derived text before inserting it into overlay HTML
+ */
+function escapeHtml(text) {
+    if (text == null) return '';
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Format number with Indian currency
  */
@@ -188,6 +969,16 @@ function formatCurrency(amount) {
     return `₹${amount.toFixed(2)}`;
 }
 
+/**
+ * Format a rupee amount for display: lakh from ₹1 lakh up, else whole
+ * rupees with Indian digit grouping
+ */
+function formatRupees(amount) {
+    if (amount == null) return 'N/A';
+    if (Math.abs(amount) >= 100000) return `₹${(amount / 100000).toFixed(2)} lakh`;
+    return `₹${Math.round(amount).toLocaleString('en-IN')}`;
+}
+
 /**
  * Format percentage
  */
@@ -197,27 +988,39 @@ function formatPercentage(value) {
 }
 
 /**
- * Debounce function to limit API calls
+ * Debounce function to limit API calls. With `maxWait`, calls that keep
+ * coming still run `func` at least once every `maxWait` ms.
  */
-function debounce(func, wait) {
+function debounce(func, wait, maxWait = null) {
     let timeout;
+    let firstCallAt = null;
     return function executedFunction(...args) {
         const later = () => {
             clearTimeout(timeout);
+            firstCallAt = null;
             func(...args);
         };
+
+        const now = Date.now();
+        if (firstCallAt === null) firstCallAt = now;
+
+        const delay = maxWait === null
+            ? wait
+            : Math.min(wait, Math.max(0, firstCallAt + maxWait - now));
+
         clearTimeout(timeout);
-        timeout = setTimeout(later, wait);
+        timeout = setTimeout(later, delay);
     };
 }
 
 /**
- * Check if current page is a car specification page
+ * Check if current page is a car specification page. Pass the analysis's
+ * page snapshot to avoid reading the page again.
  */
-function isCarSpecPage() {
+function isCarSpecPage(snapshot = null) {
     const url = window.location.href.toLowerCase();
-    const title = document.title.toLowerCase();
-    const content = document.body.textContent.toLowerCase();
+    const title = (snapshot ? snapshot.title : document.title).toLowerCase();
+    const content = (snapshot ? snapshot.text : localizeText(document.body.textContent)).toLowerCase();
 
     // Check for car-related keywords
     const carKeywords = [
@@ -231,25 +1034,51 @@ function isCarSpecPage() {
 
     // Check for car site URLs
     const isCarSite = url.includes('cardekho') || url.includes('carwale') ||
-        url.includes('car') || url.includes('auto');
+        url.includes('car') || url.includes('auto') || url.includes('bike');
 
     return hasCarKeywords && isCarSite;
 }
 
-// Export functions for use in other modules
-window.CarEfficiencyUtils = {
+// Export functions for use in other modules (`self` is the window in pages
+// and the global scope in the service worker)
+self.CarEfficiencyUtils = {
     clamp,
     normalize,
     parseNumber,
+    normalizeDigits,
+    localizeText,
+    LOCALIZED_TERMS,
+    parseQuantity,
+    parseQuantityValue,
+    convertQuantity,
+    QUANTITY_UNITS,
     extractByLabels,
     guessFuelType,
+    classifyPowertrain,
+    POWERTRAIN_EVIDENCE_WEIGHTS,
+    detectVehicleClass,
+    VEHICLE_CLASS_EVIDENCE_WEIGHTS,
+    recordSource,
+    getSource,
+    SOURCE_CONFIDENCE,
+    LAYOUT_HEALTH_THRESHOLD,
     getDefaultSettings,
+    mergeWeights,
     loadSettings,
     saveSettings,
+    EXTRACTOR_RULES_KEY,
+    RULE_FIELDS,
+    matchesHostPattern,
+    getRuleMatchPattern,
+    validateExtractorRule,
+    loadExtractorRules,
+    saveExtractorRules,
     truncateText,
     cleanText,
     extractValueWithUnit,
+    escapeHtml,
     formatCurrency,
+    formatRupees,
     formatPercentage,
     debounce,
     isCarSpecPage
@@ -0,0 +1,60 @@
+// tests/autoportal.test.js - Autoportal spec table reading on hand-built rows
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./harness');
+
+const page = loadScripts('https://autoportal.com/newcars/tata/punch/');
+test.after(() => page.close());
+
+/**
+ * Find the row for `labels` in `rows` ([label, value] pairs) as the
+ * Autoportal extractor would for a power figure
+ */
+function findPowerRow(rows, labels) {
+    return page.evaluate(`new CarEfficiencyExtractors.AutoportalExtractor().findRow(
+        ${JSON.stringify(rows.map(([label, value]) => ({ label, value })))},
+        ${JSON.stringify(labels)},
+        value => CarEfficiencyUtils.parseQuantityValue(value, 'power'))`);
+}
+
+test('a row only starting with the label is skipped when its value does not parse', () => {
+    const row = findPowerRow([['power steering', 'Yes'], ['power (ps)', '86 PS @ 6000 rpm']], ['Max Power', 'Power']);
+
+    assert.strictEqual(row.label, 'power (ps)');
+    assert.ok(Math.abs(row.parsed - 63.25) < 0.1, String(row.parsed));
+});
+
+test('an exact label wins over one that only starts with it', () => {
+    const row = findPowerRow([['power (ps)', '86 PS'], ['power', '72 kW']], ['Power']);
+
+    assert.deepStrictEqual(row, { label: 'power', value: '72 kW', parsed: 72 });
+});
+
+test('no row is found when none parses', () => {
+    assert.strictEqual(findPowerRow([['power steering', 'Yes'], ['power windows', 'Front & Rear']], ['Power']), null);
+});
+
+test('the spec table fills gaps but keeps fields already found; the lowest variant price replaces the price', () => {
+    page.window.document.body.innerHTML = `
+        <table class="specifications">
+            <tr><th>Mileage (ARAI)</th><td>20.09 kmpl</td></tr>
+            <tr><th>Number of Airbags</th><td>2</td></tr>
+        </table>`;
+
+    const spec = page.evaluate(`(() => {
+        const spec = { mileage: 18.8, price: 7.5, variants: [{ price: 6.13 }, { price: 10.2 }] };
+        CarEfficiencySnapshot.beginAnalysis();
+        try {
+            new CarEfficiencyExtractors.AutoportalExtractor().enhanceWithAutoportalData(spec);
+        } finally {
+            CarEfficiencySnapshot.endAnalysis();
+        }
+        return spec;
+    })()`);
+
+    assert.strictEqual(spec.mileage, 18.8);
+    assert.strictEqual(spec.airbags, 2);
+    assert.strictEqual(spec.price, 6.13);
+    assert.strictEqual(spec.priceMax, 10.2);
+});
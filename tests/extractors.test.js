@@ -0,0 +1,45 @@
+// tests/extractors.test.js - Runs every saved page fixture through its extractor
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { listFixtures, readFixture, extractFromPage, compareSpec } = require('./harness');
+
+for (const name of listFixtures()) {
+    test(`fixture ${name}`, async () => {
+        const { html, expected, rules } = readFixture(name);
+        const { extractor, spec } = await extractFromPage(html, expected.url, rules);
+
+        if (expected.extractor) {
+            assert.strictEqual(extractor, expected.extractor, 'picked the wrong extractor');
+        }
+
+        const mismatches = compareSpec(spec, expected.fields, expected.tolerances);
+        assert.deepStrictEqual(mismatches, [], `fields differ:\n  ${mismatches.join('\n  ')}`);
+
+        if (expected.variantCount !== undefined) {
+            assert.strictEqual((spec.variants || []).length, expected.variantCount, 'variant count differs');
+        }
+
+        if (expected.variants !== undefined) {
+            const variants = spec.variants || [];
+            expected.variants.forEach((fields, index) => {
+                const differences = compareSpec(variants[index], fields, expected.tolerances);
+                assert.deepStrictEqual(differences, [], `variant ${index + 1} fields differ:\n  ${differences.join('\n  ')}`);
+            });
+        }
+
+        if (expected.comparison !== undefined) {
+            const comparison = spec.comparison || [];
+            assert.strictEqual(comparison.length, expected.comparison.length, 'compared car count differs');
+            expected.comparison.forEach((fields, index) => {
+                const differences = compareSpec(comparison[index], fields, expected.tolerances);
+                assert.deepStrictEqual(differences, [], `car ${index + 1} fields differ:\n  ${differences.join('\n  ')}`);
+            });
+        }
+
+        if (expected.layoutMissing !== undefined) {
+            const missing = spec._layoutHealth ? [...spec._layoutHealth.missing] : [];
+            assert.deepStrictEqual(missing, expected.layoutMissing, 'layout selectors matched differently');
+        }
+    });
+}
@@ -0,0 +1,122 @@
+// tests/finance.test.js - Loan and EMI checks on hand-built specs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./harness');
+
+const page = loadScripts();
+test.after(() => page.close());
+
+/**
+ * Run `body` in the page with `spec` bound, returning its value as JSON
+ */
+function withSpec(spec, body) {
+    return page.evaluate(`((spec) => ${body})(${JSON.stringify(spec)})`);
+}
+
+/**
+ * Assert that two rupee amounts agree to the rupee
+ */
+function assertRupees(actual, expected, label) {
+    assert.ok(Math.abs(actual - expected) < 1, `${label}: ${actual}, expected ${expected}`);
+}
+
+const PETROL_HATCH = { vehicleClass: 'car', fuelType: 'petrol', displacement: 1197, mileage: 20, price: 8 };
+const FUEL_PRICES = { petrol: 110, diesel: 95, cng: 80, electricity: 9 };
+const TERMS = { downPaymentPercent: 20, tenureYears: 5, interestRate: 9, processingFeePercent: 0.5 };
+
+/**
+ * Finance PETROL_HATCH over 12,000 km a year with `overrides` on TERMS
+ */
+function finance(overrides) {
+    return withSpec(PETROL_HATCH, `CarEfficiencyFinance.calculateFinancing(spec,
+        ${JSON.stringify(FUEL_PRICES)}, ${JSON.stringify({ ...TERMS, ...overrides })}, 12000)`);
+}
+
+test('the EMI repays the principal with interest on the reducing balance', () => {
+    const emi = page.evaluate('CarEfficiencyFinance.calculateEmi(500000, 9, 60)');
+
+    const monthlyRate = 0.09 / 12;
+    const growth = Math.pow(1 + monthlyRate, 60);
+    assertRupees(emi, 500000 * monthlyRate * growth / (growth - 1), 'EMI');
+    assert.strictEqual(Math.round(emi), 10379);
+});
+
+test('a zero interest rate splits the principal evenly', () => {
+    assert.strictEqual(page.evaluate('CarEfficiencyFinance.calculateEmi(120000, 0, 12)'), 10000);
+
+    const financing = finance({ interestRate: 0 });
+    assertRupees(financing.emi * financing.tenureMonths, financing.loanAmount, 'repaid');
+    assertRupees(financing.totalInterest, 0, 'interest');
+});
+
+test('nothing to repay gives no EMI', () => {
+    assert.strictEqual(page.evaluate('CarEfficiencyFinance.calculateEmi(0, 9, 60)'), 0);
+    assert.strictEqual(page.evaluate('CarEfficiencyFinance.calculateEmi(500000, 9, 0)'), 0);
+});
+
+test('a 100% down payment leaves no loan', () => {
+    const financing = finance({ downPaymentPercent: 100 });
+
+    assertRupees(financing.onRoadPrice, 800000 + 800000 * 0.07 + 5000, 'on-road price');
+    assert.strictEqual(financing.loanAmount, 0);
+    assert.strictEqual(financing.emi, 0);
+    assert.strictEqual(financing.totalInterest, 0);
+    assert.strictEqual(financing.processingFee, 0);
+    assert.strictEqual(financing.totalPayable, financing.onRoadPrice);
+    assert.strictEqual(financing.monthlyCost, financing.runningCost);
+});
+
+test('the loan is priced on the on-road price less the down payment', () => {
+    const financing = finance({});
+
+    const loanAmount = (800000 + 800000 * 0.07 + 5000) * 0.8;
+    assertRupees(financing.loanAmount, loanAmount, 'loan');
+    assertRupees(financing.processingFee, loanAmount * 0.005, 'processing fee');
+    assert.strictEqual(financing.tenureMonths, 60);
+    assertRupees(financing.totalInterest, financing.emi * 60 - loanAmount, 'interest');
+    assertRupees(financing.monthlyCost, financing.emi + financing.runningCost, 'monthly cost');
+});
+
+test('tenures at the limits are accepted and priced', () => {
+    const limits = page.evaluate('CarEfficiencyFinance.FINANCING_LIMITS');
+    const [shortest, longest] = limits.tenureYears;
+
+    for (const tenureYears of [shortest, longest]) {
+        const terms = { ...TERMS, tenureYears };
+        assert.strictEqual(page.evaluate(`CarEfficiencyFinance.validateFinancingTerms(${JSON.stringify(terms)})`), true);
+        assert.strictEqual(finance({ tenureYears }).tenureMonths, tenureYears * 12);
+    }
+
+    // Longer loans cost less a month but more in interest
+    const [short, long] = [finance({ tenureYears: shortest }), finance({ tenureYears: longest })];
+    assert.ok(long.emi < short.emi);
+    assert.ok(long.totalInterest > short.totalInterest);
+});
+
+test('terms out of range or not numbers are rejected', () => {
+    const limits = page.evaluate('CarEfficiencyFinance.FINANCING_LIMITS');
+    const invalid = [
+        { tenureYears: limits.tenureYears[0] - 0.5 },
+        { tenureYears: limits.tenureYears[1] + 1 },
+        { downPaymentPercent: 101 },
+        { interestRate: -1 },
+        { interestRate: limits.interestRate[1] + 1 },
+        { processingFeePercent: 6 },
+        { interestRate: null },
+        { tenureYears: '5' },
+        { downPaymentPercent: undefined } // Missing once serialized
+    ];
+
+    for (const overrides of invalid) {
+        const terms = JSON.stringify({ ...TERMS, ...overrides });
+        assert.strictEqual(page.evaluate(`CarEfficiencyFinance.validateFinancingTerms(${terms})`), false, terms);
+    }
+});
+
+test('a car without a price is not financed', () => {
+    const financing = withSpec({ ...PETROL_HATCH, price: null }, `CarEfficiencyFinance.calculateFinancing(spec,
+        ${JSON.stringify(FUEL_PRICES)}, ${JSON.stringify(TERMS)}, 12000)`);
+
+    assert.strictEqual(financing, null);
+});
@@ -0,0 +1,219 @@
+// tests/harness.js - Loads saved pages into jsdom and runs the extension's extractors
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Fields compared by default when recording a fixture
+const RECORDED_FIELDS = [
+    'carName', 'vehicleClass', 'fuelType', 'powertrain', 'mileage', 'range', 'batteryCapacity', 'displacement',
+    'cylinders', 'power', 'torque', 'transmissionType', 'gears', 'kerbWeight', 'length', 'width', 'height',
+    'groundClearance', 'wheelbase', 'turningRadius', 'bootSpace', 'fuelTankCapacity', 'bodyType',
+    'seatingCapacity', 'ncapStars', 'airbags', 'esc', 'isofix',
+    'price', 'usedListing', 'priceMin', 'priceMax', 'testedCityMileage', 'testedHighwayMileage', 'acceleration0to100',
+    'ownerReportedMileage', 'crashTest', 'safetyFeatures', 'absType'
+];
+
+// Variant fields compared when a fixture lists its variants
+const VARIANT_FIELDS = ['name', 'fuelType', 'transmissionType', 'price', 'mileage'];
+
+// Relative tolerance for numeric fields without their own tolerance
+const DEFAULT_TOLERANCE = 0.01;
+
+/**
+ * Stub the Chrome extension APIs the content scripts touch. `local` holds
+ * what chrome.storage.local returns, keyed like the real store.
+ */
+function createChromeStub(local = {}) {
+    const noopEvent = { addListener() {}, removeListener() {} };
+
+    return {
+        storage: {
+            sync: { get: async () => ({}), set: async () => {} },
+            local: {
+                get: async (keys) => Object.fromEntries(keys.filter(key => key in local).map(key => [key, local[key]])),
+                set: async () => {}
+            },
+            onChanged: noopEvent
+        },
+        runtime: {
+            onMessage: noopEvent,
+            sendMessage: async () => {},
+            getManifest: () => JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'))
+        }
+    };
+}
+
+/**
+ * Load a saved page into jsdom with the content scripts from manifest.json,
+ * with `local` as the contents of chrome.storage.local. Returns the window
+ * plus a `run(code)` helper evaluating in the page context.
+ */
+function loadPage(html, url, local = {}) {
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true });
+    const { window } = dom;
+    const context = dom.getInternalVMContext();
+
+    // Keep runs offline and quiet
+    window.chrome = createChromeStub(local);
+    window.fetch = async () => {
+        throw new Error('Network access is disabled in fixture tests');
+    };
+    window.console = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+
+    const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+    for (const file of manifest.content_scripts[0].js) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+
+    return {
+        window,
+        run: (code) => vm.runInContext(code, context),
+        close: () => {
+            // Closing empties the document, which the page-change watcher
+            // would otherwise react to after the window is gone
+            vm.runInContext(`if (extensionInstance && extensionInstance.pageObserver) {
+                extensionInstance.pageObserver.disconnect();
+            }`, context);
+            window.close();
+        }
+    };
+}
+
+/**
+ * Load the content scripts into an empty page, for testing scoring and the
+ * other calculators directly. `evaluate(expression)` returns the
+ * expression's value copied out of the page as JSON.
+ */
+function loadScripts(url = 'https://www.example.com/') {
+    const page = loadPage('<!DOCTYPE html><html><head><title></title></head><body></body></html>', url);
+
+    return {
+        ...page,
+        evaluate: (expression) => JSON.parse(page.run(`JSON.stringify(${expression})`))
+    };
+}
+
+/**
+ * Extract a spec from a saved page with the extractor the extension would
+ * pick, with `rules` as the user's stored site rules
+ */
+async function extractFromPage(html, url, rules = []) {
+    const page = loadPage(html, url, { carEfficiencyExtractorRules: rules });
+
+    try {
+        const extension = page.run('extensionInstance || new CarEfficiencyExtension()');
+
+        // Rules come from storage, as when the extension starts on the page
+        extension.extractorRules = await page.run('CarEfficiencyUtils.loadExtractorRules()');
+
+        const { extractor, spec } = extension.extractSpec();
+
+        return { extractor: extractor ? extractor.name : null, spec };
+    } finally {
+        page.close();
+    }
+}
+
+/**
+ * List fixture directories (each holds page.html and expected.json, and
+ * rules.json when the page is read through stored site rules)
+ */
+function listFixtures() {
+    if (!fs.existsSync(FIXTURES_DIR)) return [];
+
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(name => fs.existsSync(path.join(FIXTURES_DIR, name, 'expected.json')))
+        .sort();
+}
+
+/**
+ * Read a fixture's page and expectations
+ */
+function readFixture(name) {
+    const dir = path.join(FIXTURES_DIR, name);
+
+    const rulesPath = path.join(dir, 'rules.json');
+
+    return {
+        html: fs.readFileSync(path.join(dir, 'page.html'), 'utf8'),
+        expected: JSON.parse(fs.readFileSync(path.join(dir, 'expected.json'), 'utf8')),
+        rules: fs.existsSync(rulesPath) ? JSON.parse(fs.readFileSync(rulesPath, 'utf8')) : []
+    };
+}
+
+/**
+ * Compare an extracted spec with expected fields. Numbers match within the
+ * field's tolerance (absolute, or relative when given as "2%"), everything
+ * else must be equal. Returns a list of mismatch descriptions.
+ */
+function compareSpec(spec, fields, tolerances = {}) {
+    const mismatches = [];
+
+    for (const [field, expected] of Object.entries(fields)) {
+        const actual = spec ? spec[field] : undefined;
+
+        if (typeof expected === 'number' && typeof actual === 'number') {
+            const allowed = resolveTolerance(tolerances[field], expected);
+            if (Math.abs(actual - expected) > allowed) {
+                mismatches.push(`${field}: expected ${expected} ± ${allowed}, got ${actual}`);
+            }
+        } else if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            mismatches.push(`${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    return mismatches;
+}
+
+/**
+ * Turn a tolerance (number, "N%" or undefined) into an absolute allowance
+ */
+function resolveTolerance(tolerance, expected) {
+    if (typeof tolerance === 'number') return tolerance;
+
+    const relative = typeof tolerance === 'string' && tolerance.endsWith('%')
+        ? parseFloat(tolerance) / 100
+        : DEFAULT_TOLERANCE;
+
+    return Math.abs(expected) * relative;
+}
+
+/**
+ * Pick the comparable fields of an extracted spec for a new fixture
+ */
+function pickRecordedFields(spec) {
+    const fields = {};
+
+    for (const field of RECORDED_FIELDS) {
+        const value = spec[field];
+        if (value === null || value === undefined) continue;
+        fields[field] = typeof value === 'number' ? Math.round(value * 100) / 100 : value;
+    }
+
+    return fields;
+}
+
+/**
+ * Pick the comparable fields of each extracted variant for a new fixture
+ */
+function pickRecordedVariants(spec) {
+    return (spec.variants || []).map(variant =>
+        Object.fromEntries(VARIANT_FIELDS.map(field => [field, variant[field] === undefined ? null : variant[field]])));
+}
+
+module.exports = {
+    FIXTURES_DIR,
+    loadPage,
+    loadScripts,
+    extractFromPage,
+    listFixtures,
+    readFixture,
+    compareSpec,
+    pickRecordedFields,
+    pickRecordedVariants
+};
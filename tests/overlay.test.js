@@ -0,0 +1,33 @@
+// tests/overlay.test.js - Overlay rendering checks on hand-built specs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./harness');
+
+/**
+ * Score `spec` with the default settings and render the overlay, returning
+ * the overlay element
+ */
+function renderOverlay(page, spec) {
+    page.run(`(() => {
+        const extension = new CarEfficiencyExtension();
+        extension.settings = CarEfficiencyUtils.getDefaultSettings();
+        extension.currentSpec = ${JSON.stringify(spec)};
+        extension.calculateAndDisplayScore();
+    })()`);
+
+    return page.window.document.querySelector('.car-efficiency-overlay');
+}
+
+test('page text in the car name is shown as text, not markup', (t) => {
+    const page = loadScripts();
+    t.after(() => page.close());
+
+    const carName = 'Swift <img src=x onerror="window.injected = true">';
+    const overlay = renderOverlay(page, { carName, vehicleClass: 'car', fuelType: 'petrol', mileage: 20, price: 7 });
+
+    assert.ok(overlay);
+    assert.strictEqual(overlay.querySelector('img'), null);
+    const values = [...overlay.querySelectorAll('.metric-value')].map(value => value.textContent);
+    assert.ok(values.includes(carName), values.join(' | '));
+});
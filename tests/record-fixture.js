@@ -0,0 +1,57 @@
+// tests/record-fixture.js - Records a fixture from a saved page
+//
+// Usage: npm run record-fixture -- <name> <saved-page.html> <original-url>
+//
+// Copies the page into tests/fixtures/<name>/page.html and writes the spec the
+// extension currently extracts as expected.json. Review the expected values
+// against the live page before committing, and loosen `tolerances` where a
+// value is derived (e.g. power converted from bhp). For a page read through
+// site rules, put them in tests/fixtures/<name>/rules.json first.
+
+const fs = require('fs');
+const path = require('path');
+const { FIXTURES_DIR, extractFromPage, pickRecordedFields, pickRecordedVariants } = require('./harness');
+
+async function main() {
+    const [name, pagePath, url] = process.argv.slice(2);
+
+    if (!name || !pagePath || !url) {
+        console.error('Usage: npm run record-fixture -- <name> <saved-page.html> <original-url>');
+        process.exit(1);
+    }
+
+    const dir = path.join(FIXTURES_DIR, name);
+    const rulesPath = path.join(dir, 'rules.json');
+    const rules = fs.existsSync(rulesPath) ? JSON.parse(fs.readFileSync(rulesPath, 'utf8')) : [];
+
+    const html = fs.readFileSync(pagePath, 'utf8');
+    const { extractor, spec } = await extractFromPage(html, url, rules);
+    if (!spec) {
+        console.error(`No extractor handled ${url}`);
+        process.exit(1);
+    }
+
+    const expected = {
+        url,
+        extractor,
+        fields: pickRecordedFields(spec),
+        tolerances: {},
+        variantCount: (spec.variants || []).length,
+        variants: pickRecordedVariants(spec),
+        layoutMissing: spec._layoutHealth ? [...spec._layoutHealth.missing] : []
+    };
+
+    // Compare pages also record one field set per compared car
+    if (spec.comparison) {
+        expected.comparison = spec.comparison.map(pickRecordedFields);
+    }
+
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'page.html'), html);
+    fs.writeFileSync(path.join(dir, 'expected.json'), JSON.stringify(expected, null, 2) + '\n');
+
+    console.log(`Recorded ${name} with the ${extractor} extractor:`);
+    console.log(JSON.stringify(expected.fields, null, 2));
+}
+
+main();
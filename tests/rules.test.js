@@ -0,0 +1,167 @@
+// tests/rules.test.js - Site rule validation, host matching and rule-based extraction
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, loadPage, readFixture, extractFromPage } = require('./harness');
+
+const page = loadScripts();
+test.after(() => page.close());
+
+/**
+ * Validate a rule in the page, returning its list of problems
+ */
+function validate(rule) {
+    return page.evaluate(`CarEfficiencyUtils.validateExtractorRule(${JSON.stringify(rule)})`);
+}
+
+/**
+ * A valid rule with `fields` in place of its own
+ */
+function ruleWith(fields) {
+    return { name: 'Sai Motors', hostPattern: '*.saimotors.in', fields };
+}
+
+test('a well-formed rule is valid', () => {
+    assert.deepStrictEqual(validate(ruleWith({
+        carName: { selector: 'h1.model-title' },
+        price: { selector: '.offer-price', attribute: 'data-lakh', unit: 'lakh' },
+        mileage: { labels: ['Fuel Average', 'Mileage'], unit: 'kmpl' },
+        power: { labels: ['Max Power'], unit: 'PS' }
+    })), []);
+});
+
+test('field rules that are not objects are reported, not thrown', () => {
+    const errors = validate(ruleWith({ mileage: null, power: ['Max Power'], torque: 'Max Torque' }));
+
+    assert.deepStrictEqual(errors, ['mileage: must be an object', 'power: must be an object', 'torque: must be an object']);
+});
+
+test('each field needs a selector or labels', () => {
+    assert.deepStrictEqual(validate(ruleWith({ mileage: {} })), ['mileage: give a selector or a list of labels']);
+    assert.deepStrictEqual(validate(ruleWith({ mileage: { selector: '  ' } })), ['mileage: give a selector or a list of labels']);
+    assert.deepStrictEqual(validate(ruleWith({ mileage: { labels: [] } })), ['mileage: give a selector or a list of labels']);
+    assert.deepStrictEqual(validate(ruleWith({ mileage: { labels: ['Mileage', 3] } })), ['mileage: give a selector or a list of labels']);
+});
+
+test('selectors must parse', () => {
+    assert.deepStrictEqual(validate(ruleWith({ carName: { selector: 'h1[class=' } })), ['carName: invalid selector "h1[class="']);
+});
+
+test('units must belong to the field\'s quantity', () => {
+    assert.deepStrictEqual(validate(ruleWith({ power: { labels: ['Max Power'], unit: 'kmpl' } })), ['power: unknown unit "kmpl"']);
+    assert.deepStrictEqual(validate(ruleWith({ seatingCapacity: { labels: ['Seats'], unit: 'seats' } })),
+        ['seatingCapacity: unknown unit "seats"']);
+    assert.deepStrictEqual(validate(ruleWith({ power: { labels: ['Max Power'], unit: 'kW' } })), []);
+});
+
+test('unknown fields, bad host patterns and empty rules are rejected', () => {
+    assert.deepStrictEqual(validate(ruleWith({ topSpeed: { selector: '.top-speed' } })), ['Unknown field "topSpeed"']);
+    assert.deepStrictEqual(validate({ ...ruleWith({ carName: { selector: 'h1' } }), hostPattern: 'https://saimotors.in/' }),
+        ['hostPattern must be a host name such as "dealer.in" or "*.dealer.in"']);
+    assert.deepStrictEqual(validate(ruleWith({})), ['Rule needs at least one field']);
+    assert.deepStrictEqual(validate(null), ['Rule must be an object']);
+});
+
+test('host patterns match the host, or it and its subdomains with *.', () => {
+    const matches = page.evaluate(`[
+        ['saimotors.in', 'saimotors.in'],
+        ['www.saimotors.in', 'saimotors.in'],
+        ['www.saimotors.in', '*.saimotors.in'],
+        ['saimotors.in', '*.saimotors.in'],
+        ['shop.pune.saimotors.in', '*.saimotors.in'],
+        ['notsaimotors.in', '*.saimotors.in'],
+        ['saimotors.in.example.com', '*.saimotors.in'],
+        ['WWW.SaiMotors.in', ' *.saimotors.in ']
+    ].map(([host, pattern]) => CarEfficiencyUtils.matchesHostPattern(host, pattern))`);
+
+    assert.deepStrictEqual(matches, [true, false, true, true, true, false, false, true]);
+});
+
+test('a host pattern becomes the match pattern its site access is requested for', () => {
+    const patterns = page.evaluate(`[' *.SaiMotors.in ', 'saimotors.in', '', null]
+        .map(CarEfficiencyUtils.getRuleMatchPattern)`);
+
+    assert.deepStrictEqual(patterns, ['*://*.saimotors.in/*', '*://saimotors.in/*', null, null]);
+});
+
+/**
+ * Apply `rule` to `spec` on a page of `html`, within an analysis as the
+ * extension does, returning the updated spec
+ */
+function applyRule(html, rule, spec = {}) {
+    const rulePage = loadPage(`<!DOCTYPE html><html><head><title>Dealer</title></head><body>${html}</body></html>`,
+        'https://www.saimotors.in/new-cars/tata-nexon');
+
+    try {
+        return JSON.parse(rulePage.run(`(() => {
+            const spec = ${JSON.stringify(spec)};
+            CarEfficiencySnapshot.beginAnalysis();
+            try {
+                new CarEfficiencyExtractors.RuleBasedExtractor(${JSON.stringify(rule)}).applyRule(spec);
+            } finally {
+                CarEfficiencySnapshot.endAnalysis();
+            }
+            return JSON.stringify(spec);
+        })()`));
+    } finally {
+        rulePage.close();
+    }
+}
+
+test('a rule reads selectors, attributes and labels, assuming its units', () => {
+    const spec = applyRule(`
+        <h1 class="model-title">Tata Nexon Creative Plus</h1>
+        <span class="offer-price" data-lakh="9.99">Rs. 9,99,000</span>
+        <table>
+          <tr><th>Fuel Average</th><td>17.44</td></tr>
+          <tr><th>Max Power</th><td>88 kW</td></tr>
+          <tr><th>Max Torque</th><td>170</td></tr>
+        </table>`, ruleWith({
+        carName: { selector: 'h1.model-title' },
+        price: { selector: '.offer-price', attribute: 'data-lakh', unit: 'lakh' },
+        mileage: { labels: ['Fuel Average'], unit: 'kmpl' },
+        power: { labels: ['Max Power'], unit: 'bhp' },
+        torque: { labels: ['Max Torque'], unit: 'Nm' }
+    }));
+
+    assert.strictEqual(spec.carName, 'Tata Nexon Creative Plus');
+    assert.strictEqual(spec.price, 9.99);
+    assert.strictEqual(spec.mileage, 17.44);
+    assert.strictEqual(spec.torque, 170);
+
+    // A unit on the page wins over the rule's
+    assert.strictEqual(spec.power, 88);
+
+    assert.deepStrictEqual(spec._sources.price, {
+        origin: 'rule "Sai Motors"', detail: 'selector ".offer-price"', confidence: 0.9
+    });
+});
+
+test('a rule leaves fields it cannot find or parse as they were', () => {
+    const spec = applyRule('<table><tr><th>Fuel Average</th><td>Ask dealer</td></tr></table>', ruleWith({
+        carName: { selector: 'h1.model-title' },
+        mileage: { labels: ['Fuel Average'], unit: 'kmpl' }
+    }), { carName: 'Tata Nexon', mileage: 17.01 });
+
+    assert.strictEqual(spec.carName, 'Tata Nexon');
+    assert.strictEqual(spec.mileage, 17.01);
+    assert.strictEqual(spec._sources, undefined);
+});
+
+test('a matching rule is tried after the built-in site extractors and before the generic one', async () => {
+    const cardekho = readFixture('cardekho-swift-specs');
+    const onBuiltIn = { ...ruleWith({ carName: { selector: 'h1' } }), hostPattern: '*.cardekho.com' };
+    assert.strictEqual((await extractFromPage(cardekho.html, cardekho.expected.url, [onBuiltIn])).extractor, 'cardekho');
+
+    const generic = readFixture('generic-jsonld-city');
+    const rule = { ...ruleWith({ carName: { selector: 'h1' } }), name: 'Honda', hostPattern: '*.hondacarindia.com' };
+    assert.strictEqual((await extractFromPage(generic.html, generic.expected.url, [rule])).extractor, 'rule "Honda"');
+    assert.strictEqual((await extractFromPage(generic.html, generic.expected.url, [])).extractor, 'generic');
+});
+
+test('invalid stored rules are skipped', async () => {
+    const generic = readFixture('generic-jsonld-city');
+    const broken = { name: 'Honda', hostPattern: '*.hondacarindia.com', fields: { carName: null } };
+
+    assert.strictEqual((await extractFromPage(generic.html, generic.expected.url, [broken])).extractor, 'generic');
+});
@@ -0,0 +1,218 @@
+// tests/scoring.test.js - Scoring model checks on hand-built specs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./harness');
+
+const page = loadScripts();
+test.after(() => page.close());
+
+/**
+ * Run `body` in the page with `spec` bound, returning its value as JSON
+ */
+function withSpec(spec, body) {
+    return page.evaluate(`((spec) => ${body})(${JSON.stringify(spec)})`);
+}
+
+const DIESEL_AUTOMATIC = {
+    carName: 'Mahindra XUV700 Diesel AT',
+    vehicleClass: 'car',
+    fuelType: 'diesel',
+    powertrain: { primaryFuel: 'diesel', secondaryFuel: null, hybridType: null },
+    transmissionType: 'automatic',
+    mileage: 15.4,
+    price: 17.59
+};
+
+test('a variant naming no fuel or gearbox keeps the page\'s', () => {
+    const applied = withSpec(DIESEL_AUTOMATIC, `CarEfficiencyScoring.applyVariant(spec,
+        { name: 'AX7', fuelType: null, powertrain: null, transmissionType: null, price: 21.19, mileage: null })`);
+
+    assert.strictEqual(applied.fuelType, 'diesel');
+    assert.deepStrictEqual(applied.powertrain, DIESEL_AUTOMATIC.powertrain);
+    assert.strictEqual(applied.transmissionType, 'automatic');
+    assert.strictEqual(applied.mileage, 15.4);
+    assert.strictEqual(applied.price, 21.19);
+});
+
+test('a variant on another fuel drops the page mileage', () => {
+    const applied = withSpec(DIESEL_AUTOMATIC, `CarEfficiencyScoring.applyVariant(spec, {
+        name: 'AX5 Petrol MT', fuelType: 'petrol',
+        powertrain: { primaryFuel: 'petrol', secondaryFuel: null, hybridType: null },
+        transmissionType: 'manual', price: 14.99, mileage: null })`);
+
+    assert.strictEqual(applied.fuelType, 'petrol');
+    assert.strictEqual(applied.transmissionType, 'manual');
+    assert.strictEqual(applied.mileage, null);
+});
+
+const DEFAULT_WEIGHTS = { efficiency: 30, safety: 30, valueForMoney: 20, performancePerEfficiency: 10, practicality: 10 };
+const FUEL_PRICES = { petrol: 110, diesel: 95, cng: 80, electricity: 9 };
+
+const PETROL_HATCH = { carName: 'Maruti Swift ZXi', vehicleClass: 'car', fuelType: 'petrol', mileage: 24.8, price: 7.29 };
+
+test('practicality weighs only the parts the page has', () => {
+    const scores = withSpec(PETROL_HATCH, `[
+        CarEfficiencyScoring.calculatePracticalityScore({ ...spec, seatingCapacity: 7 }),
+        CarEfficiencyScoring.calculatePracticalityScore({ ...spec, seatingCapacity: 4, turningRadius: 6.0 }),
+        CarEfficiencyScoring.calculatePracticalityScore({ ...spec, seatingCapacity: 7, bootSpace: 200 })
+    ]`);
+
+    assert.strictEqual(scores[0], 1);
+    assert.strictEqual(scores[1], 0);
+
+    // Seating and boot space weigh the same
+    assert.strictEqual(scores[2], 0.5);
+});
+
+test('touring range needs a mileage per litre', () => {
+    const scores = withSpec({ ...PETROL_HATCH, fuelTankCapacity: 30, mileage: 20 }, `[
+        CarEfficiencyScoring.calculatePracticalityScore(spec),
+        CarEfficiencyScoring.calculatePracticalityScore({ ...spec, fuelType: 'cng' })
+    ]`);
+
+    // 600 km on a tank; CNG mileage is per kg, so only the tank size counts
+    assert.ok(Math.abs(scores[0] - (600 - 400) / (900 - 400)) < 1e-9, `petrol ${scores[0]}`);
+    assert.strictEqual(scores[1], 0);
+});
+
+test('practicality counts in the composite at its weight', () => {
+    const roomy = { ...PETROL_HATCH, seatingCapacity: 7, bootSpace: 550, wheelbase: 2850, turningRadius: 4.6 };
+    const cramped = { ...PETROL_HATCH, seatingCapacity: 4, bootSpace: 200, wheelbase: 2350, turningRadius: 6.0 };
+    const [high, low] = [roomy, cramped].map(spec => withSpec(spec,
+        `CarEfficiencyScoring.calculateCompositeScore(spec, ${JSON.stringify(DEFAULT_WEIGHTS)}, ${JSON.stringify(FUEL_PRICES)})`));
+
+    assert.strictEqual(high.breakdown.practicality, 100);
+    assert.strictEqual(low.breakdown.practicality, 0);
+    assert.ok(Math.abs(high.composite - low.composite - 10) <= 1, `${high.composite} vs ${low.composite}`);
+});
+
+test('practicality without any data is left out of the composite', () => {
+    const result = withSpec(DIESEL_AUTOMATIC, `(() => {
+        const score = CarEfficiencyScoring.calculateCompositeScore(spec,
+            ${JSON.stringify(DEFAULT_WEIGHTS)}, ${JSON.stringify(FUEL_PRICES)});
+        const withoutPracticality = CarEfficiencyScoring.calculateCompositeScore(spec,
+            { ...${JSON.stringify(DEFAULT_WEIGHTS)}, practicality: 0 }, ${JSON.stringify(FUEL_PRICES)});
+        return { score, withoutPracticality, practicality: CarEfficiencyScoring.calculatePracticalityScore(spec) };
+    })()`);
+
+    assert.strictEqual(result.practicality, null);
+    assert.strictEqual(result.score.breakdown.practicality, null);
+    assert.strictEqual(result.score.confidence.breakdown.practicality, null);
+
+    // The other four keep their proportions, as with a zero practicality weight
+    const { efficiency, safety, valueForMoney, performancePerEfficiency } = result.score.breakdown;
+    const expected = (efficiency * 30 + safety * 30 + valueForMoney * 20 + performancePerEfficiency * 10) / 90;
+    assert.ok(Math.abs(result.score.composite - expected) <= 1, `composite ${result.score.composite}, expected ≈${expected}`);
+    assert.strictEqual(result.score.composite, result.withoutPracticality.composite);
+});
+
+test('practicality with data still counts at its weight', () => {
+    const score = withSpec({ ...DIESEL_AUTOMATIC, seatingCapacity: 7, fuelTankCapacity: 60 },
+        `CarEfficiencyScoring.calculateCompositeScore(spec, ${JSON.stringify(DEFAULT_WEIGHTS)}, ${JSON.stringify(FUEL_PRICES)})`);
+
+    assert.strictEqual(typeof score.breakdown.practicality, 'number');
+    assert.strictEqual(typeof score.confidence.breakdown.practicality, 'number');
+});
+
+/**
+ * Record every field of `spec` as read from `origin` at `confidence`
+ */
+function sourced(spec, origin, confidence) {
+    const _sources = Object.fromEntries(Object.keys(spec).map(field =>
+        [field, { origin, detail: null, confidence }]));
+    return { ...spec, _sources };
+}
+
+/**
+ * Score confidence of `spec` under the default weights, with its used-car
+ * condition when it is a listing
+ */
+function scoreConfidence(spec) {
+    return withSpec(spec, `CarEfficiencyScoring.calculateScoreConfidence(spec,
+        ${JSON.stringify(DEFAULT_WEIGHTS)}, CarEfficiencyScoring.calculateUsedCarCondition(spec))`);
+}
+
+const FULL_SPEC = {
+    carName: 'Maruti Swift ZXi',
+    vehicleClass: 'car',
+    fuelType: 'petrol',
+    mileage: 24.8,
+    displacement: 1197,
+    power: 80.46,
+    kerbWeight: 925,
+    transmissionType: 'manual',
+    ncapStars: 4,
+    seatingCapacity: 5,
+    bootSpace: 265,
+    wheelbase: 2450,
+    turningRadius: 4.8,
+    fuelTankCapacity: 37,
+    price: 7.29
+};
+
+test('a spec with every input read from a spec table is trusted as its source', () => {
+    const confidence = scoreConfidence(sourced(FULL_SPEC, 'siteSpecTable', 0.9));
+
+    assert.deepStrictEqual(confidence.breakdown, {
+        efficiency: 90, safety: 90, valueForMoney: 90, performancePerEfficiency: 90, practicality: 90
+    });
+    assert.strictEqual(confidence.overall, 90);
+    assert.strictEqual(confidence.band, Math.round((1 - 0.9) * 25));
+    assert.strictEqual(confidence.low, false);
+});
+
+test('a sparse spec falls back on estimates and defaults and is flagged', () => {
+    const confidence = scoreConfidence(sourced({ carName: 'Maruti Swift', vehicleClass: 'car', fuelType: 'petrol', price: 7.29 },
+        'pageText', 0.5));
+
+    // Efficiency from the penalty model with no proxies but the fuel type,
+    // safety defaulted, value on the price, performance estimated
+    assert.deepStrictEqual(confidence.breakdown, {
+        efficiency: 10, safety: 10, valueForMoney: 26, performancePerEfficiency: 5, practicality: null
+    });
+    assert.strictEqual(confidence.overall, Math.round((0.1 * 30 + 0.1 * 30 + 0.26 * 20 + 0.05 * 10) / 90 * 100));
+    assert.strictEqual(confidence.band, 22);
+    assert.strictEqual(confidence.low, true);
+});
+
+test('the same inputs from less reliable sources widen the band', () => {
+    const table = scoreConfidence(sourced(FULL_SPEC, 'siteSpecTable', 0.9));
+    const ai = scoreConfidence(sourced(FULL_SPEC, 'ai', 0.4));
+    const unsourced = scoreConfidence(FULL_SPEC);
+
+    assert.strictEqual(ai.overall, 40);
+    assert.strictEqual(ai.band, 15);
+    assert.strictEqual(ai.low, true);
+    assert.ok(ai.band > table.band);
+
+    // Values without a recorded source count at half confidence
+    assert.strictEqual(unsourced.overall, 50);
+    assert.strictEqual(unsourced.low, false);
+});
+
+test('a used listing\'s value confidence follows its listing details', () => {
+    const listing = { registrationYear: new Date().getFullYear() - 3, kmsDriven: 30000, owners: 1 };
+    const usedSpec = (usedListing) => {
+        const spec = sourced({ ...FULL_SPEC, price: 5.5, usedListing }, 'siteSpecTable', 0.9);
+        spec._sources.usedListing = { origin: 'labelPair', detail: null, confidence: 0.75 };
+        return spec;
+    };
+
+    // Priced against the expected depreciated price, the listing counts for 40%
+    const priced = scoreConfidence(usedSpec({ ...listing, newPrice: 7.29 }));
+    assert.strictEqual(priced.breakdown.valueForMoney, Math.round((0.9 * 0.6 + 0.75 * 0.4) * 100));
+    assert.ok(priced.overall < 90);
+
+    // Without a new price there is nothing to compare the asking price to
+    const unpriced = scoreConfidence(usedSpec(listing));
+    assert.strictEqual(unpriced.breakdown.valueForMoney, 90);
+});
+
+test('the composite carries its confidence', () => {
+    const score = withSpec(sourced(FULL_SPEC, 'siteSpecTable', 0.9),
+        `CarEfficiencyScoring.calculateCompositeScore(spec, ${JSON.stringify(DEFAULT_WEIGHTS)}, ${JSON.stringify(FUEL_PRICES)})`);
+
+    assert.strictEqual(score.confidence.overall, 90);
+    assert.strictEqual(score.confidence.low, false);
+});
@@ -0,0 +1,57 @@
+// tests/snapshot.test.js - Page snapshot sharing within an analysis
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, loadPage, readFixture } = require('./harness');
+
+const page = loadScripts();
+test.after(() => page.close());
+
+test('extractors share one snapshot for the whole analysis', () => {
+    const shared = page.run(`(() => {
+        const snapshot = CarEfficiencySnapshot.beginAnalysis();
+        try {
+            return CarEfficiencySnapshot.getSnapshot() === snapshot &&
+                CarEfficiencySnapshot.getSnapshot() === snapshot;
+        } finally {
+            CarEfficiencySnapshot.endAnalysis();
+        }
+    })()`);
+
+    assert.strictEqual(shared, true);
+});
+
+test('reading the snapshot outside an analysis is an error', () => {
+    assert.throws(() => page.run('CarEfficiencySnapshot.getSnapshot()'), /No analysis in progress/);
+
+    page.run('CarEfficiencySnapshot.beginAnalysis(); CarEfficiencySnapshot.endAnalysis();');
+    assert.throws(() => page.run('CarEfficiencySnapshot.getSnapshot()'), /No analysis in progress/);
+});
+
+test('an analysis queries the page once per selector', (t) => {
+    for (const name of ['cardekho-swift-specs', 'carwale-nexon-specs', 'cardekho-compare-swift-baleno-i20']) {
+        const { html, expected } = readFixture(name);
+        const fixturePage = loadPage(html, expected.url);
+        t.after(() => fixturePage.close());
+
+        const repeated = JSON.parse(fixturePage.run(`(() => {
+            const counts = {};
+            const querySelectorAll = document.querySelectorAll;
+            document.querySelectorAll = function (selector) {
+                counts[selector] = (counts[selector] || 0) + 1;
+                return querySelectorAll.call(this, selector);
+            };
+
+            try {
+                const extension = new CarEfficiencyExtension();
+                extension.extractSpec();
+            } finally {
+                document.querySelectorAll = querySelectorAll;
+            }
+
+            return JSON.stringify(Object.keys(counts).filter(selector => counts[selector] > 1));
+        })()`));
+
+        assert.deepStrictEqual(repeated, [], `${name} re-queried the page`);
+    }
+});
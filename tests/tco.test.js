@@ -0,0 +1,124 @@
+// tests/tco.test.js - Ownership cost checks on hand-built specs
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./harness');
+
+const page = loadScripts();
+test.after(() => page.close());
+
+/**
+ * Run `body` in the page with `spec` bound, returning its value as JSON
+ */
+function withSpec(spec, body) {
+    return page.evaluate(`((spec) => ${body})(${JSON.stringify(spec)})`);
+}
+
+/**
+ * Assert that two rupee amounts agree to the rupee
+ */
+function assertRupees(actual, expected, label) {
+    assert.ok(Math.abs(actual - expected) < 1, `${label}: ${actual}, expected ${expected}`);
+}
+
+const PETROL_HATCH = { vehicleClass: 'car', fuelType: 'petrol', displacement: 1197, mileage: 20, price: 8 };
+const FUEL_PRICES = { petrol: 110, diesel: 95, cng: 80, electricity: 9 };
+
+test('road tax follows the price band, diesel surcharge and EV waiver', () => {
+    const charges = withSpec(PETROL_HATCH, `[
+        CarEfficiencyTCO.calculateOnRoadCharges(spec, 5),
+        CarEfficiencyTCO.calculateOnRoadCharges(spec, 8),
+        CarEfficiencyTCO.calculateOnRoadCharges({ ...spec, fuelType: 'diesel' }, 12),
+        CarEfficiencyTCO.calculateOnRoadCharges({ ...spec, fuelType: 'electric' }, 15),
+        CarEfficiencyTCO.calculateOnRoadCharges({ ...spec, vehicleClass: 'motorcycle' }, 1.5)
+    ]`);
+
+    assertRupees(charges[0], 500000 * 0.04 + 5000, 'up to ₹6 lakh');
+    assertRupees(charges[1], 800000 * 0.07 + 5000, 'up to ₹10 lakh');
+    assertRupees(charges[2], 1200000 * 0.10 * 1.25 + 5000, 'diesel over ₹10 lakh');
+    assertRupees(charges[3], 5000, 'electric');
+    assertRupees(charges[4], 150000 * 0.05 + 1500, 'two-wheeler');
+});
+
+test('a used car pays only the registration transfer', () => {
+    const charges = withSpec({ ...PETROL_HATCH, usedListing: { registrationYear: 2020, kmsDriven: 40000 } },
+        'CarEfficiencyTCO.calculatePurchaseCharges(spec)');
+
+    assert.strictEqual(charges, 5000);
+});
+
+test('insurance follows the insured value down, with third party by engine size', () => {
+    const insurance = withSpec(PETROL_HATCH, `[
+        CarEfficiencyTCO.calculateInsurance(spec, 8, 0, 2),
+        CarEfficiencyTCO.calculateInsurance(spec, 8, 6, 1),
+        CarEfficiencyTCO.calculateInsurance({ ...spec, displacement: 998 }, 8, 0, 1),
+        CarEfficiencyTCO.calculateInsurance({ ...spec, displacement: 1997 }, 8, 0, 1)
+    ]`);
+
+    assertRupees(insurance[0], 800000 * 0.95 * 0.025 + 3416 + 800000 * 0.80 * 0.025 + 3416, 'first two years');
+    assertRupees(insurance[1], 800000 * 0.50 * 0.025 + 3416, 'past the last depreciation step');
+    assertRupees(insurance[2], 800000 * 0.95 * 0.025 + 2094, 'up to 1000 cc');
+    assertRupees(insurance[3], 800000 * 0.95 * 0.025 + 7897, 'over 1500 cc');
+});
+
+test('servicing falls yearly or by distance, whichever comes first, scaled with price', () => {
+    const maintenance = withSpec(PETROL_HATCH, `[
+        CarEfficiencyTCO.calculateMaintenance(spec, 8, 5, 12000),
+        CarEfficiencyTCO.calculateMaintenance(spec, 8, 5, 5000),
+        CarEfficiencyTCO.calculateMaintenance({ ...spec, fuelType: 'diesel' }, 32, 5, 10000)
+    ]`);
+
+    assertRupees(maintenance[0], 5000 * 1.2 * 5, 'above the service interval');
+    assertRupees(maintenance[1], 5000 * 5, 'below the service interval');
+    assertRupees(maintenance[2], 6500 * 2 * 5, 'diesel at four times the reference price');
+});
+
+test('tyres are replaced per full set of tread life', () => {
+    const tyres = withSpec(PETROL_HATCH, `[
+        CarEfficiencyTCO.calculateTyres(spec, 8, 39000),
+        CarEfficiencyTCO.calculateTyres(spec, 8, 60000),
+        CarEfficiencyTCO.calculateTyres({ ...spec, fuelType: 'electric' }, 8, 65000)
+    ]`);
+
+    assert.strictEqual(tyres[0], 0);
+    assertRupees(tyres[1], 4 * 4000, 'one set');
+    assertRupees(tyres[2], 2 * 4 * 4000, 'EV tyres at 32,000 km');
+});
+
+test('resale follows the depreciation model from the car\'s current age and distance', () => {
+    const resale = withSpec(PETROL_HATCH, `[
+        CarEfficiencyTCO.calculateResaleValue(8, 0, 0, 5, 60000),
+        CarEfficiencyTCO.calculateResaleValue(6, 3, 30000, 5, 60000)
+    ]`);
+
+    // New: 10% the first year, 6% a year after, 2% per 10,000 km over 10,000 km a year
+    assertRupees(resale[0], 800000 * (0.9 * Math.pow(0.94, 4) - 0.02), 'new car');
+
+    // Used: the asking price loses the share expected between years 3 and 8
+    const startShare = 0.9 * Math.pow(0.94, 2);
+    const endShare = 0.9 * Math.pow(0.94, 7) - 0.02;
+    assertRupees(resale[1], 600000 * endShare / startShare, 'used car');
+});
+
+test('the total is the costs less resale, per km and per year', () => {
+    const cost = withSpec(PETROL_HATCH, `CarEfficiencyTCO.calculateOwnershipCost(spec,
+        ${JSON.stringify(FUEL_PRICES)}, { years: 5, annualKm: 12000 })`);
+
+    assert.strictEqual(cost.incomplete, false);
+    const spent = cost.purchase + cost.onRoad + cost.fuel + cost.insurance + cost.maintenance + cost.tyres;
+    assertRupees(cost.total, spent - cost.resale, 'total');
+    assertRupees(cost.perKm * 60000, cost.total, 'per km');
+    assertRupees(cost.perYear * 5, cost.total, 'per year');
+});
+
+test('an unknown fuel cost leaves the total out rather than understating it', () => {
+    const cost = withSpec({ vehicleClass: 'scooter', fuelType: 'electric', price: 1.2 },
+        `CarEfficiencyTCO.calculateOwnershipCost(spec, ${JSON.stringify(FUEL_PRICES)}, { years: 5, annualKm: 8000 })`);
+
+    assert.strictEqual(cost.fuel, null);
+    assert.strictEqual(cost.incomplete, true);
+    assert.strictEqual(cost.total, null);
+    assert.strictEqual(cost.perKm, null);
+    assert.strictEqual(cost.perYear, null);
+    assert.ok(cost.insurance > 0 && cost.resale > 0);
+});
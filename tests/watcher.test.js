@@ -0,0 +1,82 @@
+// tests/watcher.test.js - Page-change watching: what gets re-read and when
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./harness');
+
+/**
+ * Create an extension watching the page, counting the content and URL
+ * checks it queues
+ */
+function watchPage(page, { active }) {
+    page.run(`(() => {
+        const extension = new CarEfficiencyExtension();
+        extension.isActive = ${active};
+        extension.setupPageChangeWatcher();
+        window.queued = { content: 0, url: 0 };
+        extension.handlePageChange = () => window.queued.content++;
+        extension.handleUrlChange = () => window.queued.url++;
+        window.watchingExtension = extension;
+    })()`);
+}
+
+/**
+ * Let the page's mutation observers run
+ */
+function settle(page) {
+    return new Promise(resolve => page.window.setTimeout(resolve, 0));
+}
+
+/**
+ * Stop the test's own watcher and close the page
+ */
+function closeWatchedPage(page) {
+    page.run('window.watchingExtension && window.watchingExtension.pageObserver.disconnect()');
+    page.close();
+}
+
+test('nested spec and price blocks are read once for the page signature', (t) => {
+    const page = loadScripts();
+    t.after(() => closeWatchedPage(page));
+
+    page.window.document.body.innerHTML = `
+        <h1>Swift ZXi</h1>
+        <div class="spec-section">
+            <table><tr><td>Mileage</td><td>24.8 kmpl</td></tr></table>
+            <div class="price-box">Rs. 8.29 Lakh</div>
+        </div>
+        <dl><dt>Power</dt><dd>80 bhp</dd></dl>`;
+
+    const signature = page.evaluate('new CarEfficiencyExtension().getPageSignature()');
+
+    assert.strictEqual(signature.split('|').length, 4, signature);
+    assert.strictEqual(signature.split('24.8 kmpl').length, 2, signature);
+});
+
+test('content changes are ignored until a spec page is found, but a new route is checked', async (t) => {
+    const page = loadScripts();
+    t.after(() => closeWatchedPage(page));
+    watchPage(page, { active: false });
+
+    page.run('document.body.appendChild(document.createElement("div"))');
+    await settle(page);
+    assert.deepStrictEqual(page.evaluate('window.queued'), { content: 0, url: 0 });
+
+    // The route's content decides support, so the check waits for it to settle
+    page.run('history.pushState({}, "", "/maruti/swift"); document.body.appendChild(document.createElement("div"))');
+    await settle(page);
+    assert.deepStrictEqual(page.evaluate('window.queued'), { content: 1, url: 0 });
+});
+
+test('on a spec page, content changes and new routes are both checked', async (t) => {
+    const page = loadScripts();
+    t.after(() => closeWatchedPage(page));
+    watchPage(page, { active: true });
+
+    page.run('document.body.appendChild(document.createElement("div"))');
+    await settle(page);
+    page.run('history.pushState({}, "", "/maruti/swift"); document.body.appendChild(document.createElement("div"))');
+    await settle(page);
+
+    assert.deepStrictEqual(page.evaluate('window.queued'), { content: 1, url: 1 });
+});